@@ -27,14 +27,21 @@ import crypto from "crypto";
 /* === NEW: Solana + SPL Token for staking payouts === */
 import * as web3 from "@solana/web3.js";
 import {
-  getOrCreateAssociatedTokenAccount,
+  getAssociatedTokenAddressSync,
+  createAssociatedTokenAccountIdempotentInstruction,
   createTransferInstruction,
+  createTransferCheckedInstruction,
   TOKEN_PROGRAM_ID as SPL_TOKEN_PROGRAM_ID,
 } from "@solana/spl-token";
 import { TextEncoder } from "util";
 
 dotenv.config();
 
+// `node server.js --rebuild-rollups [--from=<ISO>] [--mint=<mint>]` adopts legacy null-mint
+// rollup rows as BLACK, rebuilds the chart rollup tables from raw chart_data and exits
+// instead of serving.
+const CLI_REBUILD_ROLLUPS = process.argv.includes("--rebuild-rollups");
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -154,7 +161,7 @@ app.use((req, res, next) => {
 });
 
 
-// --- DEV wallets + in-memory auth session store ---
+// --- DEV wallets + pluggable auth session store ---
 
 // DEV_WALLETS should be set in Render as a comma-separated list:
 // DEV_WALLETS=94BkuiU...,AnotherDevWallet...
@@ -165,28 +172,261 @@ const DEV_WALLETS = new Set(
     .filter(Boolean)
 );
 
-// In-memory nonce + session stores (shared by OperatorHub + Staking)
-const NONCES   = new Map(); // wallet -> nonce
-const SESSIONS = new Map(); // token  -> { wallet, expiresAt }
+// Session + nonce lifetimes
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12h session tokens
+const NONCE_TTL_MS = 5 * 60 * 1000;         // 5 min to sign the nonce message
+const SESSION_SWEEP_MS = 10 * 60 * 1000;    // purge expired rows every 10 min
+
+// SESSION_STORE=supabase (default) keeps sessions in hub_sessions / hub_auth_nonces
+// so deploys don't log everyone out and several instances can share them.
+// SESSION_STORE=memory keeps the old single-process Maps.
+const SESSION_STORE_KIND =
+  String(process.env.SESSION_STORE || "supabase").trim().toLowerCase() === "memory"
+    ? "memory"
+    : "supabase";
+
+// Session tokens are only ever stored hashed
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
 
-// Extract and validate wallet for a given session token
-function getSessionWalletFromHeader(req) {
+/**
+ * In-memory store (single process; lost on restart).
+ * Every store exposes the same async interface:
+ *   putNonce(wallet, nonce, expiresAt)
+ *   takeNonce(wallet)            -> nonce | null (single use)
+ *   putSession(token, { wallet, expiresAt })
+ *   getSession(token)            -> { wallet, expiresAt } | null
+ *   deleteSession(token)         -> boolean (throws if it couldn't be revoked)
+ *   sweep()                      -> number of expired entries removed
+ */
+function createMemorySessionStore() {
+  const nonces = new Map();   // wallet -> { nonce, expiresAt }
+  const sessions = new Map(); // sha256(token) -> { wallet, expiresAt }
+
+  return {
+    kind: "memory",
+
+    async putNonce(wallet, nonce, expiresAt) {
+      nonces.set(wallet, { nonce, expiresAt });
+    },
+
+    async takeNonce(wallet) {
+      const entry = nonces.get(wallet);
+      if (!entry) return null;
+      nonces.delete(wallet);
+      if (entry.expiresAt < Date.now()) return null;
+      return entry.nonce;
+    },
+
+    async putSession(token, { wallet, expiresAt }) {
+      sessions.set(hashSessionToken(token), { wallet, expiresAt });
+    },
+
+    async getSession(token) {
+      const key = hashSessionToken(token);
+      const entry = sessions.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt && entry.expiresAt < Date.now()) {
+        sessions.delete(key);
+        return null;
+      }
+      return entry;
+    },
+
+    async deleteSession(token) {
+      return sessions.delete(hashSessionToken(token));
+    },
+
+    async sweep() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [k, v] of nonces) {
+        if (v.expiresAt < now) {
+          nonces.delete(k);
+          removed++;
+        }
+      }
+      for (const [k, v] of sessions) {
+        if (v.expiresAt && v.expiresAt < now) {
+          sessions.delete(k);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * Supabase-backed store. Tables (public schema):
+ *   hub_sessions    (token_hash text pk, wallet text, expires_at timestamptz, created_at timestamptz default now())
+ *   hub_auth_nonces (wallet text pk, nonce text, expires_at timestamptz)
+ *
+ * Every write is mirrored into an in-memory store, which is used as the
+ * fallback whenever Supabase errors — a DB blip shouldn't log people out.
+ * A missing row means no nonce / no session (another instance consumed or
+ * revoked it), unless this instance's own write of that row failed.
+ */
+function createSupabaseSessionStore() {
+  const mem = createMemorySessionStore();
+  const unsavedNonces = new Set();   // wallets whose nonce upsert failed
+  const unsavedSessions = new Map(); // token hash -> expiresAt, insert failed
+
+  return {
+    kind: "supabase",
+
+    async putNonce(wallet, nonce, expiresAt) {
+      await mem.putNonce(wallet, nonce, expiresAt);
+      const { error } = await supabase
+        .from("hub_auth_nonces")
+        .upsert(
+          { wallet, nonce, expires_at: new Date(expiresAt).toISOString() },
+          { onConflict: "wallet" }
+        );
+      if (error) {
+        warn("[auth/store] nonce upsert failed (memory fallback):", error.message);
+        unsavedNonces.add(wallet);
+      } else {
+        unsavedNonces.delete(wallet);
+      }
+    },
+
+    async takeNonce(wallet) {
+      const memNonce = await mem.takeNonce(wallet);
+      // Delete-and-return so a nonce can only ever be consumed once
+      const { data, error } = await supabase
+        .from("hub_auth_nonces")
+        .delete()
+        .eq("wallet", wallet)
+        .select("nonce, expires_at")
+        .maybeSingle();
+
+      if (error) {
+        warn("[auth/store] nonce take failed (memory fallback):", error.message);
+        return memNonce;
+      }
+      // No row: consumed elsewhere, unless our own upsert never landed
+      if (!data) return unsavedNonces.delete(wallet) ? memNonce : null;
+      unsavedNonces.delete(wallet);
+      if (new Date(data.expires_at).getTime() < Date.now()) return null;
+      return data.nonce;
+    },
+
+    async putSession(token, entry) {
+      await mem.putSession(token, entry);
+      const tokenHash = hashSessionToken(token);
+      const { error } = await supabase.from("hub_sessions").insert({
+        token_hash: tokenHash,
+        wallet: entry.wallet,
+        expires_at: new Date(entry.expiresAt).toISOString(),
+      });
+      if (error) {
+        warn("[auth/store] session insert failed (memory fallback):", error.message);
+        unsavedSessions.set(tokenHash, entry.expiresAt);
+      }
+    },
+
+    async getSession(token) {
+      const tokenHash = hashSessionToken(token);
+      const { data, error } = await supabase
+        .from("hub_sessions")
+        .select("wallet, expires_at")
+        .eq("token_hash", tokenHash)
+        .maybeSingle();
+
+      if (error) {
+        warn("[auth/store] session lookup failed (memory fallback):", error.message);
+        return mem.getSession(token);
+      }
+      // No row: revoked elsewhere, unless our own insert never landed
+      if (!data) {
+        if (unsavedSessions.has(tokenHash)) return mem.getSession(token);
+        await mem.deleteSession(token);
+        return null;
+      }
+
+      const expiresAt = new Date(data.expires_at).getTime();
+      if (expiresAt < Date.now()) {
+        await this.deleteSession(token).catch(() => {}); // the sweep retries
+        return null;
+      }
+      return { wallet: data.wallet, expiresAt };
+    },
+
+    async deleteSession(token) {
+      const memHit = await mem.deleteSession(token);
+      unsavedSessions.delete(hashSessionToken(token));
+      const { data, error } = await supabase
+        .from("hub_sessions")
+        .delete()
+        .eq("token_hash", hashSessionToken(token))
+        .select("token_hash");
+      if (error) {
+        // The DB row would keep the token valid; don't report a logout
+        warn("[auth/store] session delete failed:", error.message);
+        throw new Error(`session delete failed: ${error.message}`);
+      }
+      return memHit || (data || []).length > 0;
+    },
+
+    async sweep() {
+      let removed = await mem.sweep();
+      const nowIso = new Date().toISOString();
+      for (const [k, expiresAt] of unsavedSessions) {
+        if (expiresAt < Date.now()) unsavedSessions.delete(k);
+      }
+
+      const { data: s, error: sErr } = await supabase
+        .from("hub_sessions")
+        .delete()
+        .lt("expires_at", nowIso)
+        .select("token_hash");
+      if (sErr) warn("[auth/store] session sweep failed:", sErr.message);
+      else removed += (s || []).length;
+
+      const { data: n, error: nErr } = await supabase
+        .from("hub_auth_nonces")
+        .delete()
+        .lt("expires_at", nowIso)
+        .select("wallet");
+      if (nErr) warn("[auth/store] nonce sweep failed:", nErr.message);
+      else removed += (n || []).length;
+
+      return removed;
+    },
+  };
+}
+
+// Shared by OperatorHub + Staking
+const sessionStore =
+  SESSION_STORE_KIND === "memory"
+    ? createMemorySessionStore()
+    : createSupabaseSessionStore();
+
+function getSessionTokenFromHeader(req) {
   const token = req.headers["x-bc-session"];
   if (!token || typeof token !== "string") return null;
+  return token;
+}
 
-  const entry = SESSIONS.get(token);
-  if (!entry) return null;
+// Extract and validate wallet for a given session token
+async function getSessionWalletFromHeader(req) {
+  const token = getSessionTokenFromHeader(req);
+  if (!token) return null;
 
-  if (entry.expiresAt && entry.expiresAt < Date.now()) {
-    SESSIONS.delete(token);
-    return null;
-  }
-  return entry.wallet;
+  const entry = await sessionStore.getSession(token);
+  return entry ? entry.wallet : null;
 }
 
 // Simple middleware: require a valid session to access the route
-function requireSession(req, res, next) {
-  const wallet = getSessionWalletFromHeader(req);
+async function requireSession(req, res, next) {
+  let wallet = null;
+  try {
+    wallet = await getSessionWalletFromHeader(req);
+  } catch (e) {
+    err("[auth] session lookup exception:", e?.message || e);
+  }
   if (!wallet) {
     return res
       .status(401)
@@ -196,6 +436,123 @@ function requireSession(req, res, next) {
   next();
 }
 
+// Periodically purge expired nonces + sessions
+setInterval(() => {
+  sessionStore
+    .sweep()
+    .then((n) => {
+      if (n > 0) log("[auth/store] swept", n, "expired entries");
+    })
+    .catch((e) => warn("[auth/store] sweep error:", e?.message || e));
+}, SESSION_SWEEP_MS);
+
+
+// --- Roles (hub_roles) layered on top of sessions ---
+/*
+ * hub_roles      (wallet text, role text, granted_by text, granted_at timestamptz,
+ *                 unique(wallet, role))
+ * hub_role_audit (id bigserial, action text, wallet text, role text,
+ *                 subject text, actor text, reason text,
+ *                 created_at timestamptz default now())
+ *   Role grants / revokes, plus refund-log moderation (action
+ *   "refund_<status>" / "refund_delete", subject "hub_refund_history:<id>")
+ *   and manual stake voids ("stake_void" / "stake_unvoid", subject
+ *   "hub_stakes:<id>").
+ *
+ * ROLE_CACHE only serves display lookups; requireRole() always reads
+ * hub_roles, so a revoke on one instance takes effect on every instance.
+ *
+ * DEV_WALLETS stays the bootstrap superuser list: those wallets always have
+ * "dev", and "dev" passes every requireRole() gate.
+ */
+const ROLE_NAMES = ["dev", "moderator", "treasurer", "support"];
+const ROLE_CACHE_TTL_MS = 30 * 1000;
+const ROLE_CACHE = new Map(); // wallet -> { roles, ts }
+
+function isDevWallet(wallet) {
+  return DEV_WALLETS.has(String(wallet || "").trim().toLowerCase());
+}
+
+async function getWalletRoles(wallet, { nocache = false } = {}) {
+  const w = String(wallet || "").trim();
+  if (!w) return [];
+
+  const now = Date.now();
+  const cached = ROLE_CACHE.get(w);
+  if (!nocache && cached && now - cached.ts < ROLE_CACHE_TTL_MS) {
+    return cached.roles;
+  }
+
+  const roles = new Set();
+  if (isDevWallet(w)) roles.add("dev");
+
+  const { data, error } = await supabase
+    .from("hub_roles")
+    .select("role")
+    .eq("wallet", w);
+
+  if (error) {
+    // Don't cache a partial answer; DEV_WALLETS still work while the DB is down
+    warn("[roles] select failed:", error.message);
+    return Array.from(roles);
+  }
+  for (const r of data || []) {
+    if (ROLE_NAMES.includes(r.role)) roles.add(r.role);
+  }
+
+  const out = Array.from(roles);
+  ROLE_CACHE.set(w, { roles: out, ts: now });
+  return out;
+}
+
+/**
+ * Middleware factory: valid session AND at least one of `roles`.
+ * "dev" is implied everywhere. Sets req.sessionWallet + req.sessionRoles.
+ *
+ *   app.post("/api/x", requireRole("moderator"), handler)
+ */
+function requireRole(...roles) {
+  const allowed = new Set(["dev", ...roles]);
+  for (const r of allowed) {
+    if (!ROLE_NAMES.includes(r)) throw new Error(`requireRole: unknown role "${r}"`);
+  }
+
+  return (req, res, next) =>
+    requireSession(req, res, async () => {
+      try {
+        const have = await getWalletRoles(req.sessionWallet, { nocache: true });
+        req.sessionRoles = have;
+        if (!have.some((r) => allowed.has(r))) {
+          warn(
+            "[roles] denied",
+            req.method,
+            req.path,
+            "wallet=",
+            req.sessionWallet,
+            "needs=",
+            Array.from(allowed).join("|")
+          );
+          return res.status(403).json({
+            error: "role_required",
+            roles: Array.from(allowed),
+          });
+        }
+        next();
+      } catch (e) {
+        err("[roles] check exception:", e?.message || e);
+        return res.status(500).json({ error: "server_error" });
+      }
+    });
+}
+
+// Which roles (besides dev) may perform each kind of admin action
+const ROLE_GATES = {
+  broadcast: ["moderator"],
+  refundModeration: ["moderator", "support"],
+  stakingAdmin: ["treasurer"],
+  revenue: ["treasurer"],
+};
+
 
 /* ---------- CORS (tightened) ---------- */
 
@@ -236,6 +593,7 @@ app.use(
       "Authorization",
       "X-Requested-With",
       "x-bc-session",
+      "Idempotency-Key",
     ],
     credentials: false, // no cookies in play
   })
@@ -277,6 +635,8 @@ app.get("/healthz", (_req, res) =>
 
 /* ---------- Chart Poller (DexScreener) ---------- */
 const TOKEN_MINT = "J3rYdme789g1zAysfbH9oP4zjagvfVM2PX7KJgFDpump";
+const FART_MINT_STR =
+  process.env.FART_MINT || "9BB6NFEcjBCtnNLFko2FqVQBq8HHM13kCyYcdQbgpump";
 
 // Homepage “vaults” (same as in your HTML)
 const CTO_WALLET    = "6ssbYRD3yWy11XNSQXNgTzvmyoUPZcLMyTFMj8mcyC3";
@@ -289,12 +649,143 @@ const BURN_WALLET = "ALx2adVFnWK5oBmEMnUzS2drjbrLJYiFML2YctUkaUy";
 
 let FETCH_INTERVAL = 70000;
 const BACKOFF_INTERVAL = 180000;
+const MIN_TOKEN_POLL_MS = 30000;           // never poll one token faster than this
+const TRACKED_TOKENS_REFRESH_MS = 5 * 60 * 1000;
 let isBackoff = false,
   fetchInProgress = false,
   pollTimer = null;
-let memoryCache = [];
 
-async function insertPoint(point) {
+/* ---------- Tracked-token registry ----------
+ * Built-ins: BLACK (always, FETCH_INTERVAL) + FART (staking reward token).
+ * Partner tokens come from Supabase:
+ *   hub_tracked_tokens (mint text pk, symbol text, poll_interval_ms int, enabled bool default true)
+ * chart_data rows carry a `mint`; rows from before that column existed
+ * (mint is null) are BLACK.
+ */
+const TRACKED_TOKENS = new Map(); // mint -> { mint, symbol, intervalMs, nextAt, builtIn }
+let trackedTokensLoadedAt = 0;
+
+function clampPollInterval(ms, fallback) {
+  const n = Number(ms);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.max(MIN_TOKEN_POLL_MS, n);
+}
+
+function builtInTrackedTokens() {
+  return [
+    { mint: TOKEN_MINT, symbol: "BLACK", intervalMs: FETCH_INTERVAL },
+    {
+      mint: FART_MINT_STR,
+      symbol: "FART",
+      intervalMs: clampPollInterval(process.env.FART_POLL_INTERVAL_MS, 2 * FETCH_INTERVAL),
+    },
+  ];
+}
+
+function upsertTrackedToken({ mint, symbol, intervalMs }, builtIn) {
+  const prev = TRACKED_TOKENS.get(mint);
+  TRACKED_TOKENS.set(mint, {
+    mint,
+    symbol: symbol || prev?.symbol || null,
+    intervalMs,
+    nextAt: prev?.nextAt ?? Date.now(),
+    builtIn,
+  });
+}
+
+function getTrackedTokens() {
+  if (!TRACKED_TOKENS.size) {
+    for (const t of builtInTrackedTokens()) upsertTrackedToken(t, true);
+  }
+  return TRACKED_TOKENS;
+}
+
+// Re-read hub_tracked_tokens (non-fatal; built-ins always stay)
+async function refreshTrackedTokens() {
+  const registry = getTrackedTokens();
+  try {
+    const { data, error } = await supabase
+      .from("hub_tracked_tokens")
+      .select("mint, symbol, poll_interval_ms, enabled");
+    if (error) {
+      warn("[chart/tokens] registry load failed:", error.message);
+      return registry;
+    }
+
+    const wanted = new Set(builtInTrackedTokens().map((t) => t.mint));
+    for (const row of data || []) {
+      const mint = String(row.mint || "").trim();
+      if (!mint || row.enabled === false) continue;
+      wanted.add(mint);
+      const builtIn = registry.get(mint)?.builtIn || false;
+      upsertTrackedToken(
+        {
+          mint,
+          symbol: row.symbol,
+          intervalMs: clampPollInterval(
+            row.poll_interval_ms,
+            builtIn ? registry.get(mint).intervalMs : FETCH_INTERVAL
+          ),
+        },
+        builtIn
+      );
+    }
+    for (const mint of registry.keys()) {
+      if (!wanted.has(mint)) registry.delete(mint);
+    }
+  } catch (e) {
+    warn("[chart/tokens] registry load exception:", e?.message || e);
+  } finally {
+    trackedTokensLoadedAt = Date.now();
+  }
+  return registry;
+}
+
+// "" → BLACK; tracked mint → itself; anything else → null
+function resolveChartMint(raw) {
+  const mint = String(raw || "").trim();
+  if (!mint) return TOKEN_MINT;
+  return getTrackedTokens().has(mint) ? mint : null;
+}
+
+// Restrict a chart_data query to one mint (legacy null-mint rows are BLACK)
+function scopeChartMint(query, mint) {
+  return mint === TOKEN_MINT
+    ? query.or(`mint.eq.${mint},mint.is.null`)
+    : query.eq("mint", mint);
+}
+
+// In-memory fallback ticks per mint (used when Supabase is unreachable)
+const MEMORY_CACHE_LIMIT = 10000;
+const memoryCache = new Map(); // mint -> [point]
+
+function memoryCacheFor(mint) {
+  if (!memoryCache.has(mint)) memoryCache.set(mint, []);
+  return memoryCache.get(mint);
+}
+
+// Rolling 24h volume of the previous tick per mint → per-tick volume delta.
+// Shared by the rollup tables and the live WS candles.
+const TICK_STATE = new Map(); // mint -> { lastVolume }
+
+async function nextVolumeDelta(point) {
+  const vol = +point.volume;
+  let st = TICK_STATE.get(point.mint);
+  if (!st) {
+    const prev = await fetchChartRowBefore(point.timestamp, point.mint);
+    st = {
+      lastVolume: prev && Number.isFinite(+prev.volume) ? +prev.volume : null,
+    };
+    TICK_STATE.set(point.mint, st);
+  }
+  if (!Number.isFinite(vol)) return 0;
+  const delta =
+    st.lastVolume != null ? Math.max(0, vol - st.lastVolume) : 0;
+  st.lastVolume = vol;
+  return delta;
+}
+
+async function insertPoint(point, volDelta = 0) {
   try {
     const { data, error } = await supabase
       .from("chart_data")
@@ -308,9 +799,12 @@ async function insertPoint(point) {
       log(
         "Supabase insert ok → chart_data.id =",
         data?.id,
+        "mint =",
+        point.mint,
         "timestamp =",
         data?.timestamp
       );
+      await updateChartRollups(point, volDelta);
     }
   } catch (e) {
     err("Supabase insert exception:", e);
@@ -318,48 +812,275 @@ async function insertPoint(point) {
 }
 
 
-async function fetchOneTick() {
-  fetchInProgress = true;
-  log("⏱️  Polling DexScreener...");
+/* ---------- Price oracle for chart ticks ----------
+ * Each tick collects quotes from:
+ *   - DexScreener: every Solana pair where the mint is the base token,
+ *     weighted by pair liquidity (pairs under ORACLE_MIN_LIQUIDITY_USD are
+ *     dropped unless nothing else is left)
+ *   - Jupiter Price API v3, weighted like the deepest DexScreener pool
+ *     (it routes through the best pools anyway)
+ *   - optional on-chain pool vault reads, configured per mint in
+ *     ORACLE_ONCHAIN_POOLS = {"<mint>": [{"baseVault","quoteVault","quoteMint"}]}
+ * The stored price is the liquidity-weighted median. A tick more than
+ * ORACLE_MAX_DEVIATION_PCT away from the recent median is dropped, unless
+ * that keeps happening ORACLE_MAX_CONSECUTIVE_REJECTS times in a row (then
+ * it's a real move, not a bad pair). chart_data.sources (jsonb) records
+ * which quotes went into each tick.
+ */
+const ORACLE_MIN_LIQUIDITY_USD = Number(process.env.ORACLE_MIN_LIQUIDITY_USD || "1000");
+const ORACLE_MAX_DEVIATION_PCT = (() => {
+  const raw = Number(process.env.ORACLE_MAX_DEVIATION_PCT || "25");
+  if (!Number.isFinite(raw) || raw <= 0) return 25;
+  return Math.min(1000, raw);
+})();
+const ORACLE_RECENT_TICKS = 10;           // recent median baseline window
+const ORACLE_MAX_CONSECUTIVE_REJECTS = 3;
+
+const ORACLE_ONCHAIN_POOLS = (() => {
+  try {
+    const parsed = JSON.parse(process.env.ORACLE_ONCHAIN_POOLS || "{}");
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    warn("[oracle] ORACLE_ONCHAIN_POOLS is not valid JSON — on-chain source disabled");
+    return {};
+  }
+})();
+
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+
+const ORACLE_REJECTS = new Map(); // mint -> consecutive rejected ticks
+
+// Jupiter Price API v3 (Lite) — raw price or 0. Handles both the v3
+// ({ [mint]: { usdPrice } }) and older ({ data: { [mint]: { price } } }) shapes.
+async function fetchJupiterPriceV3(mint) {
+  const url = `https://lite-api.jup.ag/price/v3?ids=${encodeURIComponent(mint)}`;
+  const r = await fetch(url, {
+    headers: {
+      accept: "application/json",
+      "Cache-Control": "no-cache",
+    },
+  });
+  if (!r.ok) return 0;
+  const j = await r.json();
+  return Number(j?.[mint]?.usdPrice ?? j?.data?.[mint]?.price) || 0;
+}
+
+// → { status: "ok" | "backoff" | "fail", quotes, change, volume }
+async function collectDexScreenerQuotes(mint) {
   try {
     const res = await fetch(
-      `https://api.dexscreener.com/latest/dex/tokens/${TOKEN_MINT}`,
+      `https://api.dexscreener.com/latest/dex/tokens/${mint}`,
       { headers: { "Cache-Control": "no-cache" } }
     );
-
-    if (res.status === 429) {
-      warn("⚠️  429 — entering backoff");
-      return "backoff";
-    }
+    if (res.status === 429) return { status: "backoff", quotes: [] };
     if (!res.ok) {
-      warn(`⚠️  Upstream ${res.status} — continuing`);
-      return "softfail";
+      warn(`⚠️  DexScreener ${res.status} for`, mint);
+      return { status: "fail", quotes: [] };
     }
 
     const json = await res.json();
-    const pair = json?.pairs?.[0];
-    if (!pair) {
-      warn("⚠️  No pairs in response");
-      return "softfail";
+    const pairs = (Array.isArray(json?.pairs) ? json.pairs : []).filter(
+      (p) =>
+        p?.chainId === "solana" &&
+        p?.baseToken?.address === mint &&
+        Number(p?.priceUsd) > 0
+    );
+    if (!pairs.length) return { status: "fail", quotes: [] };
+
+    const all = pairs.map((p) => ({
+      source: "dexscreener",
+      pair: p.pairAddress || null,
+      dex: p.dexId || null,
+      price: Number(p.priceUsd),
+      weight: Math.max(0, Number(p?.liquidity?.usd) || 0),
+    }));
+    const deep = all.filter((q) => q.weight >= ORACLE_MIN_LIQUIDITY_USD);
+    const quotes = deep.length ? deep : all.map((q) => ({ ...q, weight: q.weight || 1 }));
+
+    // 24h change from the deepest pair; 24h volume summed across every pair
+    const deepest = pairs.reduce((a, b) =>
+      (Number(b?.liquidity?.usd) || 0) > (Number(a?.liquidity?.usd) || 0) ? b : a
+    );
+    const volume = pairs.reduce((sum, p) => sum + (Number(p?.volume?.h24) || 0), 0);
+
+    return {
+      status: "ok",
+      quotes,
+      change: Number(deepest?.priceChange?.h24),
+      volume,
+    };
+  } catch (e) {
+    warn("[oracle] DexScreener fetch failed:", e?.message || e);
+    return { status: "fail", quotes: [] };
+  }
+}
+
+async function collectJupiterQuote(mint, weight) {
+  try {
+    const price = await fetchJupiterPriceV3(mint);
+    if (!(price > 0)) return null;
+    return { source: "jupiter", price, weight };
+  } catch (e) {
+    warn("[oracle] Jupiter price failed:", e?.message || e);
+    return null;
+  }
+}
+
+// Constant-product spot price from the pool's two vault balances
+async function collectOnchainPoolQuotes(mint) {
+  const pools = Array.isArray(ORACLE_ONCHAIN_POOLS[mint])
+    ? ORACLE_ONCHAIN_POOLS[mint]
+    : [];
+  if (!pools.length || !HELIUS_KEY) return [];
+
+  const out = [];
+  for (const pool of pools) {
+    try {
+      const [base, quote] = await Promise.all([
+        rpc("getTokenAccountBalance", [pool.baseVault, { commitment: "confirmed" }]),
+        rpc("getTokenAccountBalance", [pool.quoteVault, { commitment: "confirmed" }]),
+      ]);
+      const baseAmt = Number(base?.value?.uiAmountString ?? base?.value?.uiAmount ?? 0);
+      const quoteAmt = Number(quote?.value?.uiAmountString ?? quote?.value?.uiAmount ?? 0);
+      if (!(baseAmt > 0) || !(quoteAmt > 0)) continue;
+
+      const quoteMint = pool.quoteMint || WSOL_MINT;
+      const quoteUsd =
+        quoteMint === WSOL_MINT ? await getSolUsd() : await getTokenUsd(quoteMint);
+      if (!(quoteUsd > 0)) continue;
+
+      out.push({
+        source: "onchain",
+        pair: pool.baseVault,
+        price: (quoteAmt / baseAmt) * quoteUsd,
+        weight: 2 * quoteAmt * quoteUsd, // both sides of a CPMM pool are worth the same
+      });
+    } catch (e) {
+      warn("[oracle] on-chain pool read failed:", pool?.baseVault, e?.message || e);
+    }
+  }
+  return out;
+}
+
+// Lower weighted median of [{ price, weight }]
+function weightedMedian(quotes) {
+  const list = quotes
+    .filter((q) => q.price > 0 && q.weight > 0)
+    .sort((a, b) => a.price - b.price);
+  if (!list.length) return null;
+
+  const total = list.reduce((sum, q) => sum + q.weight, 0);
+  let acc = 0;
+  for (const q of list) {
+    acc += q.weight;
+    if (acc >= total / 2) return q.price;
+  }
+  return list[list.length - 1].price;
+}
+
+function plainMedian(values) {
+  const v = values.filter((x) => Number.isFinite(x)).sort((a, b) => a - b);
+  if (!v.length) return null;
+  const mid = Math.floor(v.length / 2);
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+// Recent median for the mint: memory first, DB after a restart
+async function getRecentMedianPrice(mint) {
+  let recent = memoryCacheFor(mint).slice(-ORACLE_RECENT_TICKS).map((p) => +p.price);
+  if (recent.length < ORACLE_RECENT_TICKS) {
+    const base = supabase.from("chart_data").select("price");
+    const { data, error } = await scopeChartMint(base, mint)
+      .order("timestamp", { ascending: false })
+      .limit(ORACLE_RECENT_TICKS);
+    if (!error && data?.length > recent.length) {
+      recent = data.map((r) => +r.price);
+    }
+  }
+  return plainMedian(recent);
+}
+
+async function fetchOneTick(mint = TOKEN_MINT) {
+  fetchInProgress = true;
+  log("⏱️  Polling price sources...", mint);
+  try {
+    const [dex, onchain] = await Promise.all([
+      collectDexScreenerQuotes(mint),
+      collectOnchainPoolQuotes(mint),
+    ]);
+
+    if (dex.status === "backoff") {
+      warn("⚠️  DexScreener 429 — entering backoff");
+    }
+
+    const jupWeight = Math.max(
+      1,
+      ...dex.quotes.map((q) => q.weight),
+      ...onchain.map((q) => q.weight)
+    );
+    const jup = await collectJupiterQuote(mint, jupWeight);
+
+    const quotes = [...dex.quotes, ...onchain, ...(jup ? [jup] : [])];
+    const price = weightedMedian(quotes);
+    if (!price) {
+      warn("⚠️  No usable price quotes for", mint);
+      return dex.status === "backoff" ? "backoff" : "softfail";
+    }
+
+    // Outlier guard against the recent median
+    const recentMedian = await getRecentMedianPrice(mint);
+    if (recentMedian) {
+      const deviationPct = (Math.abs(price - recentMedian) / recentMedian) * 100;
+      const rejects = ORACLE_REJECTS.get(mint) || 0;
+      if (
+        deviationPct > ORACLE_MAX_DEVIATION_PCT &&
+        rejects < ORACLE_MAX_CONSECUTIVE_REJECTS
+      ) {
+        ORACLE_REJECTS.set(mint, rejects + 1);
+        warn(
+          "⚠️  Tick rejected as outlier",
+          mint,
+          "price=",
+          price,
+          "recentMedian=",
+          recentMedian,
+          `deviation=${deviationPct.toFixed(1)}%`,
+          "sources=",
+          quotes.map((q) => q.source).join(",")
+        );
+        return dex.status === "backoff" ? "backoff" : "softfail";
+      }
     }
+    ORACLE_REJECTS.delete(mint);
+
+    // Without DexScreener we have no 24h stats; carry the last known ones
+    const last = memoryCacheFor(mint).at(-1);
+    const change = Number.isFinite(dex.change) ? dex.change : last?.change ?? null;
+    const volume = Number.isFinite(dex.volume) ? dex.volume : last?.volume ?? null;
 
     const point = {
+      mint,
       timestamp: new Date().toISOString(),
-      price: +pair.priceUsd,
-      change: +(pair.priceChange?.h24),
-      volume: +(pair.volume?.h24),
+      price,
+      change,
+      volume,
+      sources: quotes.map((q) => ({
+        source: q.source,
+        ...(q.pair ? { pair: q.pair } : {}),
+        ...(q.dex ? { dex: q.dex } : {}),
+        price: q.price,
+        weight: +q.weight.toFixed(2),
+      })),
     };
 
-    if (Object.values(point).some((v) => Number.isNaN(v))) {
-      warn("⚠️  Invalid numeric fields — skipping insert");
-      return "softfail";
-    }
-
-    memoryCache.push(point);
-    if (memoryCache.length > 10000) memoryCache.shift();
-    await insertPoint(point);
-    log("✅ Chart data stored");
-    return "ok";
+    const cache = memoryCacheFor(mint);
+    cache.push(point);
+    if (cache.length > MEMORY_CACHE_LIMIT) cache.shift();
+    const volDelta = await nextVolumeDelta(point);
+    await insertPoint(point, volDelta);
+    log("✅ Chart data stored", mint, "price=", price, "quotes=", quotes.length);
+    await publishChartTick(point, volDelta);
+    return dex.status === "backoff" ? "backoff" : "ok";
   } catch (e) {
     err("fetchOneTick failed:", e);
     return "softfail";
@@ -370,120 +1091,734 @@ async function fetchOneTick() {
 
 function scheduleNext(ms) {
   if (pollTimer) clearTimeout(pollTimer);
-  pollTimer = setTimeout(pollLoop, ms);
+  pollTimer = setTimeout(pollLoop, Math.max(1000, ms));
 }
 
+// One token per pass: whichever tracked token is most overdue.
+// A 429 backs off every token, since DexScreener limits per IP.
 async function pollLoop() {
   if (fetchInProgress) {
     warn("⏸️  Previous fetch still running — skipping");
     return scheduleNext(isBackoff ? BACKOFF_INTERVAL : FETCH_INTERVAL);
   }
-  const r = await fetchOneTick();
+
+  if (Date.now() - trackedTokensLoadedAt > TRACKED_TOKENS_REFRESH_MS) {
+    await refreshTrackedTokens();
+  }
+
+  const tokens = Array.from(getTrackedTokens().values());
+  const due = tokens.sort((a, b) => a.nextAt - b.nextAt)[0];
+  if (!due || due.nextAt > Date.now()) {
+    return scheduleNext(due ? due.nextAt - Date.now() : FETCH_INTERVAL);
+  }
+
+  const r = await fetchOneTick(due.mint);
+  due.nextAt = Date.now() + due.intervalMs;
+
   if (r === "backoff") {
     isBackoff = true;
+    const resumeAt = Date.now() + BACKOFF_INTERVAL;
+    for (const t of tokens) t.nextAt = Math.max(t.nextAt, resumeAt);
     return scheduleNext(BACKOFF_INTERVAL);
   }
   if (isBackoff && r === "ok") {
     isBackoff = false;
     log("⏳  Backoff ended — resume normal interval");
   }
-  scheduleNext(FETCH_INTERVAL);
-}
-pollLoop();
 
-function bucketMs(interval) {
-  switch (interval) {
-    case "5m": return 5 * 60 * 1000;
-    case "30m": return 30 * 60 * 1000;
-    case "1h": return 60 * 60 * 1000;
-    case "D": return 24 * 60 * 60 * 1000;
-    default: return 5 * 60 * 1000; // fallback: treat unknown as 5m
-  }
+  const next = Math.min(...tokens.map((t) => t.nextAt));
+  scheduleNext(next - Date.now());
 }
 
+/* ---------- Chart intervals + OHLC candles ---------- */
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Every interval the UI offers. "1d" is an alias for the legacy "D".
+const CHART_INTERVALS = {
+  "1m": { ms: MINUTE_MS, window: DAY_MS },
+  "5m": { ms: 5 * MINUTE_MS, window: DAY_MS },
+  "15m": { ms: 15 * MINUTE_MS, window: DAY_MS },
+  "30m": { ms: 30 * MINUTE_MS, window: DAY_MS },
+  "1h": { ms: HOUR_MS, window: 7 * DAY_MS },
+  "4h": { ms: 4 * HOUR_MS, window: 14 * DAY_MS },
+  D: { ms: DAY_MS, window: 30 * DAY_MS },
+  "1w": { ms: 7 * DAY_MS, window: 365 * DAY_MS },
+};
+const CHART_INTERVAL_ALIASES = { "1d": "D", d: "D", "1D": "D", "1W": "1w" };
+
+// Weekly buckets start on Monday 00:00 UTC (the epoch was a Thursday)
+const WEEK_ALIGN_OFFSET_MS = 4 * DAY_MS;
 
-// Time window per interval:
-// - 1m / 5m / 30m: last 24h
-// - 1h: last 7 days
-// - D: last 30 days
-function getWindow(interval) {
-  const now = Date.now();
-  const DAY = 24 * 60 * 60 * 1000;
+const CHART_MAX_BUCKETS = 5000;       // refuse ranges that would draw more candles than this
+const CHART_MAX_RAW_ROWS = 60000;     // hard stop when paging raw chart_data
+const CHART_MAX_REQUEST_ROWS = 10000; // raw rows one /api/chart request may page through
+const CHART_PAGE_SIZE = 1000;         // PostgREST max-rows default
 
-  if (interval === "D")
-    return new Date(now - 30 * DAY).toISOString();
-  if (interval === "1h")
-    return new Date(now - 7 * DAY).toISOString();
+// Returns the canonical interval key, or null if unsupported
+function normalizeInterval(interval) {
+  const raw = String(interval || "D").trim();
+  const key = CHART_INTERVAL_ALIASES[raw] || raw;
+  return CHART_INTERVALS[key] ? key : null;
+}
 
-  // 1m, 5m, 30m, others → 24h
-  return new Date(now - DAY).toISOString();
+function bucketMs(interval) {
+  return CHART_INTERVALS[normalizeInterval(interval) || "5m"].ms;
 }
 
 function floorToBucketUTC(tsISO, interval) {
   const ms = bucketMs(interval);
-  const d = new Date(tsISO);
-  return new Date(Math.floor(d.getTime() / ms) * ms);
+  const t = new Date(tsISO).getTime();
+  const offset = ms === CHART_INTERVALS["1w"].ms ? WEEK_ALIGN_OFFSET_MS : 0;
+  return new Date(Math.floor((t - offset) / ms) * ms + offset);
 }
 
-function bucketize(rows, interval) {
-  const m = new Map();
-  for (const r of rows) {
-    const key = floorToBucketUTC(r.timestamp, interval).toISOString();
-    const price  = +r.price;
-    const change = +r.change;
-    const vol    = +r.volume;
-
-    if (!m.has(key)) {
-      m.set(key, { timestamp: key, price, change, volume: 0 });
-    }
-    const b = m.get(key);
-    b.price  = price;                // last price in bucket
-    b.change = change;               // last 24h change in bucket
-    b.volume += Number.isNaN(vol) ? 0 : vol; // sum volume
+// Accept ISO strings, unix seconds or unix ms
+function parseChartTime(v) {
+  if (v == null || v === "") return null;
+  const s = String(v).trim();
+  if (/^\d+$/.test(s)) {
+    const n = Number(s);
+    return new Date(n < 1e12 ? n * 1000 : n);
   }
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Resolve the [from, to] range for a chart request.
+ * Explicit ?from=/&to= win; otherwise the default window for the interval
+ * (24h for intraday, 7d for 1h, 30d for D, ...) ending now.
+ * Returns { from, to } as Dates, or { error }.
+ */
+function getChartRange(interval, query = {}) {
+  const cfg = CHART_INTERVALS[interval];
+  const to = parseChartTime(query.to) || new Date();
+  const from =
+    parseChartTime(query.from) || new Date(to.getTime() - cfg.window);
+
+  if (Number.isNaN(to.getTime()) || Number.isNaN(from.getTime())) {
+    return { error: "invalid_range" };
+  }
+  if (from.getTime() >= to.getTime()) return { error: "invalid_range" };
+  if ((to.getTime() - from.getTime()) / cfg.ms > CHART_MAX_BUCKETS) {
+    return { error: "range_too_large", maxBuckets: CHART_MAX_BUCKETS };
+  }
+  return { from, to };
+}
+
+function newCandle(timestamp, price) {
+  return {
+    timestamp,
+    open: price,
+    high: price,
+    low: price,
+    close: price,
+    volume: 0,
+    change: null,
+    ticks: 0,
+  };
+}
+
+function applyTickToCandle(c, price, change, volDelta) {
+  if (price > c.high) c.high = price;
+  if (price < c.low) c.low = price;
+  c.close = price;
+  if (Number.isFinite(change)) c.change = change; // last 24h change in bucket
+  c.volume += volDelta;
+  c.ticks++;
+}
+
+// Fold finer candles (sorted ascending) into coarser `interval` buckets
+function mergeCandles(candles, interval) {
+  const m = new Map();
+  for (const x of candles) {
+    const key = floorToBucketUTC(x.timestamp, interval).toISOString();
+    let c = m.get(key);
+    if (!c) {
+      c = newCandle(key, x.open);
+      m.set(key, c);
+    }
+    if (x.high > c.high) c.high = x.high;
+    if (x.low < c.low) c.low = x.low;
+    c.close = x.close;
+    if (x.change != null) c.change = x.change;
+    c.volume += x.volume;
+    c.ticks += x.ticks;
+  }
+  return Array.from(m.values()).sort(
+    (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
+  );
+}
+
+/**
+ * Build OHLC candles from raw ticks (sorted ascending).
+ *
+ * chart_data.volume is DexScreener's *rolling 24h* volume, so summing it is
+ * meaningless. Per-bucket volume is the sum of positive tick-to-tick deltas
+ * of that rolling figure. Negative deltas (old volume leaving the 24h
+ * window faster than new volume arrives) count as 0, so this is a lower
+ * bound, but it is in the right units.
+ *
+ * `prev` is the last tick before the range, so the first bucket gets a delta too.
+ */
+function buildCandles(rows, interval, prev = null) {
+  const m = new Map();
+  let lastVol = prev && Number.isFinite(+prev.volume) ? +prev.volume : null;
+
+  for (const r of rows) {
+    const price = +r.price;
+    if (!Number.isFinite(price)) continue;
+    const change = +r.change;
+    const vol = +r.volume;
+
+    let volDelta = 0;
+    if (Number.isFinite(vol)) {
+      if (lastVol != null) volDelta = Math.max(0, vol - lastVol);
+      lastVol = vol;
+    }
+
+    const key = floorToBucketUTC(r.timestamp, interval).toISOString();
+    const c = m.get(key) || newCandle(key, price);
+    m.set(key, c);
+    applyTickToCandle(c, price, change, volDelta);
+  }
+
   return Array.from(m.values()).sort(
     (a, b) => new Date(a.timestamp) - new Date(b.timestamp)
   );
 }
 
+// Legacy point shape: { timestamp, price (close), change, volume }
+function bucketize(rows, interval, prev = null) {
+  return buildCandles(rows, interval, prev).map((c) => ({
+    timestamp: c.timestamp,
+    price: c.close,
+    change: c.change,
+    volume: c.volume,
+  }));
+}
+
+// Page through chart_data for [from, to] (PostgREST caps each response)
+// → { rows, truncated } — truncated when maxRows stopped the paging early
+async function fetchChartRowsInRange(
+  fromIso,
+  toIso,
+  mint = TOKEN_MINT,
+  columns = "timestamp, price, change, volume",
+  { maxRows = CHART_MAX_RAW_ROWS } = {}
+) {
+  const rows = [];
+  for (let offset = 0; offset < maxRows; offset += CHART_PAGE_SIZE) {
+    const base = supabase.from("chart_data").select(columns);
+    const { data, error } = await scopeChartMint(base, mint)
+      .gte("timestamp", fromIso)
+      .lte("timestamp", toIso)
+      .order("timestamp", { ascending: true })
+      .range(offset, offset + CHART_PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < CHART_PAGE_SIZE) return { rows, truncated: false };
+  }
+  warn("[chart] raw rows truncated at", maxRows, "mint=", mint, "from=", fromIso, "to=", toIso);
+  return { rows, truncated: true };
+}
+
+// Last tick strictly before `iso` — seeds the volume delta of the first bucket
+async function fetchChartRowBefore(iso, mint = TOKEN_MINT) {
+  const base = supabase
+    .from("chart_data")
+    .select("timestamp, price, change, volume");
+  const { data, error } = await scopeChartMint(base, mint)
+    .lt("timestamp", iso)
+    .order("timestamp", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    warn("[chart] previous-row lookup failed:", error.message);
+    return null;
+  }
+  return data || null;
+}
+
+/* ---------- Chart rollups (chart_5m / chart_1h / chart_1d) ----------
+ * Pre-aggregated candles so /api/chart doesn't re-bucket thousands of raw
+ * rows per request. Each table:
+ *   mint text, bucket timestamptz, open, high, low, close, volume, change numeric,
+ *   ticks int, last_volume numeric, last_tick_at timestamptz,
+ *   updated_at timestamptz, primary key (mint, bucket)
+ * (last_volume = rolling 24h volume at the bucket's last tick; last_tick_at
+ * = that tick's timestamp.)
+ *
+ * insertPoint() folds every new tick in; `--rebuild-rollups` (or the admin
+ * endpoint) rebuilds them from raw chart_data. Both write through Postgres
+ * functions so concurrent writers (other instances, a rebuild while the
+ * poller runs) never read-modify-write a bucket in Node:
+ *   create function hub_chart_rollup_tick(p_table text, p_mint text,
+ *       p_bucket timestamptz, p_ts timestamptz, p_price numeric,
+ *       p_change numeric, p_volume numeric, p_last_volume numeric)
+ *     returns void language plpgsql as $$
+ *     begin
+ *       if p_table not in ('chart_5m', 'chart_1h', 'chart_1d') then
+ *         raise exception 'unknown rollup table %', p_table;
+ *       end if;
+ *       execute format($f$
+ *         insert into %I as r (mint, bucket, open, high, low, close, volume,
+ *                              change, ticks, last_volume, last_tick_at, updated_at)
+ *         values ($1, $2, $4, $4, $4, $4, $6, $5, 1, $7, $3, now())
+ *         on conflict (mint, bucket) do update set
+ *           high = greatest(r.high, excluded.high),
+ *           low = least(r.low, excluded.low),
+ *           close = excluded.close,
+ *           change = coalesce(excluded.change, r.change),
+ *           volume = r.volume + excluded.volume,
+ *           ticks = r.ticks + 1,
+ *           last_volume = coalesce(excluded.last_volume, r.last_volume),
+ *           last_tick_at = excluded.last_tick_at,
+ *           updated_at = now()
+ *         where r.last_tick_at is null or r.last_tick_at < excluded.last_tick_at
+ *       $f$, p_table)
+ *       using p_mint, p_bucket, p_ts, p_price, p_change, p_volume, p_last_volume;
+ *     end $$;
+ *   create function hub_chart_rollup_put(p_table text, p_rows jsonb)
+ *     returns void language plpgsql as $$
+ *     begin
+ *       (same table check)
+ *       execute format($f$
+ *         insert into %1$I as r
+ *         select * from jsonb_populate_recordset(null::%1$I, $1)
+ *         on conflict (mint, bucket) do update set
+ *           open = excluded.open, high = excluded.high, low = excluded.low,
+ *           close = excluded.close, volume = excluded.volume,
+ *           change = excluded.change, ticks = excluded.ticks,
+ *           last_volume = excluded.last_volume,
+ *           last_tick_at = excluded.last_tick_at, updated_at = now()
+ *         where r.last_tick_at is null or r.last_tick_at <= excluded.last_tick_at
+ *       $f$, p_table) using p_rows;
+ *     end $$;
+ * A tick older than the bucket's last_tick_at is already in it; a rebuilt
+ * bucket never replaces one the live updater has folded newer ticks into.
+ */
+const CHART_ROLLUPS = [
+  { table: "chart_5m", interval: "5m" },
+  { table: "chart_1h", interval: "1h" },
+  { table: "chart_1d", interval: "D" },
+];
+
+// Which rollup serves which requested interval (1m stays on raw rows)
+const ROLLUP_FOR_INTERVAL = {
+  "5m": CHART_ROLLUPS[0],
+  "15m": CHART_ROLLUPS[0],
+  "30m": CHART_ROLLUPS[0],
+  "1h": CHART_ROLLUPS[1],
+  "4h": CHART_ROLLUPS[1],
+  D: CHART_ROLLUPS[2],
+  "1w": CHART_ROLLUPS[2],
+};
+
+const CHART_USE_ROLLUPS =
+  String(process.env.CHART_USE_ROLLUPS || "true").toLowerCase() !== "false";
+
+function rollupRowToCandle(r) {
+  return {
+    timestamp: new Date(r.bucket).toISOString(),
+    open: Number(r.open),
+    high: Number(r.high),
+    low: Number(r.low),
+    close: Number(r.close),
+    volume: Number(r.volume || 0),
+    change: r.change != null ? Number(r.change) : null,
+    ticks: Number(r.ticks || 0),
+  };
+}
+
+function candleToRollupRow(c, lastVolume, mint, lastTickAt) {
+  return {
+    mint,
+    bucket: c.timestamp,
+    open: c.open,
+    high: c.high,
+    low: c.low,
+    close: c.close,
+    volume: +c.volume.toFixed(6),
+    change: c.change,
+    ticks: c.ticks,
+    last_volume: lastVolume,
+    last_tick_at: lastTickAt,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+// Fold one freshly inserted tick into every rollup table (non-fatal)
+async function updateChartRollups(point, volDelta = 0) {
+  try {
+    const price = +point.price;
+    const change = +point.change;
+    const vol = +point.volume;
+    if (!Number.isFinite(price)) return;
+
+    for (const { table, interval } of CHART_ROLLUPS) {
+      const { error } = await supabase.rpc("hub_chart_rollup_tick", {
+        p_table: table,
+        p_mint: point.mint,
+        p_bucket: floorToBucketUTC(point.timestamp, interval).toISOString(),
+        p_ts: new Date(point.timestamp).toISOString(),
+        p_price: price,
+        p_change: Number.isFinite(change) ? change : null,
+        p_volume: +volDelta.toFixed(6),
+        p_last_volume: Number.isFinite(vol) ? vol : null,
+      });
+      if (error) warn(`[chart/rollup] ${table} tick merge failed:`, error.message);
+    }
+  } catch (e) {
+    warn("[chart/rollup] update exception (non-fatal):", e?.message || e);
+  }
+}
+
+/**
+ * One-off migration, run by `--rebuild-rollups` before it rebuilds: rollup
+ * rows written before the tables carried a `mint` are BLACK, so stamp them
+ * with TOKEN_MINT. Where the live updater already wrote a BLACK row for the
+ * same bucket, the legacy row is dropped — the rebuild that follows
+ * recomputes those buckets from raw chart_data. Returns rows adopted.
+ */
+async function adoptLegacyRollupRows() {
+  let adopted = 0;
+  let dropped = 0;
+  for (const { table } of CHART_ROLLUPS) {
+    for (;;) {
+      const { data: legacy, error } = await supabase
+        .from(table)
+        .select("bucket")
+        .is("mint", null)
+        .order("bucket", { ascending: true })
+        .limit(CHART_PAGE_SIZE);
+      if (error) throw error;
+      if (!legacy?.length) break;
+
+      const buckets = legacy.map((r) => r.bucket);
+      const { data: taken, error: takenErr } = await supabase
+        .from(table)
+        .select("bucket")
+        .eq("mint", TOKEN_MINT)
+        .in("bucket", buckets);
+      if (takenErr) throw takenErr;
+
+      const clash = (taken || []).map((r) => r.bucket);
+      if (clash.length) {
+        const { error: delErr } = await supabase
+          .from(table)
+          .delete()
+          .is("mint", null)
+          .in("bucket", clash);
+        if (delErr) throw delErr;
+      }
+      const { data: moved, error: upErr } = await supabase
+        .from(table)
+        .update({ mint: TOKEN_MINT })
+        .is("mint", null)
+        .in("bucket", buckets)
+        .select("bucket");
+      if (upErr) throw upErr;
+      if (!moved?.length && !clash.length) break; // nothing changed; don't spin
+      adopted += moved?.length || 0;
+      dropped += clash.length;
+    }
+  }
+  if (adopted || dropped) {
+    log("[chart/rollup] legacy BLACK rows adopted:", adopted, "dropped:", dropped);
+  }
+  return adopted;
+}
+
+/**
+ * Rebuild the rollup tables from raw chart_data, one UTC day at a time
+ * (5m, 1h and 1d buckets never straddle a day boundary).
+ * Without `mint`, every tracked token is rebuilt.
+ * Returns { days, rows, buckets }.
+ */
+async function rebuildChartRollups({ from = null, mint = null } = {}) {
+  if (!mint) {
+    const total = { days: 0, rows: 0, buckets: 0 };
+    for (const m of (await refreshTrackedTokens()).keys()) {
+      const st = await rebuildChartRollups({ from, mint: m });
+      total.days += st.days;
+      total.rows += st.rows;
+      total.buckets += st.buckets;
+    }
+    return total;
+  }
+
+  let start = from ? new Date(from) : null;
+  if (!start) {
+    const base = supabase.from("chart_data").select("timestamp");
+    const { data, error } = await scopeChartMint(base, mint)
+      .order("timestamp", { ascending: true })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return { days: 0, rows: 0, buckets: 0 };
+    start = new Date(data.timestamp);
+  }
+
+  let day = floorToBucketUTC(start.toISOString(), "D");
+  const stats = { days: 0, rows: 0, buckets: 0 };
+  let prev = await fetchChartRowBefore(day.toISOString(), mint);
+
+  while (day.getTime() <= Date.now()) {
+    const next = new Date(day.getTime() + DAY_MS);
+    // [day, next) — lte on next-1ms keeps the ranges disjoint
+    const { rows } = await fetchChartRowsInRange(
+      day.toISOString(),
+      new Date(next.getTime() - 1).toISOString(),
+      mint
+    );
+
+    if (rows.length) {
+      for (const { table, interval } of CHART_ROLLUPS) {
+        const candles = buildCandles(rows, interval, prev);
+        // last_volume / last_tick_at per bucket = that bucket's last raw tick
+        const lastByBucket = new Map();
+        for (const r of rows) {
+          lastByBucket.set(floorToBucketUTC(r.timestamp, interval).toISOString(), r);
+        }
+        const payload = candles.map((c) => {
+          const last = lastByBucket.get(c.timestamp);
+          return candleToRollupRow(
+            c,
+            last && Number.isFinite(+last.volume) ? +last.volume : null,
+            mint,
+            last ? new Date(last.timestamp).toISOString() : null
+          );
+        });
+        const { error } = await supabase.rpc("hub_chart_rollup_put", {
+          p_table: table,
+          p_rows: payload,
+        });
+        if (error) throw new Error(`${table} put failed: ${error.message}`);
+        stats.buckets += payload.length;
+      }
+      prev = rows[rows.length - 1];
+      stats.rows += rows.length;
+    }
+
+    stats.days++;
+    day = next;
+  }
+  TICK_STATE.delete(mint); // re-seed the next live delta from chart_data
+
+  log("[chart/rollup] rebuild done:", mint, JSON.stringify(stats));
+  return stats;
+}
+
+/**
+ * Candles for [from, to] served from a rollup table. Closed buckets come
+ * from the rollup; the currently open bucket is rebuilt from raw ticks so
+ * it's always current. → { candles, truncated }, or null when the rollup is
+ * unusable (error or empty) so the caller can fall back to raw rows.
+ */
+async function getCandlesFromRollup(interval, fromIso, toIso, mint = TOKEN_MINT) {
+  const rollup = ROLLUP_FOR_INTERVAL[interval];
+  if (!CHART_USE_ROLLUPS || !rollup) return null;
+
+  const openBucket = floorToBucketUTC(new Date().toISOString(), rollup.interval);
+  const openIso = openBucket.toISOString();
+  // Floor to the requested interval (4h, 1w) so the first candle is whole
+  const rangeStart = floorToBucketUTC(fromIso, interval).toISOString();
+
+  const closed = [];
+  for (let offset = 0; offset < CHART_MAX_RAW_ROWS; offset += CHART_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(rollup.table)
+      .select("bucket, open, high, low, close, volume, change, ticks")
+      .eq("mint", mint)
+      .gte("bucket", rangeStart)
+      .lte("bucket", toIso)
+      .lt("bucket", openIso)
+      .order("bucket", { ascending: true })
+      .range(offset, offset + CHART_PAGE_SIZE - 1);
+    if (error) {
+      warn(`[chart] ${rollup.table} read failed, using raw rows:`, error.message);
+      return null;
+    }
+    closed.push(...(data || []).map(rollupRowToCandle));
+    if (!data || data.length < CHART_PAGE_SIZE) break;
+  }
+
+  if (!closed.length) return null; // not backfilled yet → raw path
+
+  // Rollup only partly backfilled: raw rows cover the range before its
+  // oldest bucket
+  let head = [];
+  let truncated = false;
+  const firstBucket = closed[0].timestamp;
+  if (new Date(firstBucket).getTime() > new Date(rangeStart).getTime()) {
+    const [page, prev] = await Promise.all([
+      fetchChartRowsInRange(rangeStart, firstBucket, mint, undefined, {
+        maxRows: CHART_MAX_REQUEST_ROWS,
+      }),
+      fetchChartRowBefore(rangeStart, mint),
+    ]);
+    const before = page.rows.filter((r) => new Date(r.timestamp) < new Date(firstBucket));
+    head = buildCandles(before, rollup.interval, prev);
+    truncated = page.truncated;
+  }
+
+  let open = [];
+  if (openBucket.getTime() <= new Date(toIso).getTime()) {
+    const [page, prev] = await Promise.all([
+      fetchChartRowsInRange(openIso, toIso, mint),
+      fetchChartRowBefore(openIso, mint),
+    ]);
+    open = buildCandles(page.rows, rollup.interval, prev);
+  }
+
+  const candles = head.concat(closed, open);
+  return {
+    candles: rollup.interval === interval ? candles : mergeCandles(candles, interval),
+    truncated,
+  };
+}
+
 // === Chart API ===
+/*
+GET /api/chart?interval=1m|5m|15m|30m|1h|4h|D|1w&from=&to=&format=ohlc&mint=
+  - interval: unknown values fall back to 5m (as they always have)
+  - mint: any tracked token (default BLACK)
+  - from/to: ISO or unix (s/ms); default = interval's window ending now
+  - format=ohlc → { interval, from, to, candles: [{ timestamp, open, high, low, close, volume, change, ticks }], latest, truncated }
+  - default     → legacy { points: [{ timestamp, price, change, volume }], latest, page, nextPage, hasMore }
+  5m and up are served from the rollups; raw chart_data is read for at
+  most CHART_MAX_REQUEST_ROWS rows — `truncated` says the range was cut
+  short (ask for a narrower one).
+*/
 app.get("/api/chart", async (req, res) => {
   try {
-    const interval = req.query.interval || "D";
+    const interval = normalizeInterval(req.query.interval) || "5m";
+
+    const mint = resolveChartMint(req.query.mint);
+    if (!mint) return res.status(400).json({ error: "untracked_mint" });
+
+    const range = getChartRange(interval, req.query);
+    if (range.error) return res.status(400).json(range);
+
+    const fromIso = range.from.toISOString();
+    const toIso = range.to.toISOString();
+    const format = String(req.query.format || "").toLowerCase();
+    const cache = memoryCacheFor(mint);
+
+    const rollup = await getCandlesFromRollup(interval, fromIso, toIso, mint);
+    const fromRollup = rollup?.candles;
+    if (fromRollup) {
+      const last = fromRollup.at(-1);
+      const latest = cache.at(-1) || (last
+        ? { timestamp: last.timestamp, price: last.close, change: last.change, volume: null }
+        : null);
+
+      log(
+        "[chart] rollup mint=%s interval=%s from=%s to=%s candles=%s",
+        mint,
+        interval,
+        fromIso,
+        toIso,
+        fromRollup.length
+      );
+
+      if (format === "ohlc") {
+        return res.json({
+          mint,
+          interval,
+          from: fromIso,
+          to: toIso,
+          candles: fromRollup,
+          latest,
+          truncated: rollup.truncated,
+        });
+      }
+      return res.json({
+        points: fromRollup.map((c) => ({
+          timestamp: c.timestamp,
+          price: c.close,
+          change: c.change,
+          volume: c.volume,
+        })),
+        latest,
+        page: 1,
+        nextPage: null,
+        hasMore: false,
+      });
+    }
+
+    if (format === "ohlc") {
+      const [{ rows, truncated }, prev] = await Promise.all([
+        fetchChartRowsInRange(fromIso, toIso, mint, undefined, {
+          maxRows: CHART_MAX_REQUEST_ROWS,
+        }),
+        fetchChartRowBefore(fromIso, mint),
+      ]);
+
+      const raw = rows.length
+        ? rows
+        : cache.filter((p) => p.timestamp >= fromIso && p.timestamp <= toIso);
+      const candles = buildCandles(raw, interval, rows.length ? prev : null);
+
+      log(
+        "[chart] ohlc mint=%s interval=%s from=%s to=%s rows=%s candles=%s",
+        mint,
+        interval,
+        fromIso,
+        toIso,
+        rows.length,
+        candles.length
+      );
+
+      return res.json({
+        mint,
+        interval,
+        from: fromIso,
+        to: toIso,
+        candles,
+        latest: raw.length ? raw[raw.length - 1] : cache.at(-1) || null,
+        truncated,
+      });
+    }
+
     const page = Math.max(parseInt(req.query.page) || 1, 1);
     const limit = Math.min(parseInt(req.query.limit) || 10000, 20000);
     const offset = (page - 1) * limit;
-    const cutoff = getWindow(interval);
 
-    let query = supabase
-      .from("chart_data")
-      .select("timestamp, price, change, volume", { count: "exact" })
+    const query = scopeChartMint(
+      supabase
+        .from("chart_data")
+        .select("timestamp, price, change, volume", { count: "exact" }),
+      mint
+    )
+      .gte("timestamp", fromIso)
+      .lte("timestamp", toIso)
       .order("timestamp", { ascending: true })
       .range(offset, offset + limit - 1);
 
-    // ⬅️ only apply cutoff if it’s not null
-    if (cutoff) {
-      query = query.gte("timestamp", cutoff);
-    }
-
     const { data, error, count } = await query;
     if (error) throw error;
 
     const raw = data?.length
       ? data
-      : memoryCache.filter(
-          (p) => !cutoff || new Date(p.timestamp) >= new Date(cutoff)
-        );
+      : cache.filter((p) => p.timestamp >= fromIso && p.timestamp <= toIso);
 
-    const points = bucketize(raw, interval);
-    const latest = raw.length ? raw[raw.length - 1] : memoryCache.at(-1);
+    const prev =
+      data?.length && page === 1 ? await fetchChartRowBefore(fromIso, mint) : null;
+    const points = bucketize(raw, interval, prev);
+    const latest = raw.length ? raw[raw.length - 1] : cache.at(-1);
     const totalCount = count || raw.length;
     const nextPage = offset + limit < totalCount ? page + 1 : null;
 
     log(
-      "[chart] interval=%s cutoff=%s dbRows=%s buckets=%s",
+      "[chart] mint=%s interval=%s from=%s to=%s dbRows=%s buckets=%s",
+      mint,
       interval,
-      cutoff,
+      fromIso,
+      toIso,
       data?.length ?? 0,
       points.length
     );
@@ -503,98 +1838,529 @@ app.get("/api/chart", async (req, res) => {
 
 
 
-app.get("/api/latest", async (_req, res) => {
-  try {
-    let latest = memoryCache.at(-1);
-    if (!latest) {
-      const { data } = await supabase
-        .from("chart_data")
-        .select("timestamp, price, change, volume")
-        .order("timestamp", { ascending: false })
-        .limit(1)
-        .maybeSingle();
-      latest = data;
-    }
-    if (!latest) return res.status(404).json({ error: "No data" });
-    res.json(latest);
-  } catch (e) {
-    err("Error /api/latest:", e);
-    res.status(500).json({ error: "Failed" });
+/* ---- Admin: rebuild chart rollups from raw chart_data (dev) ---- */
+const ROLLUP_REBUILD = { running: false, startedAt: null, finishedAt: null, result: null, error: null };
+
+// POST /api/admin/chart/rollups/rebuild { from?, mint? } → starts in background (202)
+app.post("/api/admin/chart/rollups/rebuild", requireRole("dev"), (req, res) => {
+  if (ROLLUP_REBUILD.running) {
+    return res.status(409).json({ error: "rebuild_in_progress", status: ROLLUP_REBUILD });
+  }
+  const from = req.body?.from ? parseChartTime(req.body.from) : null;
+  const mint = req.body?.mint ? resolveChartMint(req.body.mint) : null;
+  if (req.body?.mint && !mint) {
+    return res.status(400).json({ error: "untracked_mint" });
   }
-});
 
-/* ---------- Profile + Avatar ---------- */
-app.get("/api/profile", async (req, res) => {
-  try {
-    const wallet = String(req.query.wallet || "").trim();
-    if (!wallet) return res.status(400).json({ error: "wallet required" });
+  Object.assign(ROLLUP_REBUILD, {
+    running: true,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    error: null,
+  });
+  rebuildChartRollups({ from, mint })
+    .then((result) => {
+      ROLLUP_REBUILD.result = result;
+    })
+    .catch((e) => {
+      err("[chart/rollup] admin rebuild failed:", e?.message || e);
+      ROLLUP_REBUILD.error = String(e?.message || e);
+    })
+    .finally(() => {
+      ROLLUP_REBUILD.running = false;
+      ROLLUP_REBUILD.finishedAt = new Date().toISOString();
+    });
 
-    const { data, error } = await supabase
-      .from("hub_profiles")
-      .select("wallet, handle, avatar_url")
-      .eq("wallet", wallet)
-      .maybeSingle();
+  return res.status(202).json({ ok: true, status: ROLLUP_REBUILD });
+});
 
-    if (error) {
-      warn("[/api/profile] select error:", error.message);
-      return res.status(500).json({ error: "db error" });
-    }
-    return res.status(200).json(data || {});
-  } catch (e) {
-    err("[/api/profile] fatal:", e?.message || e);
-    return res.status(500).json({ error: "server error" });
-  }
+// GET /api/admin/chart/rollups/rebuild → status of the last/ongoing rebuild
+app.get("/api/admin/chart/rollups/rebuild", requireRole("dev"), (_req, res) => {
+  res.json({ ok: true, status: ROLLUP_REBUILD });
 });
 
-// 🔒 Profile updates are now tied to the authenticated session wallet
-app.post("/api/profile", requireSession, async (req, res) => {
-  try {
-    const wallet = req.sessionWallet;
-    if (!wallet) {
-      return res
-        .status(401)
-        .json({ error: "missing_or_invalid_session" });
-    }
+/* ---------- Chart gaps + backfill ----------
+ * A gap is a stretch between two consecutive chart_data ticks longer than
+ * CHART_GAP_FACTOR × the token's poll interval (429 backoff, Render sleep).
+ *
+ * Backfill rebuilds ticks inside a gap from on-chain swaps against the
+ * token's first pool in ORACLE_ONCHAIN_POOLS: the vault balances after each
+ * swap give the price in quote units, which is converted to USD by
+ * interpolating the quote price implied by the ticks on either side of the
+ * gap — each boundary tick's USD price over the pool ratio at that tick's
+ * own timestamp (the state after the last pool swap at or before it). At
+ * most one tick per poll interval (the last swap in it); intervals with no
+ * swaps stay empty — the price really didn't move.
+ *
+ * Backfilled rows: chart_data.backfilled (bool, default false) = true and
+ * sources = [{ source: "backfill", pair, signature }]. Rollups for the
+ * affected days are rebuilt afterwards.
+ */
+const CHART_GAP_FACTOR = (() => {
+  const raw = Number(process.env.CHART_GAP_FACTOR || "3");
+  if (!Number.isFinite(raw)) return 3;
+  return Math.max(1.5, raw);
+})();
+const CHART_GAP_DEFAULT_RANGE_MS = 7 * DAY_MS;
+const CHART_GAP_MAX_RANGE_MS = 31 * DAY_MS;
 
-    let handle = req.body.handle;
-    if (typeof handle === "string") {
-      handle = handle.trim();
-      if (handle === "") handle = undefined;
-    } else if (handle == null) handle = undefined;
+const CHART_BACKFILL_INTERVAL_MS = (() => {
+  const raw = Number(process.env.CHART_BACKFILL_INTERVAL_MS ?? 30 * MINUTE_MS);
+  if (!Number.isFinite(raw) || raw <= 0) return 0; // 0 = background job off
+  return Math.max(5 * MINUTE_MS, raw);
+})();
+const CHART_BACKFILL_LOOKBACK_MS = 2 * DAY_MS;  // background job scan window
+const CHART_BACKFILL_MAX_SIG_PAGES = 20;        // × 1000 signatures per pool
+const CHART_BACKFILL_MAX_TX = 400;              // getTransaction calls per run
+const CHART_BACKFILL_INSERT_CHUNK = 500;
+
+// mint → [[fromMs, toMs]] ranges already scanned this process; the smaller
+// gaps a partial backfill leaves inside one aren't scanned again
+const BACKFILL_ATTEMPTED = new Map();
+
+function backfillAttempted(mint, gap) {
+  const a = Date.parse(gap.from);
+  const b = Date.parse(gap.to);
+  return (BACKFILL_ATTEMPTED.get(mint) || []).some(([from, to]) => from <= a && b <= to);
+}
 
-    let avatar_url = req.body.avatar_url;
-    if (typeof avatar_url === "string") {
-      avatar_url = avatar_url.trim();
-      if (avatar_url === "") avatar_url = undefined;
-    } else if (avatar_url == null) avatar_url = undefined;
+function markBackfillAttempted(mint, gap) {
+  if (!BACKFILL_ATTEMPTED.has(mint)) BACKFILL_ATTEMPTED.set(mint, []);
+  BACKFILL_ATTEMPTED.get(mint).push([Date.parse(gap.from), Date.parse(gap.to)]);
+}
+const CHART_BACKFILL = { running: false, startedAt: null, finishedAt: null, result: null, error: null };
 
-    if (handle === undefined && avatar_url === undefined) {
-      return res.status(400).json({ error: "no fields to update" });
-    }
+function chartPollIntervalMs(mint) {
+  return getTrackedTokens().get(mint)?.intervalMs || FETCH_INTERVAL;
+}
 
-    const { data: existing, error: selErr } = await supabase
-      .from("hub_profiles")
-      .select("wallet, handle, avatar_url")
-      .eq("wallet", wallet)
-      .maybeSingle();
+/**
+ * Scan chart_data for [from, to] → coverage stats + gaps.
+ * Each gap keeps the ticks on either side (`before` / `after`).
+ */
+async function findChartGaps(mint, fromIso, toIso) {
+  const intervalMs = chartPollIntervalMs(mint);
+  const thresholdMs = Math.round(intervalMs * CHART_GAP_FACTOR);
+  const { rows, truncated } = await fetchChartRowsInRange(
+    fromIso,
+    toIso,
+    mint,
+    "timestamp, price, change, volume, backfilled"
+  );
 
-    if (selErr) {
-      return res
-        .status(500)
-        .json({ error: "select_failed", detail: selErr.message });
-    }
+  const gaps = [];
+  let missingTicks = 0;
+  for (let i = 1; i < rows.length; i++) {
+    const a = Date.parse(rows[i - 1].timestamp);
+    const b = Date.parse(rows[i].timestamp);
+    if (b - a <= thresholdMs) continue;
+    const missing = Math.max(0, Math.round((b - a) / intervalMs) - 1);
+    missingTicks += missing;
+    gaps.push({
+      from: rows[i - 1].timestamp,
+      to: rows[i].timestamp,
+      duration_ms: b - a,
+      missing_ticks: missing,
+      before: rows[i - 1],
+      after: rows[i],
+    });
+  }
 
-    const patch = { updated_at: new Date().toISOString() };
-    if (handle !== undefined) patch.handle = handle;
-    if (avatar_url !== undefined) patch.avatar_url = avatar_url;
+  const spanMs =
+    Math.min(Date.parse(toIso), Date.now()) - Date.parse(fromIso);
+  const expectedTicks = Math.max(1, Math.floor(spanMs / intervalMs));
+  return {
+    mint,
+    from: fromIso,
+    to: toIso,
+    interval_ms: intervalMs,
+    threshold_ms: thresholdMs,
+    ticks: rows.length,
+    backfilled_ticks: rows.filter((r) => r.backfilled).length,
+    expected_ticks: expectedTicks,
+    missing_ticks: missingTicks,
+    coverage_pct: +Math.min(100, (rows.length / expectedTicks) * 100).toFixed(2),
+    truncated,
+    gaps,
+  };
+}
 
-    if (existing) {
-      const { data, error } = await supabase
-        .from("hub_profiles")
-        .update(patch)
-        .eq("wallet", wallet)
-        .select()
-        .maybeSingle();
+// Post-swap UI balance of a vault in a jsonParsed transaction
+function vaultPostBalance(tx, vault) {
+  const keys = tx?.transaction?.message?.accountKeys || [];
+  const idx = keys.findIndex((k) => String(k?.pubkey ?? k) === vault);
+  if (idx < 0) return null;
+  const b = (tx?.meta?.postTokenBalances || []).find((x) => x.accountIndex === idx);
+  if (!b) return null;
+  return Number(b.uiTokenAmount?.uiAmountString ?? b.uiTokenAmount?.uiAmount ?? 0);
+}
+
+/**
+ * Walk the vault's signatures (newest → oldest) and pick the last swap in
+ * every poll interval of every gap. Swaps within half an interval of a gap
+ * edge are skipped (the real ticks already cover them).
+ * Returns { picks, anchors }: one Map(slot -> { signature, ts }) per gap,
+ * and per gap { before, after } = the last swap at or before each edge.
+ */
+async function collectGapSwapSignatures(address, gaps, intervalMs) {
+  const picks = gaps.map(() => new Map());
+  const anchors = gaps.map(() => ({ before: null, after: null }));
+  const oldest = Math.min(...gaps.map((g) => Date.parse(g.from)));
+  let before = null;
+
+  for (let page = 0; page < CHART_BACKFILL_MAX_SIG_PAGES; page++) {
+    const sigs = await rpc("getSignaturesForAddress", [
+      address,
+      { limit: 1000, ...(before ? { before } : {}) },
+    ]);
+    if (!Array.isArray(sigs) || !sigs.length) break;
+
+    for (const s of sigs) {
+      if (s.err || !s.blockTime) continue;
+      const ts = s.blockTime * 1000;
+      gaps.forEach((g, i) => {
+        const a = Date.parse(g.from);
+        const b = Date.parse(g.to);
+        // Newest first, so the first one seen at or before an edge is its anchor
+        if (ts <= a && !anchors[i].before) anchors[i].before = { signature: s.signature, ts };
+        if (ts <= b && !anchors[i].after) anchors[i].after = { signature: s.signature, ts };
+        if (ts - a < intervalMs / 2 || b - ts < intervalMs / 2) return;
+        const slot = Math.floor((ts - a) / intervalMs);
+        if (!picks[i].has(slot)) picks[i].set(slot, { signature: s.signature, ts });
+      });
+    }
+
+    const last = sigs[sigs.length - 1];
+    before = last.signature;
+    if (sigs.length < 1000 || (last.blockTime && last.blockTime * 1000 < oldest)) break;
+  }
+  return { picks, anchors };
+}
+
+// Pool ratio (quote per base) right after `signature`, or null
+async function readPoolRatio(pool, signature) {
+  const tx = await rpc("getTransaction", [
+    signature,
+    { encoding: "jsonParsed", maxSupportedTransactionVersion: 0, commitment: "confirmed" },
+  ]);
+  if (!tx?.meta || tx.meta.err) return null;
+  const base = vaultPostBalance(tx, pool.baseVault);
+  const quote = vaultPostBalance(tx, pool.quoteVault);
+  return base > 0 && quote > 0 ? quote / base : null;
+}
+
+/**
+ * Backfill gaps for one mint (or every tracked mint) in [from, to].
+ * Returns { gaps, attempted, inserted, skipped }.
+ */
+async function backfillChartGaps({ mint = null, from = null, to = null } = {}) {
+  if (!mint) {
+    const total = { gaps: 0, attempted: 0, inserted: 0, skipped: 0 };
+    for (const m of getTrackedTokens().keys()) {
+      const st = await backfillChartGaps({ mint: m, from, to });
+      for (const k of Object.keys(total)) total[k] += st[k];
+    }
+    return total;
+  }
+
+  const toIso = (to ? new Date(to) : new Date()).toISOString();
+  const fromIso = (
+    from ? new Date(from) : new Date(Date.parse(toIso) - CHART_BACKFILL_LOOKBACK_MS)
+  ).toISOString();
+
+  const report = await findChartGaps(mint, fromIso, toIso);
+  const stats = { gaps: report.gaps.length, attempted: 0, inserted: 0, skipped: 0 };
+  const pending = report.gaps
+    .filter((g) => !backfillAttempted(mint, g))
+    .sort((a, b) => Date.parse(b.from) - Date.parse(a.from));
+  if (!pending.length) return stats;
+
+  const pool = (Array.isArray(ORACLE_ONCHAIN_POOLS[mint]) ? ORACLE_ONCHAIN_POOLS[mint] : [])[0];
+  if (!pool?.baseVault || !pool?.quoteVault || !HELIUS_KEY) {
+    stats.skipped = pending.length;
+    return stats;
+  }
+
+  const { picks, anchors } = await collectGapSwapSignatures(
+    pool.baseVault,
+    pending,
+    report.interval_ms
+  );
+
+  const rows = [];
+  let txBudget = CHART_BACKFILL_MAX_TX;
+  for (let i = 0; i < pending.length; i++) {
+    const gap = pending[i];
+    const swaps = Array.from(picks[i].values()).sort((a, b) => a.ts - b.ts);
+    if (swaps.length + 2 > txBudget) break; // next run picks it up
+    txBudget -= swaps.length + 2;
+    stats.attempted++;
+
+    const ratioOf = async (sig) => {
+      try {
+        return await readPoolRatio(pool, sig);
+      } catch (e) {
+        warn("[chart/backfill] tx read failed:", sig, e?.message || e);
+        return null;
+      }
+    };
+    const ticks = [];
+    for (const sw of swaps) {
+      const ratio = await ratioOf(sw.signature);
+      if (ratio) ticks.push({ ...sw, ratio });
+    }
+    markBackfillAttempted(mint, gap);
+    if (!ticks.length) continue;
+
+    // USD per quote unit at each boundary tick's own timestamp
+    const { before: anchorBefore, after: anchorAfter } = anchors[i];
+    const ratioBefore = anchorBefore ? await ratioOf(anchorBefore.signature) : null;
+    const ratioAfter = anchorAfter ? await ratioOf(anchorAfter.signature) : null;
+    let quoteUsdStart = ratioBefore ? +gap.before.price / ratioBefore : null;
+    let quoteUsdEnd = ratioAfter ? +gap.after.price / ratioAfter : null;
+    if (quoteUsdStart == null && quoteUsdEnd == null) {
+      warn("[chart/backfill] no pool state at the edges of", mint, gap.from, "→", gap.to);
+      continue;
+    }
+    quoteUsdStart ??= quoteUsdEnd;
+    quoteUsdEnd ??= quoteUsdStart;
+    const startMs = Date.parse(gap.from);
+    const span = Date.parse(gap.to) - startMs;
+
+    for (const t of ticks) {
+      const w = span > 0 ? (t.ts - startMs) / span : 0.5;
+      const quoteUsd = quoteUsdStart + (quoteUsdEnd - quoteUsdStart) * w;
+      rows.push({
+        mint,
+        timestamp: new Date(t.ts).toISOString(),
+        price: t.ratio * quoteUsd,
+        change: gap.before.change,
+        volume: gap.before.volume, // unknown → flat, so volume deltas stay on real ticks
+        backfilled: true,
+        sources: [{ source: "backfill", pair: pool.baseVault, signature: t.signature }],
+      });
+    }
+  }
+
+  for (let i = 0; i < rows.length; i += CHART_BACKFILL_INSERT_CHUNK) {
+    const chunk = rows.slice(i, i + CHART_BACKFILL_INSERT_CHUNK);
+    const { error } = await supabase.from("chart_data").insert(chunk);
+    if (error) throw new Error(`chart_data backfill insert failed: ${error.message}`);
+    stats.inserted += chunk.length;
+  }
+
+  if (stats.inserted) {
+    const earliest = rows.reduce((m, r) => (r.timestamp < m ? r.timestamp : m), rows[0].timestamp);
+    await rebuildChartRollups({ from: earliest, mint });
+  }
+
+  log("[chart/backfill] done:", mint, JSON.stringify(stats));
+  return stats;
+}
+
+// Shared by the background job and the admin endpoint
+function runChartBackfill(opts = {}) {
+  if (CHART_BACKFILL.running) return false;
+  Object.assign(CHART_BACKFILL, {
+    running: true,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    result: null,
+    error: null,
+  });
+  backfillChartGaps(opts)
+    .then((result) => {
+      CHART_BACKFILL.result = result;
+    })
+    .catch((e) => {
+      err("[chart/backfill] run failed:", e?.message || e);
+      CHART_BACKFILL.error = String(e?.message || e);
+    })
+    .finally(() => {
+      CHART_BACKFILL.running = false;
+      CHART_BACKFILL.finishedAt = new Date().toISOString();
+    });
+  return true;
+}
+
+function startChartBackfillLoop() {
+  if (!CHART_BACKFILL_INTERVAL_MS) {
+    log("[chart/backfill] background job disabled");
+    return;
+  }
+  setInterval(() => runChartBackfill(), CHART_BACKFILL_INTERVAL_MS);
+}
+
+/* ---- /api/chart/gaps ---- */
+/*
+GET /api/chart/gaps?mint=&from=&to=   (default: last 7 days, max 31 days)
+  -> { mint, from, to, interval_ms, threshold_ms, ticks, backfilled_ticks,
+       expected_ticks, missing_ticks, coverage_pct, truncated,
+       gaps: [{ from, to, duration_ms, missing_ticks }] }
+*/
+app.get("/api/chart/gaps", async (req, res) => {
+  try {
+    const mint = resolveChartMint(req.query.mint);
+    if (!mint) return res.status(400).json({ error: "untracked_mint" });
+
+    const to = parseChartTime(req.query.to) || new Date();
+    const from =
+      parseChartTime(req.query.from) ||
+      new Date(to.getTime() - CHART_GAP_DEFAULT_RANGE_MS);
+    if (from.getTime() >= to.getTime()) {
+      return res.status(400).json({ error: "invalid_range" });
+    }
+    if (to.getTime() - from.getTime() > CHART_GAP_MAX_RANGE_MS) {
+      return res.status(400).json({ error: "range_too_large", maxDays: CHART_GAP_MAX_RANGE_MS / DAY_MS });
+    }
+
+    const report = await findChartGaps(mint, from.toISOString(), to.toISOString());
+    res.json({
+      ...report,
+      gaps: report.gaps.map(({ before, after, ...g }) => g),
+    });
+  } catch (e) {
+    err("Error /api/chart/gaps:", e?.message || e);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ---- Admin: chart backfill (dev) ---- */
+// POST /api/admin/chart/backfill { mint?, from?, to? } → starts in background (202)
+app.post("/api/admin/chart/backfill", requireRole("dev"), (req, res) => {
+  const from = req.body?.from ? parseChartTime(req.body.from) : null;
+  const to = req.body?.to ? parseChartTime(req.body.to) : null;
+  const mint = req.body?.mint ? resolveChartMint(req.body.mint) : null;
+  if (req.body?.mint && !mint) {
+    return res.status(400).json({ error: "untracked_mint" });
+  }
+  if ((req.body?.from && !from) || (req.body?.to && !to)) {
+    return res.status(400).json({ error: "invalid_range" });
+  }
+
+  if (!runChartBackfill({ mint, from, to })) {
+    return res.status(409).json({ error: "backfill_in_progress", status: CHART_BACKFILL });
+  }
+  return res.status(202).json({ ok: true, status: CHART_BACKFILL });
+});
+
+// GET /api/admin/chart/backfill → status of the last/ongoing backfill
+app.get("/api/admin/chart/backfill", requireRole("dev"), (_req, res) => {
+  res.json({ ok: true, status: CHART_BACKFILL });
+});
+
+// Newest tick for a mint: memory first, then chart_data
+async function getLatestChartPoint(mint = TOKEN_MINT) {
+  const cached = memoryCacheFor(mint).at(-1);
+  if (cached) return cached;
+  const base = supabase
+    .from("chart_data")
+    .select("timestamp, price, change, volume");
+  const { data } = await scopeChartMint(base, mint)
+    .order("timestamp", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data || null;
+}
+
+// GET /api/chart/tokens → tracked tokens the chart endpoints accept as ?mint=
+app.get("/api/chart/tokens", (_req, res) => {
+  const tokens = Array.from(getTrackedTokens().values()).map((t) => ({
+    mint: t.mint,
+    symbol: t.symbol,
+    poll_interval_ms: t.intervalMs,
+    default: t.mint === TOKEN_MINT,
+  }));
+  res.json({ tokens });
+});
+
+app.get("/api/latest", async (req, res) => {
+  try {
+    const mint = resolveChartMint(req.query.mint);
+    if (!mint) return res.status(400).json({ error: "untracked_mint" });
+
+    const latest = await getLatestChartPoint(mint);
+    if (!latest) return res.status(404).json({ error: "No data" });
+    res.json(latest);
+  } catch (e) {
+    err("Error /api/latest:", e);
+    res.status(500).json({ error: "Failed" });
+  }
+});
+
+/* ---------- Profile + Avatar ---------- */
+app.get("/api/profile", async (req, res) => {
+  try {
+    const wallet = String(req.query.wallet || "").trim();
+    if (!wallet) return res.status(400).json({ error: "wallet required" });
+
+    const { data, error } = await supabase
+      .from("hub_profiles")
+      .select("wallet, handle, avatar_url")
+      .eq("wallet", wallet)
+      .maybeSingle();
+
+    if (error) {
+      warn("[/api/profile] select error:", error.message);
+      return res.status(500).json({ error: "db error" });
+    }
+    return res.status(200).json(data || {});
+  } catch (e) {
+    err("[/api/profile] fatal:", e?.message || e);
+    return res.status(500).json({ error: "server error" });
+  }
+});
+
+// 🔒 Profile updates are now tied to the authenticated session wallet
+app.post("/api/profile", requireSession, async (req, res) => {
+  try {
+    const wallet = req.sessionWallet;
+    if (!wallet) {
+      return res
+        .status(401)
+        .json({ error: "missing_or_invalid_session" });
+    }
+
+    let handle = req.body.handle;
+    if (typeof handle === "string") {
+      handle = handle.trim();
+      if (handle === "") handle = undefined;
+    } else if (handle == null) handle = undefined;
+
+    let avatar_url = req.body.avatar_url;
+    if (typeof avatar_url === "string") {
+      avatar_url = avatar_url.trim();
+      if (avatar_url === "") avatar_url = undefined;
+    } else if (avatar_url == null) avatar_url = undefined;
+
+    if (handle === undefined && avatar_url === undefined) {
+      return res.status(400).json({ error: "no fields to update" });
+    }
+
+    const { data: existing, error: selErr } = await supabase
+      .from("hub_profiles")
+      .select("wallet, handle, avatar_url")
+      .eq("wallet", wallet)
+      .maybeSingle();
+
+    if (selErr) {
+      return res
+        .status(500)
+        .json({ error: "select_failed", detail: selErr.message });
+    }
+
+    const patch = { updated_at: new Date().toISOString() };
+    if (handle !== undefined) patch.handle = handle;
+    if (avatar_url !== undefined) patch.avatar_url = avatar_url;
+
+    if (existing) {
+      const { data, error } = await supabase
+        .from("hub_profiles")
+        .update(patch)
+        .eq("wallet", wallet)
+        .select()
+        .maybeSingle();
 
       if (error) {
         return res
@@ -1315,12 +3081,12 @@ async function getTokenUsd(mint, { nocache = false } = {}) {
     const prev = PRICE_CACHE.get(mint)?.priceUsd;
     setWithLimit(PRICE_CACHE, mint, { ts: now, priceUsd: val });
     if (
-      typeof wsBroadcastAll === "function" &&
+      typeof wsPublish === "function" &&
       val > 0 &&
       val !== prev
     ) {
       try {
-        wsBroadcastAll({ type: "price", mint, priceUsd: val });
+        wsPublish("price", { type: "price", mint, priceUsd: val });
       } catch {}
     }
     return val;
@@ -1328,20 +3094,8 @@ async function getTokenUsd(mint, { nocache = false } = {}) {
 
   // 1) Jupiter Price API v3 (Lite)
   try {
-    const url = `https://lite-api.jup.ag/price/v3?ids=${encodeURIComponent(
-      mint
-    )}`;
-    const r = await fetch(url, {
-      headers: {
-        accept: "application/json",
-        "Cache-Control": "no-cache",
-      },
-    });
-    if (r.ok) {
-      const j = await r.json();
-      const p = Number(j?.data?.[mint]?.price) || 0;
-      if (p > 0) return setAndMaybeBroadcast(p);
-    }
+    const p = await fetchJupiterPriceV3(mint);
+    if (p > 0) return setAndMaybeBroadcast(p);
   } catch {}
 
   // 2) Fallback: Dexscreener search
@@ -1514,8 +3268,9 @@ async function rpcBurn(method, params) {
   return j.result;
 }
 
-// Pull a burn instruction for our token out of a parsed transaction, if present
-function extractBurnFromParsedTx(tx) {
+// Every burn / burnChecked instruction for `mint` in a parsed transaction.
+// `amount` is always the raw (integer) amount as a string.
+function extractBurnsFromParsedTx(tx, mint = TOKEN_MINT) {
   const matches = [];
 
   const pushIx = (ix) => {
@@ -1524,8 +3279,8 @@ function extractBurnFromParsedTx(tx) {
     if (!parsed || typeof parsed !== "object") return;
     const type = parsed.type;
     const info = parsed.info || {};
-    if (type === "burn" && info.mint === TOKEN_MINT) {
-      matches.push(info);
+    if ((type === "burn" || type === "burnChecked") && info.mint === mint) {
+      matches.push({ ...info, amount: info.amount ?? info.tokenAmount?.amount });
     }
   };
 
@@ -1541,7 +3296,12 @@ function extractBurnFromParsedTx(tx) {
     }
   }
 
-  return matches[0] || null;
+  return matches;
+}
+
+// Pull a burn instruction for our token out of a parsed transaction, if present
+function extractBurnFromParsedTx(tx) {
+  return extractBurnsFromParsedTx(tx)[0] || null;
 }
 
 /**
@@ -1570,8 +3330,9 @@ async function fetchLatestBurnFromRpc() {
 
   // We need decimals + symbol to convert raw amount to UI amount
   const meta = await getTokenMeta(TOKEN_MINT);
-  const decimals =
-    typeof meta.decimals === "number" ? meta.decimals : 6;
+  // A guessed decimals value is fine for display, never for the ledger
+  const decimalsKnown = typeof meta.decimals === "number";
+  const decimals = decimalsKnown ? meta.decimals : 6;
   const symbol = meta.symbol || "BlackCoin";
 
   // We'll fill this with the newest burn we see so that the UI
@@ -1646,24 +3407,27 @@ async function fetchLatestBurnFromRpc() {
     };
 
     // 🔹 Log / backfill into hub_burns using your schema
-    try {
-      await supabase
-        .from("hub_burns")
-        .upsert(
-          {
-            wallet: BURN_WALLET,   // burner wallet address
-            token: TOKEN_MINT,     // your BLACK token mint
-            signature: sig,        // unique signature
-            amount: amountUi,      // numeric (human units)
-            timestamp: ts,         // timestamptz
-          },
-          { onConflict: "signature" } // respect unique(signature)
+    if (decimalsKnown) {
+      try {
+        await supabase
+          .from("hub_burns")
+          .upsert(
+            {
+              wallet: burnInfo.authority || BURN_WALLET, // burner wallet address
+              token: TOKEN_MINT,     // your BLACK token mint
+              signature: sig,
+              ix_index: 0,           // first burn in the tx (same order as the indexer)
+              amount: amountUi,      // numeric (human units)
+              timestamp: ts,         // timestamptz
+            },
+            { onConflict: "signature,ix_index" }
+          );
+      } catch (e) {
+        warn(
+          "[burn] hub_burns upsert failed (non-fatal):",
+          e?.message || e
         );
-    } catch (e) {
-      warn(
-        "[burn] hub_burns upsert failed (non-fatal):",
-        e?.message || e
-      );
+      }
     }
 
     // Track the newest burn we have in this batch
@@ -1739,73 +3503,637 @@ async function getLatestBurnTx() {
 }
 
 
-/* Simple JSON for homepage vault cards:
- * {
- *   cto:      { sol, token, burn?: { ... } },
- *   utility:  { sol, token }
- * }
+/* ---------- Burn ledger (hub_burns indexers) ----------
+ * Two indexers feed hub_burns, one row per burn instruction:
+ *   hub_burns (wallet text, token text, signature text, ix_index int default 0,
+ *              token_account text, amount numeric, timestamp timestamptz,
+ *              unique (signature, ix_index))
+ *   - "treasury": transactions of BURN_WALLET (small, completes quickly;
+ *     backs /api/burns + /api/burns/summary)
+ *   - "mint": the BLACK mint's whole transaction history, so burns from
+ *     any holder's wallet are recorded (leaderboard + per-wallet history)
+ * `wallet` is the burn authority; `ix_index` is the burn's position among
+ * the transaction's burns, so both indexers write the same rows.
+ *
+ * Each indexer walks getSignaturesForAddress backwards with `before`
+ * cursors (a few pages per cycle) until the address's first transaction,
+ * and keeps up with `until` = newest indexed signature. New signatures are
+ * read in catch-up windows: a window fixes its head (the tip when it
+ * opened) and walks back towards `newest` a few pages per cycle, so a busy
+ * address can't stall a cycle; `newest` only moves to the head once the
+ * whole window is read. While history is incomplete, catch-up gets half of
+ * the per-cycle budget so the backfill always progresses. Cursors persist in
+ *   hub_indexer_state (name text pk, newest_signature text,
+ *                      oldest_signature text, complete bool,
+ *                      catchup_head text, catchup_before text,
+ *                      updated_at timestamptz)
+ * so a restart resumes where it stopped. A cursor only moves past a
+ * signature once its transaction has been read. A cycle that can't read the
+ * mint's decimals is skipped (amounts are stored in UI units for good).
+ *
+ * Totals are summed in Postgres, never by paging hub_burns into Node:
+ *   create function hub_burn_totals(p_token text, p_wallet text default null,
+ *                                   p_since timestamptz default null)
+ *     returns table (total numeric, burn_count bigint, last_at timestamptz)
+ *     language sql stable as $$
+ *       select coalesce(sum(amount), 0), count(*), max(timestamp)
+ *       from hub_burns
+ *       where token = p_token
+ *         and (p_wallet is null or wallet = p_wallet)
+ *         and (p_since is null or timestamp >= p_since) $$;
+ *   create function hub_burn_leaderboard(p_token text,
+ *                                        p_since timestamptz default null,
+ *                                        p_limit int default 100)
+ *     returns table (wallet text, total numeric, burn_count bigint,
+ *                    last_at timestamptz)
+ *     language sql stable as $$
+ *       select wallet, sum(amount), count(*), max(timestamp)
+ *       from hub_burns
+ *       where token = p_token and wallet is not null
+ *         and (p_since is null or timestamp >= p_since)
+ *       group by wallet order by sum(amount) desc limit p_limit $$;
  */
-app.get("/api/wallets", async (_req, res) => {
-  try {
-    if (!HELIUS_KEY) {
-      return res
-        .status(400)
-        .json({ error: "HELIUS_API_KEY not configured on backend" });
-    }
+const BURN_INDEX_INTERVAL_MS = 10 * 60 * 1000;
+const BURN_SUMMARY_TTL = 60 * 1000;
+const BURN_LEADERBOARD_TTL = 5 * 60 * 1000;
+
+const BURN_INDEXERS = {
+  treasury: {
+    name: `burns:${BURN_WALLET}`,
+    address: BURN_WALLET,
+    pagesPerCycle: 5,   // × 1000 signatures while backfilling
+    txPerCycle: 500,    // getTransaction budget per cycle
+  },
+  mint: {
+    name: `burns:mint:${TOKEN_MINT}`,
+    address: TOKEN_MINT,
+    pagesPerCycle: 5,
+    txPerCycle: Math.max(100, Number(process.env.BURN_MINT_INDEX_TX_PER_CYCLE || "1000")),
+  },
+};
+for (const ix of Object.values(BURN_INDEXERS)) {
+  Object.assign(ix, { running: false, lastRunAt: null, lastResult: null, lastError: null });
+}
 
-    const [ctoSnap, utilitySnap, burn] = await Promise.all([
-      getWalletSnapshot(CTO_WALLET, TOKEN_MINT),
-      getWalletSnapshot(UTILITY_WALLET, TOKEN_MINT),
-      getLatestBurnTx().catch((e) => {
-        warn("getLatestBurnTx failed (non-fatal):", e?.message || e);
-        return null;
-      }),
-    ]);
+const BURN_SUMMARY_CACHE = { ts: 0, payload: null };
+const BURN_LEADERBOARD_CACHE = new Map(); // period -> { ts, payload }
+const BURN_LEADERBOARD_MAX = 100;
+
+// Sum of BLACK burns (optionally one wallet's, optionally since a time)
+// → { total, count, lastAt }
+async function sumBurns({ wallet = null, since = null } = {}) {
+  const { data, error } = await supabase
+    .rpc("hub_burn_totals", { p_token: TOKEN_MINT, p_wallet: wallet, p_since: since })
+    .maybeSingle();
+  if (error) throw new Error(`hub_burn_totals failed: ${error.message}`);
+  return {
+    total: Number(data?.total) || 0,
+    count: Number(data?.burn_count) || 0,
+    lastAt: data?.last_at || null,
+  };
+}
 
-    res.json({
-      cto: {
-        ...ctoSnap,
-        burn: burn || null,
-      },
-      utility: utilitySnap,
-    });
-  } catch (e) {
-    err("/api/wallets error:", e);
-    res
-      .status(500)
-      .json({ error: "Failed to fetch wallet snapshots" });
+function isRateLimitError(e) {
+  const msg = String(e?.message || e).toLowerCase();
+  return msg.includes("429") || msg.includes("too many requests");
+}
+
+async function loadIndexerState(name) {
+  const { data, error } = await supabase
+    .from("hub_indexer_state")
+    .select("newest_signature, oldest_signature, complete, catchup_head, catchup_before")
+    .eq("name", name)
+    .maybeSingle();
+  if (error) throw new Error(`hub_indexer_state read failed: ${error.message}`);
+  return {
+    newest: data?.newest_signature || null,
+    oldest: data?.oldest_signature || null,
+    complete: Boolean(data?.complete),
+    catchupHead: data?.catchup_head || null,
+    catchupBefore: data?.catchup_before || null,
+  };
+}
+
+async function saveIndexerState(name, st) {
+  const { error } = await supabase.from("hub_indexer_state").upsert(
+    {
+      name,
+      newest_signature: st.newest,
+      oldest_signature: st.oldest,
+      complete: st.complete,
+      catchup_head: st.catchupHead || null,
+      catchup_before: st.catchupBefore || null,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "name" }
+  );
+  if (error) warn(`[indexer] ${name} state save failed:`, error.message);
+}
+
+// Read one signature → number of hub_burns rows written
+async function indexBurnSignature(sigInfo, decimals) {
+  if (sigInfo.err) return 0; // failed txs burn nothing
+
+  const tx = await rpcBurn("getTransaction", [
+    sigInfo.signature,
+    {
+      maxSupportedTransactionVersion: 0,
+      commitment: "confirmed",
+      encoding: "jsonParsed",
+    },
+  ]);
+  if (!tx) return 0;
+
+  const burns = extractBurnsFromParsedTx(tx);
+  if (!burns.length) return 0;
+
+  const blockTime = sigInfo.blockTime || tx.blockTime || 0;
+  const timestamp = blockTime
+    ? new Date(blockTime * 1000).toISOString()
+    : new Date().toISOString();
+
+  const rows = burns
+    .map((b, i) => ({
+      wallet: b.authority || b.multisigAuthority || null,
+      token: TOKEN_MINT,
+      signature: sigInfo.signature,
+      ix_index: i,
+      token_account: b.account || null,
+      amount: (Number(b.amount) || 0) / Math.pow(10, decimals),
+      timestamp,
+    }))
+    .filter((r) => r.amount > 0);
+  if (!rows.length) return 0;
+
+  const { error } = await supabase
+    .from("hub_burns")
+    .upsert(rows, { onConflict: "signature,ix_index" });
+  if (error) throw new Error(`hub_burns upsert failed: ${error.message}`);
+  return rows.length;
+}
+
+/**
+ * One pass of an indexer: new signatures first, then older history.
+ * Returns { scanned, burns, complete }.
+ */
+async function runBurnIndexerCycle(indexer) {
+  const st = await loadIndexerState(indexer.name);
+  const meta = await getTokenMeta(TOKEN_MINT);
+  if (typeof meta.decimals !== "number") {
+    throw new Error("BLACK decimals unavailable — cycle skipped");
   }
-});
+  const decimals = meta.decimals;
+  const stats = { scanned: 0, burns: 0, complete: st.complete, behind: false };
+  let budget = indexer.txPerCycle;
 
-// ---------- Home dashboard summary (for Terminal Hub hero card) ----------
-// Returns:
-// {
-//   mint,
-//   priceUsd,
-//   marketCapUsd,
-//   holders,
-//   supply,
-//   changePct24h,
-//   volume24h
-// }
-app.get("/api/home", async (_req, res) => {
   try {
-    const [meta, latest] = await Promise.all([
-      resolveTokenMetaCombined(TOKEN_MINT, { nocache: false }),
-      (async () => {
-        let l = memoryCache.at(-1);
-        if (!l) {
-          const { data } = await supabase
-            .from("chart_data")
-            .select("timestamp, price, change, volume")
-            .order("timestamp", { ascending: false })
-            .limit(1)
-            .maybeSingle();
-          l = data;
+    // 1) Incremental: one catch-up window towards the newest indexed signature
+    if (st.newest) {
+      let catchupBudget = st.complete ? budget : Math.ceil(budget / 2);
+      let windowDone = false;
+      for (let p = 0; p < indexer.pagesPerCycle && catchupBudget > 0; p++) {
+        const page = await rpcBurn("getSignaturesForAddress", [
+          indexer.address,
+          {
+            limit: 1000,
+            until: st.newest,
+            ...(st.catchupBefore ? { before: st.catchupBefore } : {}),
+          },
+        ]);
+        if (!Array.isArray(page) || !page.length) {
+          windowDone = true;
+          break;
         }
-        return l || null;
-      })(),
-    ]);
+        if (!st.catchupHead) st.catchupHead = page[0].signature;
+
+        for (const info of page) {
+          if (catchupBudget <= 0) break;
+          stats.burns += await indexBurnSignature(info, decimals);
+          stats.scanned++;
+          budget--;
+          catchupBudget--;
+          st.catchupBefore = info.signature;
+        }
+        if (page.length < 1000 && st.catchupBefore === page[page.length - 1].signature) {
+          windowDone = true;
+          break;
+        }
+      }
+      if (windowDone) {
+        if (st.catchupHead) st.newest = st.catchupHead;
+        st.catchupHead = null;
+        st.catchupBefore = null;
+      }
+    }
+
+    // 2) Backfill: older history until the address's first transaction
+    for (let p = 0; !st.complete && p < indexer.pagesPerCycle && budget > 0; p++) {
+      const page = await rpcBurn("getSignaturesForAddress", [
+        indexer.address,
+        { limit: 1000, ...(st.oldest ? { before: st.oldest } : {}) },
+      ]);
+      if (!Array.isArray(page) || !page.length) {
+        st.complete = true;
+        break;
+      }
+      if (!st.newest) st.newest = page[0].signature;
+
+      for (const info of page) {
+        if (budget <= 0) break;
+        stats.burns += await indexBurnSignature(info, decimals);
+        stats.scanned++;
+        budget--;
+        st.oldest = info.signature;
+      }
+      if (page.length < 1000 && st.oldest === page[page.length - 1].signature) {
+        st.complete = true;
+      }
+    }
+  } catch (e) {
+    if (!isRateLimitError(e)) throw e;
+    warn(`[burn/index] ${indexer.name} rate limited — resuming next cycle`);
+  } finally {
+    await saveIndexerState(indexer.name, st);
+  }
+
+  stats.complete = st.complete;
+  stats.behind = Boolean(st.catchupHead);
+  if (stats.burns) {
+    BURN_CACHE.ts = 0; // let /api/wallets pick up the newest burn
+    BURN_SUMMARY_CACHE.ts = 0;
+    BURN_LEADERBOARD_CACHE.clear();
+  }
+  log(`[burn/index] ${indexer.name} cycle:`, JSON.stringify(stats));
+  return stats;
+}
+
+function startBurnIndexerLoop() {
+  const run = async (indexer) => {
+    if (indexer.running) return;
+    indexer.running = true;
+    try {
+      indexer.lastResult = await runBurnIndexerCycle(indexer);
+      indexer.lastError = null;
+    } catch (e) {
+      err(`[burn/index] ${indexer.name} cycle error:`, e?.message || e);
+      indexer.lastError = String(e?.message || e);
+    } finally {
+      indexer.running = false;
+      indexer.lastRunAt = new Date().toISOString();
+    }
+  };
+  // Sequential: both share the burn RPC's rate limit
+  const runAll = async () => {
+    await run(BURN_INDEXERS.treasury);
+    await run(BURN_INDEXERS.mint);
+  };
+  runAll();
+  setInterval(runAll, BURN_INDEX_INTERVAL_MS);
+}
+
+function normBurnRow(r) {
+  return {
+    signature: r.signature,
+    amount: Number(r.amount) || 0,
+    timestamp: r.timestamp,
+    explorer: `https://solscan.io/tx/${r.signature}`,
+  };
+}
+
+/* ---- /api/burns ---- */
+/*
+GET /api/burns?page=&limit=&from=&to=   (newest first; limit max 200)
+  -> { burns: [{ signature, amount, timestamp, explorer }],
+       page, limit, total, nextPage, hasMore, complete }
+*/
+app.get("/api/burns", async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = (page - 1) * limit;
+    const from = parseChartTime(req.query.from);
+    const to = parseChartTime(req.query.to);
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return res.status(400).json({ error: "invalid_range" });
+    }
+
+    let query = supabase
+      .from("hub_burns")
+      .select("signature, amount, timestamp", { count: "exact" })
+      .eq("wallet", BURN_WALLET)
+      .eq("token", TOKEN_MINT);
+    if (from) query = query.gte("timestamp", from.toISOString());
+    if (to) query = query.lte("timestamp", to.toISOString());
+
+    const { data, error, count } = await query
+      .order("timestamp", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    const total = count ?? data?.length ?? 0;
+    const nextPage = offset + limit < total ? page + 1 : null;
+    res.json({
+      burns: (data || []).map(normBurnRow),
+      page,
+      limit,
+      total,
+      nextPage,
+      hasMore: Boolean(nextPage),
+      complete: BURN_INDEXERS.treasury.lastResult?.complete ?? null,
+    });
+  } catch (e) {
+    err("Error /api/burns:", e?.message || e);
+    res.status(500).json({ error: "Failed to fetch burns" });
+  }
+});
+
+/* ---- /api/burns/summary ---- */
+/*
+GET /api/burns/summary
+  -> { totalBurned, burned24h, burned7d, burned30d, burnCount,
+       supply: { current, initial, burned, burnedPct, circulatingAfterBurns,
+                 complete },
+       lastBurn, complete, updatedAt }
+  The top-level figures are BURN_WALLET (treasury) burns only. The supply
+  block counts every burn of the mint (the mint-wide indexer), because
+  on-chain supply already excludes all of them:
+  initial = current + supply.burned.
+*/
+app.get("/api/burns/summary", async (_req, res) => {
+  try {
+    if (
+      BURN_SUMMARY_CACHE.payload &&
+      Date.now() - BURN_SUMMARY_CACHE.ts < BURN_SUMMARY_TTL
+    ) {
+      return res.json(BURN_SUMMARY_CACHE.payload);
+    }
+
+    const now = Date.now();
+    const since = (ms) => new Date(now - ms).toISOString();
+    const [treasury, day, week, month, mint, { data: last, error: lastErr }] =
+      await Promise.all([
+        sumBurns({ wallet: BURN_WALLET }),
+        sumBurns({ wallet: BURN_WALLET, since: since(24 * 60 * 60 * 1000) }),
+        sumBurns({ wallet: BURN_WALLET, since: since(7 * 24 * 60 * 60 * 1000) }),
+        sumBurns({ wallet: BURN_WALLET, since: since(30 * 24 * 60 * 60 * 1000) }),
+        sumBurns(),
+        supabase
+          .from("hub_burns")
+          .select("signature, amount, timestamp")
+          .eq("wallet", BURN_WALLET)
+          .eq("token", TOKEN_MINT)
+          .order("timestamp", { ascending: false })
+          .limit(1)
+          .maybeSingle(),
+      ]);
+    if (lastErr) throw lastErr;
+    const mintBurned = mint.total;
+
+    let current = null;
+    try {
+      const supply = await rpcBurn("getTokenSupply", [TOKEN_MINT]);
+      current = Number(supply?.value?.uiAmountString ?? supply?.value?.uiAmount);
+      if (!Number.isFinite(current)) current = null;
+    } catch (e) {
+      warn("[burn] getTokenSupply failed:", e?.message || e);
+    }
+    const initial = current != null ? current + mintBurned : null;
+
+    const payload = {
+      totalBurned: treasury.total,
+      burned24h: day.total,
+      burned7d: week.total,
+      burned30d: month.total,
+      burnCount: treasury.count,
+      supply: {
+        current,
+        initial,
+        burned: mintBurned,
+        burnedPct: initial ? +((mintBurned / initial) * 100).toFixed(4) : null,
+        circulatingAfterBurns: current,
+        complete: BURN_INDEXERS.mint.lastResult?.complete ?? null,
+      },
+      lastBurn: last ? normBurnRow(last) : null,
+      complete: BURN_INDEXERS.treasury.lastResult?.complete ?? null,
+      updatedAt: new Date(now).toISOString(),
+    };
+
+    BURN_SUMMARY_CACHE.ts = now;
+    BURN_SUMMARY_CACHE.payload = payload;
+    res.json(payload);
+  } catch (e) {
+    err("Error /api/burns/summary:", e?.message || e);
+    res.status(500).json({ error: "Failed to fetch burn summary" });
+  }
+});
+
+
+/* ---- /api/burns/leaderboard ---- */
+/*
+GET /api/burns/leaderboard?period=all|30d|7d|24h&limit=  (limit max 100)
+  -> { period, leaders: [{ rank, wallet, handle, avatar_url, totalBurned,
+       burnCount, lastBurnAt, treasury }], complete, updatedAt }
+  Mint-wide: every wallet that burned BLACK.
+*/
+const BURN_PERIODS = {
+  all: Infinity,
+  "30d": 30 * 24 * 60 * 60 * 1000,
+  "7d": 7 * 24 * 60 * 60 * 1000,
+  "24h": 24 * 60 * 60 * 1000,
+};
+
+// Top BURN_LEADERBOARD_MAX burners for a period, aggregated in Postgres
+async function buildBurnLeaderboard(period) {
+  const since =
+    BURN_PERIODS[period] === Infinity
+      ? null
+      : new Date(Date.now() - BURN_PERIODS[period]).toISOString();
+
+  const { data, error } = await supabase.rpc("hub_burn_leaderboard", {
+    p_token: TOKEN_MINT,
+    p_since: since,
+    p_limit: BURN_LEADERBOARD_MAX,
+  });
+  if (error) throw new Error(`hub_burn_leaderboard failed: ${error.message}`);
+  return (data || []).map((r) => ({
+    wallet: r.wallet,
+    totalBurned: Number(r.total) || 0,
+    burnCount: Number(r.burn_count) || 0,
+    lastBurnAt: r.last_at,
+  }));
+}
+
+app.get("/api/burns/leaderboard", async (req, res) => {
+  try {
+    const period = String(req.query.period || "all");
+    if (!BURN_PERIODS[period]) {
+      return res.status(400).json({ error: "invalid_period" });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), BURN_LEADERBOARD_MAX);
+
+    let cached = BURN_LEADERBOARD_CACHE.get(period);
+    if (!cached || Date.now() - cached.ts > BURN_LEADERBOARD_TTL) {
+      cached = { ts: Date.now(), rows: await buildBurnLeaderboard(period) };
+      BURN_LEADERBOARD_CACHE.set(period, cached);
+    }
+
+    const top = cached.rows.slice(0, limit);
+    const profiles = new Map();
+    if (top.length) {
+      const { data, error } = await supabase
+        .from("hub_profiles")
+        .select("wallet, handle, avatar_url")
+        .in(
+          "wallet",
+          top.map((r) => r.wallet)
+        );
+      if (error) warn("[burns/leaderboard] profile lookup failed:", error.message);
+      for (const p of data || []) profiles.set(p.wallet, p);
+    }
+
+    res.json({
+      period,
+      leaders: top.map((r, i) => ({
+        rank: i + 1,
+        wallet: r.wallet,
+        handle: profiles.get(r.wallet)?.handle || null,
+        avatar_url: profiles.get(r.wallet)?.avatar_url || null,
+        totalBurned: r.totalBurned,
+        burnCount: r.burnCount,
+        lastBurnAt: r.lastBurnAt,
+        treasury: r.wallet === BURN_WALLET,
+      })),
+      complete: BURN_INDEXERS.mint.lastResult?.complete ?? null,
+      updatedAt: new Date(cached.ts).toISOString(),
+    });
+  } catch (e) {
+    err("Error /api/burns/leaderboard:", e?.message || e);
+    res.status(500).json({ error: "Failed to fetch burn leaderboard" });
+  }
+});
+
+/* ---- /api/burns/wallet/:wallet ---- */
+/*
+GET /api/burns/wallet/:wallet?page=&limit=&from=&to=   (newest first; limit max 200)
+  -> { wallet, totalBurned, burnCount,
+       burns: [{ signature, ix_index, amount, timestamp, explorer }],
+       page, limit, total, nextPage, hasMore, complete }
+  totalBurned / burnCount cover the wallet's whole history (ignore from/to).
+*/
+app.get("/api/burns/wallet/:wallet", async (req, res) => {
+  try {
+    const wallet = String(req.params.wallet || "").trim();
+    try {
+      new web3.PublicKey(wallet);
+    } catch {
+      return res.status(400).json({ error: "invalid_wallet" });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = (page - 1) * limit;
+    const from = parseChartTime(req.query.from);
+    const to = parseChartTime(req.query.to);
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return res.status(400).json({ error: "invalid_range" });
+    }
+
+    let query = supabase
+      .from("hub_burns")
+      .select("signature, ix_index, amount, timestamp", { count: "exact" })
+      .eq("token", TOKEN_MINT)
+      .eq("wallet", wallet);
+    if (from) query = query.gte("timestamp", from.toISOString());
+    if (to) query = query.lte("timestamp", to.toISOString());
+
+    const [{ data, error, count }, totals] = await Promise.all([
+      query
+        .order("timestamp", { ascending: false })
+        .order("ix_index", { ascending: true })
+        .range(offset, offset + limit - 1),
+      sumBurns({ wallet }).then((t) => ({ totalBurned: t.total, burnCount: t.count })),
+    ]);
+    if (error) throw error;
+
+    const total = count ?? data?.length ?? 0;
+    const nextPage = offset + limit < total ? page + 1 : null;
+    res.json({
+      wallet,
+      ...totals,
+      burns: (data || []).map((r) => ({ ...normBurnRow(r), ix_index: r.ix_index ?? 0 })),
+      page,
+      limit,
+      total,
+      nextPage,
+      hasMore: Boolean(nextPage),
+      complete: BURN_INDEXERS.mint.lastResult?.complete ?? null,
+    });
+  } catch (e) {
+    err("Error /api/burns/wallet:", e?.message || e);
+    res.status(500).json({ error: "Failed to fetch wallet burns" });
+  }
+});
+
+
+/* Simple JSON for homepage vault cards:
+ * {
+ *   cto:      { sol, token, burn?: { ... } },
+ *   utility:  { sol, token }
+ * }
+ */
+app.get("/api/wallets", async (_req, res) => {
+  try {
+    if (!HELIUS_KEY) {
+      return res
+        .status(400)
+        .json({ error: "HELIUS_API_KEY not configured on backend" });
+    }
+
+    const [ctoSnap, utilitySnap, burn] = await Promise.all([
+      getWalletSnapshot(CTO_WALLET, TOKEN_MINT),
+      getWalletSnapshot(UTILITY_WALLET, TOKEN_MINT),
+      getLatestBurnTx().catch((e) => {
+        warn("getLatestBurnTx failed (non-fatal):", e?.message || e);
+        return null;
+      }),
+    ]);
+
+    res.json({
+      cto: {
+        ...ctoSnap,
+        burn: burn || null,
+      },
+      utility: utilitySnap,
+    });
+  } catch (e) {
+    err("/api/wallets error:", e);
+    res
+      .status(500)
+      .json({ error: "Failed to fetch wallet snapshots" });
+  }
+});
+
+// ---------- Home dashboard summary (for Terminal Hub hero card) ----------
+// GET /api/home?mint=<tracked mint, default BLACK>
+// Returns:
+// {
+//   mint,
+//   priceUsd,
+//   marketCapUsd,
+//   holders,
+//   supply,
+//   changePct24h,
+//   volume24h
+// }
+app.get("/api/home", async (req, res) => {
+  try {
+    const mint = resolveChartMint(req.query.mint);
+    if (!mint) return res.status(400).json({ error: "untracked_mint" });
+
+    const [meta, latest] = await Promise.all([
+      resolveTokenMetaCombined(mint, { nocache: false }),
+      getLatestChartPoint(mint),
+    ]);
 
     const priceUsd = Number(meta?.price_usd || latest?.price || 0);
     const marketCapUsd = Number(meta?.market_cap_usd || 0);
@@ -1819,7 +4147,7 @@ app.get("/api/home", async (_req, res) => {
       latest?.volume != null ? Number(latest.volume) : 0;
 
     res.json({
-      mint: TOKEN_MINT,
+      mint,
       priceUsd,
       marketCapUsd,
       holders,
@@ -1959,6 +4287,165 @@ function normalizeSlippageBps(input) {
   return Math.max(1, Math.min(hardCap, base));
 }
 
+/* ---------- Swap history ----------
+ * Every /api/swap/order is recorded, and /api/swap/execute fills in the
+ * outcome:
+ *   hub_swaps (id bigserial pk, request_id text unique, wallet text,
+ *              input_mint text, output_mint text, in_decimals int,
+ *              out_decimals int, in_amount_raw text, in_amount numeric,
+ *              quoted_out_amount numeric, slippage_bps int,
+ *              referral_fee_bps int, referral_account text,
+ *              status text default 'ordered',  -- ordered | success | failed
+ *              signature text, actual_in_amount numeric,
+ *              actual_out_amount numeric, actual_in_amount_raw text,
+ *              actual_out_amount_raw text, volume_usd numeric, error text,
+ *              fee_mint text, expected_fee_amount numeric,
+ *              actual_fee_amount numeric,
+ *              fee_status text,  -- none | pending | matched | missing
+ *              created_at timestamptz default now(), executed_at timestamptz)
+ * Amounts are UI units. A mint whose decimals can't be resolved gets null
+ * decimals and null UI amounts / volume_usd rather than a guessed scale;
+ * the *_raw columns keep the base-unit amounts so those rows can be
+ * converted later. Recording is best-effort: a DB problem never fails a
+ * swap. The fee_* columns belong to the referral revenue module.
+ */
+async function swapMintDecimals(mint) {
+  if (mint === WSOL_MINT) return 9;
+  const meta = await getTokenMeta(mint).catch(() => null);
+  return typeof meta?.decimals === "number" && meta.decimals >= 0 ? meta.decimals : null;
+}
+
+function swapUiAmount(raw, decimals) {
+  if (decimals == null) return null;
+  const n = Number(raw);
+  return Number.isFinite(n) && n > 0 ? n / Math.pow(10, decimals) : null;
+}
+
+async function recordSwapOrder(wallet, order) {
+  if (!order?.requestId) return;
+  try {
+    const [inDecimals, outDecimals] = await Promise.all([
+      swapMintDecimals(order.inputMint),
+      swapMintDecimals(order.outputMint),
+    ]);
+    const { error } = await supabase.from("hub_swaps").upsert(
+      {
+        request_id: order.requestId,
+        wallet,
+        input_mint: order.inputMint,
+        output_mint: order.outputMint,
+        in_decimals: inDecimals,
+        out_decimals: outDecimals,
+        in_amount_raw: String(order.inAmount),
+        in_amount: swapUiAmount(order.inAmount, inDecimals),
+        quoted_out_amount: order.outAmount || null,
+        slippage_bps: order.slippageBps,
+        referral_fee_bps:
+          JUP_ULTRA_REFERRAL_ACCOUNT && JUP_ULTRA_REFERRAL_FEE_BPS > 0
+            ? JUP_ULTRA_REFERRAL_FEE_BPS
+            : 0,
+        referral_account: JUP_ULTRA_REFERRAL_ACCOUNT || null,
+        fee_mint: order.feeMint || null,
+        status: "ordered",
+      },
+      { onConflict: "request_id", ignoreDuplicates: true }
+    );
+    if (error) warn("[swap/history] order insert failed:", error.message);
+  } catch (e) {
+    warn("[swap/history] order record exception:", e?.message || e);
+  }
+}
+
+// Fill in the outcome of an execute. Rows belong to the wallet that
+// ordered them; an execute for somebody else's requestId is ignored.
+async function recordSwapExecution(wallet, requestId, executeJson, { ok, signature, error }) {
+  if (!requestId) return;
+  try {
+    const { data: row, error: rowErr } = await supabase
+      .from("hub_swaps")
+      .select(
+        "id, wallet, input_mint, output_mint, in_decimals, out_decimals, in_amount_raw, fee_mint, referral_fee_bps"
+      )
+      .eq("request_id", requestId)
+      .maybeSingle();
+    if (rowErr) {
+      warn("[swap/history] execute lookup failed:", rowErr.message);
+      return;
+    }
+    if (row && row.wallet !== wallet) {
+      warn("[swap/history] execute for foreign requestId", requestId, "by", wallet);
+      return;
+    }
+
+    // Orders not placed through /api/swap/order: take mints from the result
+    const events = Array.isArray(executeJson?.swapEvents) ? executeJson.swapEvents : [];
+    const inputMint = row?.input_mint || events[0]?.inputMint || null;
+    const outputMint = row?.output_mint || events[events.length - 1]?.outputMint || null;
+    // Re-resolve decimals the order couldn't; still null if unknown
+    const inDecimals = row?.in_decimals ?? (inputMint ? await swapMintDecimals(inputMint) : null);
+    const outDecimals = row?.out_decimals ?? (outputMint ? await swapMintDecimals(outputMint) : null);
+
+    const actualInRaw = executeJson?.totalInputAmount ?? executeJson?.inputAmountResult;
+    const actualOutRaw = executeJson?.totalOutputAmount ?? executeJson?.outputAmountResult;
+    const actualIn = swapUiAmount(actualInRaw, inDecimals);
+    const actualOut = swapUiAmount(actualOutRaw, outDecimals);
+
+    let volumeUsd = null;
+    if (ok) {
+      const inPx = inputMint && actualIn ? await getTokenUsd(inputMint).catch(() => 0) : 0;
+      if (inPx > 0) {
+        volumeUsd = +(actualIn * inPx).toFixed(2);
+      } else if (outputMint && actualOut) {
+        const outPx = await getTokenUsd(outputMint).catch(() => 0);
+        if (outPx > 0) volumeUsd = +(actualOut * outPx).toFixed(2);
+      }
+    }
+
+    const expectedFee = ok
+      ? expectedReferralFee({
+          feeMint: row?.fee_mint,
+          feeBps: row?.referral_fee_bps,
+          inputMint,
+          outputMint,
+          actualIn,
+          actualOut,
+        })
+      : null;
+
+    const patch = {
+      status: ok ? "success" : "failed",
+      signature: signature || null,
+      in_decimals: inDecimals,
+      out_decimals: outDecimals,
+      actual_in_amount: actualIn,
+      actual_out_amount: actualOut,
+      actual_in_amount_raw: actualInRaw != null ? String(actualInRaw) : null,
+      actual_out_amount_raw: actualOutRaw != null ? String(actualOutRaw) : null,
+      volume_usd: volumeUsd,
+      error: ok ? null : String(error || executeJson?.error || "unknown").slice(0, 300),
+      expected_fee_amount: expectedFee,
+      fee_status: expectedFee ? "pending" : "none",
+      executed_at: new Date().toISOString(),
+    };
+    if (row && row.in_decimals == null && inDecimals != null) {
+      patch.in_amount = swapUiAmount(row.in_amount_raw, inDecimals);
+    }
+
+    const { error: writeErr } = row
+      ? await supabase.from("hub_swaps").update(patch).eq("id", row.id)
+      : await supabase.from("hub_swaps").insert({
+          request_id: requestId,
+          wallet,
+          input_mint: inputMint,
+          output_mint: outputMint,
+          ...patch,
+        });
+    if (writeErr) warn("[swap/history] execute update failed:", writeErr.message);
+  } catch (e) {
+    warn("[swap/history] execute record exception:", e?.message || e);
+  }
+}
+
 // === Ultra-style swap "order" + "execute" used by OperatorHub swap panel ===
 // Design:
 // - /api/swap/order: take UI amount, build Jupiter Ultra order, return an object
@@ -2151,6 +4638,7 @@ async function buildUltraSwapOrderTx(opts) {
     inputMint,
     outputMint,
     slippageBps: safeSlippage,
+    feeMint: orderJson.feeMint || null, // mint the referral fee is taken in
   };
 }
 
@@ -2308,6 +4796,8 @@ const order = await buildUltraSwapOrderTx({
   slippageBps,
 });
 
+    recordSwapOrder(wallet, order);
+
     return res.json({
       ok: true,
       order: {
@@ -2417,6 +4907,10 @@ app.post("/api/swap/execute", requireSession, async (req, res) => {
         "body:",
         text.slice(0, 400)
       );
+      recordSwapExecution(effectiveWallet, requestId, null, {
+        ok: false,
+        error: `ultra_http_${r.status}`,
+      });
       return res.status(502).json({
         error: "ultra_execute_failed",
         status: r.status,
@@ -2442,6 +4936,13 @@ app.post("/api/swap/execute", requireSession, async (req, res) => {
         ? executeJson.txid
         : null;
 
+    recordSwapExecution(
+      effectiveWallet,
+      executeJson.requestId || requestId,
+      executeJson,
+      { ok: status === "Success", signature, error: executeJson.error || status }
+    );
+
     return res.json({
       ok: status === "Success",
       requestId: executeJson.requestId || requestId || null,
@@ -2456,56 +4957,577 @@ app.post("/api/swap/execute", requireSession, async (req, res) => {
   }
 });
 
-/* ---------- Broadcasts (HTTP) ---------- */
-const hhmm = (iso) => {
-  try {
-    return new Date(iso).toTimeString().slice(0, 5);
-  } catch {
-    return "";
-  }
-};
+/* ---- /api/swap/history ---- */
+/*
+GET /api/swap/history?wallet=&page=&limit=&status=
+  -> { wallet, swaps: [...], page, limit, total, nextPage, hasMore,
+       volume: { usd, swaps } }
+  status filters to ordered | success | failed. volume covers every
+  successful swap of the wallet regardless of paging or filter.
+*/
+const SWAP_HISTORY_STATUSES = new Set(["ordered", "success", "failed"]);
 
-function normRow(r) {
-  if (!r) return null;
+function normSwapRow(r) {
   return {
-    id: r.id,
-    wallet: r.wallet,
-    message: r.message,
-    created_at: r.created_at,
-    display_time: hhmm(r.created_at),
+    requestId: r.request_id,
+    inputMint: r.input_mint,
+    outputMint: r.output_mint,
+    inAmount: r.in_amount != null ? Number(r.in_amount) : null,
+    quotedOutAmount: r.quoted_out_amount != null ? Number(r.quoted_out_amount) : null,
+    slippageBps: r.slippage_bps,
+    referralFeeBps: r.referral_fee_bps,
+    status: r.status,
+    signature: r.signature || null,
+    actualInAmount: r.actual_in_amount != null ? Number(r.actual_in_amount) : null,
+    actualOutAmount: r.actual_out_amount != null ? Number(r.actual_out_amount) : null,
+    volumeUsd: r.volume_usd != null ? Number(r.volume_usd) : null,
+    error: r.error || null,
+    createdAt: r.created_at,
+    executedAt: r.executed_at || null,
   };
 }
 
-// --- Locked Signal Room broadcast: DEV_WALLETS only ---
-app.post("/api/broadcast", requireSession, express.json(), async (req, res) => {
-  try {
-    const sessionWallet = req.sessionWallet;
-    const { wallet, message } = req.body || {};
-
-    // Basic validation
-    const msg = (message || "").trim();
-    if (!msg) {
-      return res.status(400).json({ error: "message_required" });
+async function sumSwapVolume(wallet) {
+  let usd = 0;
+  let swaps = 0;
+  for (let offset = 0; ; offset += CHART_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("hub_swaps")
+      .select("volume_usd")
+      .eq("wallet", wallet)
+      .eq("status", "success")
+      .order("id", { ascending: true })
+      .range(offset, offset + CHART_PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const r of data || []) {
+      swaps++;
+      usd += Number(r.volume_usd) || 0;
     }
+    if (!data || data.length < CHART_PAGE_SIZE) break;
+  }
+  return { usd: +usd.toFixed(2), swaps };
+}
 
-    // Enforce that the wallet in the body (if present) matches the session wallet
-    const effectiveWallet = (wallet || sessionWallet || "").trim();
-    if (!effectiveWallet) {
-      return res.status(400).json({ error: "wallet_required" });
+app.get("/api/swap/history", async (req, res) => {
+  try {
+    const wallet = String(req.query.wallet || "").trim();
+    try {
+      new web3.PublicKey(wallet);
+    } catch {
+      return res.status(400).json({ error: "invalid_wallet" });
     }
-    if (effectiveWallet !== sessionWallet) {
-      return res.status(403).json({ error: "wallet_session_mismatch" });
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !SWAP_HISTORY_STATUSES.has(status)) {
+      return res.status(400).json({ error: "invalid_status" });
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from("hub_swaps")
+      .select("*", { count: "exact" })
+      .eq("wallet", wallet);
+    if (status) query = query.eq("status", status);
+
+    const [{ data, error, count }, volume] = await Promise.all([
+      query
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1),
+      sumSwapVolume(wallet),
+    ]);
+    if (error) throw error;
+
+    const total = count ?? data?.length ?? 0;
+    const nextPage = offset + limit < total ? page + 1 : null;
+    res.json({
+      wallet,
+      swaps: (data || []).map(normSwapRow),
+      page,
+      limit,
+      total,
+      nextPage,
+      hasMore: Boolean(nextPage),
+      volume,
+    });
+  } catch (e) {
+    err("Error /api/swap/history:", e?.message || e);
+    res.status(500).json({ error: "Failed to fetch swap history" });
+  }
+});
+
+/* ---------- Referral revenue (Jupiter Ultra) ----------
+ * Expected fees are attributed per executed swap (hub_swaps.fee_* columns,
+ * see Swap history). What the referral account actually received comes
+ * from its token accounts' transactions, one row per inflow:
+ *   hub_referral_inflows (signature text, token_account text, mint text,
+ *                         amount numeric, block_time timestamptz,
+ *                         swap_request_id text,
+ *                         primary key (signature, token_account))
+ * Each token account is walked like a burn indexer (hub_indexer_state,
+ * name = "referral:<token account>"). An inflow whose signature is a
+ * recorded swap marks that swap "matched"; swaps still unmatched
+ * REFERRAL_MISSING_AFTER_MS after execution become "missing" once the
+ * indexers are caught up. Inflows with no swap (e.g. swaps made through
+ * /api/swap/quote) stay unattributed.
+ */
+const REFERRAL_INDEX_INTERVAL_MS = 10 * 60 * 1000;
+const REFERRAL_ACCOUNTS_TTL = 60 * 60 * 1000;
+const REFERRAL_TX_PER_CYCLE = 300;
+
+const REFERRAL_MISSING_AFTER_MS = (() => {
+  const raw = Number(process.env.REFERRAL_MISSING_AFTER_MINUTES || "60");
+  const minutes = Number.isFinite(raw) ? Math.max(10, Math.min(1440, raw)) : 60;
+  return minutes * 60 * 1000;
+})();
+
+// Jupiter keeps a cut of integrator fees; this is the part that reaches
+// the referral account (0 < share <= 1).
+const JUP_ULTRA_REFERRAL_FEE_SHARE = (() => {
+  const raw = Number(process.env.JUP_ULTRA_REFERRAL_FEE_SHARE || "0.8");
+  if (!Number.isFinite(raw) || raw <= 0) return 0.8;
+  return Math.min(1, raw);
+})();
+
+const REFERRAL_REVENUE = {
+  running: false,
+  lastRunAt: null,
+  lastResult: null,
+  lastError: null,
+  accounts: { ts: 0, list: [] },
+};
+
+// Expected referral fee (UI units of feeMint) for an executed swap
+function expectedReferralFee({ feeMint, feeBps, inputMint, outputMint, actualIn, actualOut }) {
+  const bps = Number(feeBps) || 0;
+  if (!feeMint || bps <= 0 || bps >= 10000) return null;
+  let gross = null;
+  if (feeMint === inputMint && actualIn) gross = (actualIn * bps) / 10000;
+  // Output-side fees are taken before the user is paid, so actualOut is net
+  else if (feeMint === outputMint && actualOut) gross = (actualOut * bps) / (10000 - bps);
+  return gross ? gross * JUP_ULTRA_REFERRAL_FEE_SHARE : null;
+}
+
+async function getReferralTokenAccounts() {
+  const cache = REFERRAL_REVENUE.accounts;
+  if (cache.list.length && Date.now() - cache.ts < REFERRAL_ACCOUNTS_TTL) {
+    return cache.list;
+  }
+  const list = [];
+  for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+    const res = await rpc("getTokenAccountsByOwner", [
+      JUP_ULTRA_REFERRAL_ACCOUNT,
+      { programId },
+      { encoding: "jsonParsed", commitment: "confirmed" },
+    ]);
+    for (const a of res?.value || []) {
+      const info = a.account?.data?.parsed?.info;
+      if (!info?.mint) continue;
+      list.push({
+        address: a.pubkey,
+        mint: info.mint,
+        decimals: Number(info.tokenAmount?.decimals) || 0,
+      });
+    }
+  }
+  cache.list = list;
+  cache.ts = Date.now();
+  return list;
+}
+
+// Raw balance change of tokenAccount in a jsonParsed transaction
+function tokenAccountDelta(tx, tokenAccount) {
+  const keys = tx?.transaction?.message?.accountKeys || [];
+  const idx = keys.findIndex((k) => (k?.pubkey || k) === tokenAccount);
+  if (idx < 0) return 0n;
+  const raw = (list) =>
+    (list || []).find((b) => b.accountIndex === idx)?.uiTokenAmount?.amount || "0";
+  return BigInt(raw(tx.meta?.postTokenBalances)) - BigInt(raw(tx.meta?.preTokenBalances));
+}
+
+// Read one signature → 1 if it paid the token account, else 0
+async function indexReferralSignature(sigInfo, acct) {
+  if (sigInfo.err) return 0;
+
+  const tx = await rpc("getTransaction", [
+    sigInfo.signature,
+    {
+      maxSupportedTransactionVersion: 0,
+      commitment: "confirmed",
+      encoding: "jsonParsed",
+    },
+  ]);
+  if (!tx) return 0;
+
+  const delta = tokenAccountDelta(tx, acct.address);
+  if (delta <= 0n) return 0; // withdrawals / unrelated writes
+
+  const amount = Number(delta) / Math.pow(10, acct.decimals);
+  const blockTime = sigInfo.blockTime || tx.blockTime || 0;
+
+  const { data: swap, error: swapErr } = await supabase
+    .from("hub_swaps")
+    .select("id, request_id")
+    .eq("signature", sigInfo.signature)
+    .maybeSingle();
+  if (swapErr) throw new Error(`hub_swaps lookup failed: ${swapErr.message}`);
+
+  const { error } = await supabase.from("hub_referral_inflows").upsert(
+    {
+      signature: sigInfo.signature,
+      token_account: acct.address,
+      mint: acct.mint,
+      amount,
+      block_time: blockTime
+        ? new Date(blockTime * 1000).toISOString()
+        : new Date().toISOString(),
+      swap_request_id: swap?.request_id || null,
+    },
+    { onConflict: "signature,token_account" }
+  );
+  if (error) throw new Error(`hub_referral_inflows upsert failed: ${error.message}`);
+
+  if (swap) {
+    const { error: upErr } = await supabase
+      .from("hub_swaps")
+      .update({ actual_fee_amount: amount, fee_status: "matched" })
+      .eq("id", swap.id);
+    if (upErr) warn("[revenue] swap match failed:", upErr.message);
+  }
+  return 1;
+}
+
+/**
+ * New signatures of one referral token account, then older history.
+ * Returns { scanned, inflows, caughtUp, budget } (budget = what is left).
+ */
+async function indexReferralAccount(acct, budget) {
+  const name = `referral:${acct.address}`;
+  const st = await loadIndexerState(name);
+  const stats = { scanned: 0, inflows: 0, caughtUp: false, budget };
+
+  try {
+    if (st.newest) {
+      const fresh = [];
+      let before = null;
+      for (;;) {
+        const page = await rpc("getSignaturesForAddress", [
+          acct.address,
+          { limit: 1000, until: st.newest, ...(before ? { before } : {}) },
+        ]);
+        if (!Array.isArray(page) || !page.length) break;
+        fresh.push(...page);
+        if (page.length < 1000) break;
+        before = page[page.length - 1].signature;
+      }
+
+      // Oldest first, so `newest` never skips an unread signature
+      const take = stats.budget > 0 ? fresh.slice(-stats.budget).reverse() : [];
+      for (const info of take) {
+        stats.inflows += await indexReferralSignature(info, acct);
+        stats.scanned++;
+        stats.budget--;
+        st.newest = info.signature;
+      }
+      stats.caughtUp = take.length === fresh.length;
+    }
+
+    while (!st.complete && stats.budget > 0) {
+      const page = await rpc("getSignaturesForAddress", [
+        acct.address,
+        { limit: 1000, ...(st.oldest ? { before: st.oldest } : {}) },
+      ]);
+      if (!Array.isArray(page) || !page.length) {
+        st.complete = true;
+        break;
+      }
+      if (!st.newest) {
+        st.newest = page[0].signature;
+        stats.caughtUp = true;
+      }
+
+      for (const info of page) {
+        if (stats.budget <= 0) break;
+        stats.inflows += await indexReferralSignature(info, acct);
+        stats.scanned++;
+        stats.budget--;
+        st.oldest = info.signature;
+      }
+      if (page.length < 1000 && st.oldest === page[page.length - 1].signature) {
+        st.complete = true;
+      }
+    }
+    if (!st.newest && st.complete) stats.caughtUp = true; // no history at all
+  } catch (e) {
+    if (!isRateLimitError(e)) throw e;
+    stats.caughtUp = false;
+    warn(`[revenue] ${name} rate limited — resuming next cycle`);
+  } finally {
+    await saveIndexerState(name, st);
+  }
+  return stats;
+}
+
+// Settle swaps whose fee should have arrived by now → number marked missing
+async function reconcileReferralFees() {
+  const cutoff = new Date(Date.now() - REFERRAL_MISSING_AFTER_MS).toISOString();
+  const { data, error } = await supabase
+    .from("hub_swaps")
+    .select("id, signature")
+    .eq("fee_status", "pending")
+    .lt("executed_at", cutoff)
+    .order("id", { ascending: true })
+    .limit(500);
+  if (error) throw new Error(`hub_swaps pending select failed: ${error.message}`);
+  if (!data?.length) return 0;
+
+  // An inflow indexed before its execute was recorded still counts
+  const sigs = data.map((r) => r.signature).filter(Boolean);
+  const received = new Map();
+  if (sigs.length) {
+    const { data: inflows, error: inErr } = await supabase
+      .from("hub_referral_inflows")
+      .select("signature, amount")
+      .in("signature", sigs);
+    if (inErr) throw new Error(`hub_referral_inflows select failed: ${inErr.message}`);
+    for (const r of inflows || []) {
+      received.set(r.signature, (received.get(r.signature) || 0) + Number(r.amount || 0));
+    }
+  }
+
+  let missing = 0;
+  for (const row of data) {
+    const amount = row.signature ? received.get(row.signature) : undefined;
+    const patch =
+      amount != null
+        ? { actual_fee_amount: amount, fee_status: "matched" }
+        : { fee_status: "missing" };
+    if (amount == null) missing++;
+    const { error: upErr } = await supabase.from("hub_swaps").update(patch).eq("id", row.id);
+    if (upErr) warn("[revenue] reconcile update failed:", upErr.message);
+  }
+  return missing;
+}
+
+async function runReferralRevenueCycle() {
+  const accounts = await getReferralTokenAccounts();
+  const stats = { accounts: accounts.length, scanned: 0, inflows: 0, missing: 0 };
+  let budget = REFERRAL_TX_PER_CYCLE;
+  let caughtUp = true;
+
+  for (const acct of accounts) {
+    const r = await indexReferralAccount(acct, budget);
+    stats.scanned += r.scanned;
+    stats.inflows += r.inflows;
+    budget = r.budget;
+    if (!r.caughtUp) caughtUp = false;
+  }
+  if (caughtUp) stats.missing = await reconcileReferralFees();
+
+  log("[revenue] cycle:", JSON.stringify(stats));
+  return stats;
+}
+
+function startReferralRevenueLoop() {
+  if (!JUP_ULTRA_REFERRAL_ACCOUNT || !HELIUS_KEY) {
+    warn("[revenue] referral account or HELIUS_API_KEY missing — revenue indexing disabled");
+    return;
+  }
+  const run = async () => {
+    if (REFERRAL_REVENUE.running) return;
+    REFERRAL_REVENUE.running = true;
+    try {
+      REFERRAL_REVENUE.lastResult = await runReferralRevenueCycle();
+      REFERRAL_REVENUE.lastError = null;
+    } catch (e) {
+      err("[revenue] cycle error:", e?.message || e);
+      REFERRAL_REVENUE.lastError = String(e?.message || e);
+    } finally {
+      REFERRAL_REVENUE.running = false;
+      REFERRAL_REVENUE.lastRunAt = new Date().toISOString();
+    }
+  };
+  run();
+  setInterval(run, REFERRAL_INDEX_INTERVAL_MS);
+}
+
+/* ---- Admin: referral revenue (treasurer / dev) ---- */
+/*
+GET /api/admin/revenue?days=30
+  -> { referralAccount, feeBps, feeShare, from,
+       days: [{ date, expectedUsd, actualUsd,
+                mints: [{ mint, expected, actual, unattributed,
+                          expectedUsd, actualUsd }] }],
+       totals: { expectedUsd, actualUsd, unattributedUsd, mints: [...] },
+       swaps: { matched, pending, missing },
+       indexer: { running, lastRunAt, lastResult, lastError } }
+  Days are UTC, newest first, and only days with activity are listed.
+  Expected fees are dated by swap execution, actual fees by block time.
+  USD uses the current getTokenUsd price of each mint.
+*/
+app.get(
+  "/api/admin/revenue",
+  requireRole(...ROLE_GATES.revenue),
+  async (req, res) => {
+    try {
+      const dayCount = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+      const now = new Date();
+      const dayMs = 24 * 60 * 60 * 1000;
+      const todayMs = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+      const from = new Date(todayMs - (dayCount - 1) * dayMs).toISOString();
+
+      const days = new Map(); // date -> Map(mint -> bucket)
+      const bucket = (ts, mint) => {
+        const date = new Date(ts).toISOString().slice(0, 10);
+        if (!days.has(date)) days.set(date, new Map());
+        const mints = days.get(date);
+        if (!mints.has(mint)) mints.set(mint, { mint, expected: 0, actual: 0, unattributed: 0 });
+        return mints.get(mint);
+      };
+      const swaps = { matched: 0, pending: 0, missing: 0 };
+
+      for (let offset = 0; ; offset += CHART_PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from("hub_swaps")
+          .select("id, fee_mint, expected_fee_amount, fee_status, executed_at")
+          .eq("status", "success")
+          .neq("fee_status", "none")
+          .gte("executed_at", from)
+          .order("id", { ascending: true })
+          .range(offset, offset + CHART_PAGE_SIZE - 1);
+        if (error) throw error;
+        for (const r of data || []) {
+          if (r.fee_status in swaps) swaps[r.fee_status]++;
+          if (!r.fee_mint) continue;
+          bucket(r.executed_at, r.fee_mint).expected += Number(r.expected_fee_amount || 0);
+        }
+        if (!data || data.length < CHART_PAGE_SIZE) break;
+      }
+
+      for (let offset = 0; ; offset += CHART_PAGE_SIZE) {
+        const { data, error } = await supabase
+          .from("hub_referral_inflows")
+          .select("signature, token_account, mint, amount, block_time, swap_request_id")
+          .gte("block_time", from)
+          .order("block_time", { ascending: true })
+          .order("signature", { ascending: true })
+          .range(offset, offset + CHART_PAGE_SIZE - 1);
+        if (error) throw error;
+        for (const r of data || []) {
+          const b = bucket(r.block_time, r.mint);
+          const amount = Number(r.amount || 0);
+          b.actual += amount;
+          if (!r.swap_request_id) b.unattributed += amount;
+        }
+        if (!data || data.length < CHART_PAGE_SIZE) break;
+      }
+
+      const allMints = new Set();
+      for (const mints of days.values()) for (const m of mints.keys()) allMints.add(m);
+      const prices = new Map(
+        await Promise.all(
+          Array.from(allMints).map(async (m) => [m, await getTokenUsd(m).catch(() => 0)])
+        )
+      );
+      const usd = (mint, amount) => +(amount * (prices.get(mint) || 0)).toFixed(2);
+
+      const totalsByMint = new Map();
+      const dayList = Array.from(days.entries())
+        .sort((a, b) => (a[0] < b[0] ? 1 : -1))
+        .map(([date, mints]) => {
+          const list = Array.from(mints.values()).map((b) => {
+            const t = totalsByMint.get(b.mint) || { mint: b.mint, expected: 0, actual: 0, unattributed: 0 };
+            t.expected += b.expected;
+            t.actual += b.actual;
+            t.unattributed += b.unattributed;
+            totalsByMint.set(b.mint, t);
+            return { ...b, expectedUsd: usd(b.mint, b.expected), actualUsd: usd(b.mint, b.actual) };
+          });
+          return {
+            date,
+            expectedUsd: +list.reduce((s, m) => s + m.expectedUsd, 0).toFixed(2),
+            actualUsd: +list.reduce((s, m) => s + m.actualUsd, 0).toFixed(2),
+            mints: list,
+          };
+        });
+
+      const totalMints = Array.from(totalsByMint.values()).map((t) => ({
+        ...t,
+        expectedUsd: usd(t.mint, t.expected),
+        actualUsd: usd(t.mint, t.actual),
+        unattributedUsd: usd(t.mint, t.unattributed),
+      }));
+
+      res.json({
+        referralAccount: JUP_ULTRA_REFERRAL_ACCOUNT || null,
+        feeBps: JUP_ULTRA_REFERRAL_FEE_BPS,
+        feeShare: JUP_ULTRA_REFERRAL_FEE_SHARE,
+        from,
+        days: dayList,
+        totals: {
+          expectedUsd: +totalMints.reduce((s, m) => s + m.expectedUsd, 0).toFixed(2),
+          actualUsd: +totalMints.reduce((s, m) => s + m.actualUsd, 0).toFixed(2),
+          unattributedUsd: +totalMints.reduce((s, m) => s + m.unattributedUsd, 0).toFixed(2),
+          mints: totalMints,
+        },
+        swaps,
+        indexer: {
+          running: REFERRAL_REVENUE.running,
+          lastRunAt: REFERRAL_REVENUE.lastRunAt,
+          lastResult: REFERRAL_REVENUE.lastResult,
+          lastError: REFERRAL_REVENUE.lastError,
+        },
+      });
+    } catch (e) {
+      err("Error /api/admin/revenue:", e?.message || e);
+      res.status(500).json({ error: "Failed to build revenue report" });
+    }
+  }
+);
+
+/* ---------- Broadcasts (HTTP) ---------- */
+const hhmm = (iso) => {
+  try {
+    return new Date(iso).toTimeString().slice(0, 5);
+  } catch {
+    return "";
+  }
+};
+
+function normRow(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    wallet: r.wallet,
+    message: r.message,
+    created_at: r.created_at,
+    display_time: hhmm(r.created_at),
+  };
+}
+
+// --- Locked Signal Room broadcast: dev + moderator roles only ---
+app.post("/api/broadcast", requireRole(...ROLE_GATES.broadcast), express.json(), async (req, res) => {
+  try {
+    const sessionWallet = req.sessionWallet;
+    const { wallet, message } = req.body || {};
+
+    // Basic validation
+    const msg = (message || "").trim();
+    if (!msg) {
+      return res.status(400).json({ error: "message_required" });
     }
 
-    const normalized = effectiveWallet.toLowerCase();
-
-    // 🔒 HARD BACKEND GATE: only DEV_WALLETS can post
-    if (!DEV_WALLETS.has(normalized)) {
-      console.warn("[broadcast] non-dev wallet attempted post:", effectiveWallet);
-      return res.status(403).json({ error: "dev_wallet_required" });
+    // Enforce that the wallet in the body (if present) matches the session wallet
+    const effectiveWallet = (wallet || sessionWallet || "").trim();
+    if (!effectiveWallet) {
+      return res.status(400).json({ error: "wallet_required" });
+    }
+    if (effectiveWallet !== sessionWallet) {
+      return res.status(403).json({ error: "wallet_session_mismatch" });
     }
 
-    const role = "DEV";
+    // 🔒 Role gate already enforced by requireRole(); label the post with it
+    const role = (req.sessionRoles || []).includes("dev") ? "DEV" : "MODERATOR";
 
     // Insert into Supabase hub_broadcasts (adjust table/columns if needed)
     const { data, error } = await supabase
@@ -2632,6 +5654,7 @@ app.get("/api/refund-history", async (req, res) => {
         "id, wallet, token, tx, date, status, created_at, rent_reclaimed"
       )
       .eq("wallet", wallet)
+      .or("status.is.null,status.neq.hidden") // hidden = moderated away
       .order("created_at", { ascending: false })
       .limit(limit);
 
@@ -2643,6 +5666,122 @@ app.get("/api/refund-history", async (req, res) => {
   }
 });
 
+/* ---------- Refund log moderation (moderator / support) ---------- */
+const REFUND_MODERATION_STATUSES = ["success", "failed", "flagged", "hidden"];
+
+// GET /api/admin/refund-log?wallet=&status=&limit= → newest rows across all wallets
+app.get(
+  "/api/admin/refund-log",
+  requireRole(...ROLE_GATES.refundModeration),
+  async (req, res) => {
+    try {
+      const wallet = String(req.query.wallet || "").trim();
+      const status = String(req.query.status || "").trim();
+      const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+      let query = supabase
+        .from("hub_refund_history")
+        .select(
+          "id, wallet, token, tx, date, status, created_at, rent_reclaimed"
+        )
+        .order("created_at", { ascending: false })
+        .limit(limit);
+      if (wallet) query = query.eq("wallet", wallet);
+      if (status) query = query.eq("status", status);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      res.json((data || []).map(normRefundRow));
+    } catch (e) {
+      err("[admin/refund-log] GET error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// POST /api/admin/refund-log/:id/status { status, reason? }
+app.post(
+  "/api/admin/refund-log/:id/status",
+  requireRole(...ROLE_GATES.refundModeration),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+      const status = String(req.body?.status || "").trim();
+      const reason = String(req.body?.reason || "").trim().slice(0, 500) || null;
+      if (!REFUND_MODERATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: "invalid_status",
+          allowed: REFUND_MODERATION_STATUSES,
+        });
+      }
+
+      const { data, error } = await supabase
+        .from("hub_refund_history")
+        .update({ status })
+        .eq("id", id)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) return res.status(404).json({ error: "not_found" });
+
+      log(
+        "[admin/refund-log] status",
+        id,
+        "→",
+        status,
+        "by",
+        req.sessionWallet,
+        "reason=",
+        reason || "n/a"
+      );
+      await auditAdminAction(`refund_${status}`, {
+        wallet: data.wallet,
+        subject: `hub_refund_history:${id}`,
+        actor: req.sessionWallet,
+        reason,
+      });
+      res.json({ success: true, data: normRefundRow(data) });
+    } catch (e) {
+      err("[admin/refund-log] status error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// DELETE /api/admin/refund-log/:id { reason? }
+app.delete(
+  "/api/admin/refund-log/:id",
+  requireRole(...ROLE_GATES.refundModeration),
+  async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { data, error } = await supabase
+        .from("hub_refund_history")
+        .delete()
+        .eq("id", id)
+        .select("id, wallet");
+
+      if (error) throw error;
+      if (!data || !data.length) {
+        return res.status(404).json({ error: "not_found" });
+      }
+
+      log("[admin/refund-log] deleted", id, "by", req.sessionWallet);
+      await auditAdminAction("refund_delete", {
+        wallet: data[0].wallet,
+        subject: `hub_refund_history:${id}`,
+        actor: req.sessionWallet,
+        reason: String(req.body?.reason || req.query.reason || "").trim().slice(0, 500) || null,
+      });
+      res.json({ success: true, id });
+    } catch (e) {
+      err("[admin/refund-log] delete error:", e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
 /* ---------- Optional RPC Proxy (Helius) ---------- */
 app.post("/api/rpc", async (req, res) => {
   try {
@@ -2675,31 +5814,247 @@ app.post("/api/rpc", async (req, res) => {
 
 // --- AUTH: nonce + verify (used by Staking + OperatorHub) ---
 
+/* ---------- Sign-In-With-Solana (SIWS) messages ----------
+ * /api/auth/nonce emits a structured message:
+ *
+ *   <domain> wants you to sign in with your Solana account:
+ *   <address>
+ *
+ *   <statement>
+ *
+ *   URI: <uri>
+ *   Version: 1
+ *   Chain ID: <chain id>
+ *   Nonce: <nonce>
+ *   Issued At: <ISO 8601>
+ *   Expiration Time: <ISO 8601>
+ *
+ * /api/auth/verify parses it back line by line and checks every field.
+ * A message with the SIWS header that doesn't parse is rejected outright.
+ * The old "✦ BlackCoin Network ✦" message is still accepted, in exactly the
+ * shape buildLegacyAuthMessage() produces, while AUTH_ALLOW_LEGACY=true
+ * (default) so older frontends keep working.
+ */
+
+// Default domain/URI when the request Origin is not on the allowlist
+const AUTH_DOMAIN = (process.env.AUTH_DOMAIN || "blackcoin.network").trim();
+const AUTH_URI = (process.env.AUTH_URI || `https://${AUTH_DOMAIN}`).trim();
+const AUTH_CHAIN_ID = (process.env.AUTH_CHAIN_ID || "mainnet").trim();
+const AUTH_STATEMENT =
+  "Sign in to the BlackCoin Network. No on-chain transaction will occur.";
+const AUTH_ALLOW_LEGACY =
+  String(process.env.AUTH_ALLOW_LEGACY || "true").toLowerCase() !== "false";
+const AUTH_CLOCK_SKEW_MS = 60 * 1000; // tolerate 60s of client/server drift
+
+const SIWS_HEADER_SUFFIX = " wants you to sign in with your Solana account:";
+
+// Domains we accept in a SIWS message: AUTH_DOMAIN + every CORS origin host
+function getAllowedAuthDomains() {
+  const out = new Set([AUTH_DOMAIN]);
+  for (const o of ALLOWED_ORIGINS) {
+    try {
+      out.add(new URL(o).host);
+    } catch {}
+  }
+  return out;
+}
+
+// Pick domain + URI for a nonce request from its Origin, if that origin is allowed
+function resolveAuthOrigin(req) {
+  const origin = String(req.headers.origin || "").trim();
+  if (origin && ALLOWED_ORIGINS.includes(origin)) {
+    try {
+      const u = new URL(origin);
+      return { domain: u.host, uri: u.origin };
+    } catch {}
+  }
+  return { domain: AUTH_DOMAIN, uri: AUTH_URI };
+}
+
+function buildSiwsMessage(f) {
+  return [
+    `${f.domain}${SIWS_HEADER_SUFFIX}`,
+    f.address,
+    "",
+    f.statement,
+    "",
+    `URI: ${f.uri}`,
+    `Version: ${f.version}`,
+    `Chain ID: ${f.chainId}`,
+    `Nonce: ${f.nonce}`,
+    `Issued At: ${f.issuedAt}`,
+    `Expiration Time: ${f.expirationTime}`,
+  ].join("\n");
+}
+
+// Returns the parsed fields, or null if the text is not a SIWS message
+function parseSiwsMessage(message) {
+  const lines = String(message || "").replace(/\r\n/g, "\n").split("\n");
+  if (lines.length < 6 || !lines[0].endsWith(SIWS_HEADER_SUFFIX)) return null;
+
+  const out = {
+    domain: lines[0].slice(0, -SIWS_HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null,
+  };
+
+  const keys = {
+    URI: "uri",
+    Version: "version",
+    "Chain ID": "chainId",
+    Nonce: "nonce",
+    "Issued At": "issuedAt",
+    "Expiration Time": "expirationTime",
+  };
+
+  let i = 2;
+  if (lines[i] !== "") return null;
+  i++;
+  // Optional statement paragraph
+  if (lines[i] && !lines[i].startsWith("URI: ")) {
+    out.statement = lines[i];
+    i++;
+    if (lines[i] !== "") return null;
+    i++;
+  }
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    if (line === "") continue;
+    const idx = line.indexOf(": ");
+    if (idx <= 0) return null;
+    const field = keys[line.slice(0, idx)];
+    if (!field || out[field] != null) return null; // unknown or duplicated field
+    out[field] = line.slice(idx + 2);
+  }
+
+  for (const f of Object.values(keys)) {
+    if (!out[f]) return null;
+  }
+  return out;
+}
+
+/**
+ * Validate a parsed SIWS message against what we expect.
+ * Returns null when OK, otherwise an error code for the client.
+ */
+function validateSiwsFields(fields, { wallet, expectedNonce, now = Date.now() }) {
+  if (!getAllowedAuthDomains().has(fields.domain)) return "domain_mismatch";
+  if (fields.address !== wallet) return "address_mismatch";
+  if (fields.version !== "1") return "unsupported_version";
+  if (fields.chainId !== AUTH_CHAIN_ID) return "chain_id_mismatch";
+
+  try {
+    const host = new URL(fields.uri).host;
+    if (host !== fields.domain) return "uri_mismatch";
+  } catch {
+    return "uri_invalid";
+  }
+
+  const issuedAt = Date.parse(fields.issuedAt);
+  const expiresAt = Date.parse(fields.expirationTime);
+  if (!Number.isFinite(issuedAt) || !Number.isFinite(expiresAt)) {
+    return "timestamp_invalid";
+  }
+  if (issuedAt - AUTH_CLOCK_SKEW_MS > now) return "message_not_yet_valid";
+  if (expiresAt <= now) return "message_expired";
+  if (expiresAt - issuedAt > NONCE_TTL_MS + AUTH_CLOCK_SKEW_MS) {
+    return "expiration_too_long";
+  }
+
+  if (fields.nonce !== expectedNonce) return "nonce_mismatch";
+  return null;
+}
+
+function buildLegacyAuthMessage(wallet, nonce) {
+  return [
+    "✦ BlackCoin Network ✦",
+    "",
+    "Sign this message to authenticate your wallet.",
+    "",
+    `Wallet: ${wallet}`,
+    `Nonce: ${nonce}`,
+    `Timestamp: ${new Date().toISOString()}`,
+    "",
+    "No on-chain transaction will occur.",
+    "This signature is for authentication only."
+  ].join("\n");
+}
+
+// Legacy text back to { wallet, nonce, timestamp }; null unless it has
+// exactly the buildLegacyAuthMessage() shape
+function parseLegacyAuthMessage(message) {
+  const lines = String(message).split("\n");
+  const template = buildLegacyAuthMessage("", "").split("\n");
+  if (lines.length !== template.length) return null;
+
+  const fields = {};
+  for (let i = 0; i < template.length; i++) {
+    const m = /^(Wallet|Nonce|Timestamp): /.exec(template[i]);
+    if (!m) {
+      if (lines[i] !== template[i]) return null;
+      continue;
+    }
+    if (!lines[i].startsWith(m[0])) return null;
+    fields[m[1].toLowerCase()] = lines[i].slice(m[0].length);
+  }
+  if (!Number.isFinite(Date.parse(fields.timestamp))) return null;
+  return fields;
+}
+
 // Step 1: client requests a message+nonce to sign
-app.get("/api/auth/nonce", (req, res) => {
+// ?format=legacy returns the old free-text message (only while AUTH_ALLOW_LEGACY)
+app.get("/api/auth/nonce", async (req, res) => {
   try {
     const wallet = String(req.query.wallet || "").trim();
     if (!wallet) {
       return res.status(400).json({ error: "wallet_required" });
     }
 
+    const wantLegacy =
+      String(req.query.format || "").toLowerCase() === "legacy";
+    if (wantLegacy && !AUTH_ALLOW_LEGACY) {
+      return res.status(400).json({ error: "legacy_message_disabled" });
+    }
+
     const nonce = crypto.randomBytes(16).toString("hex");
-    NONCES.set(wallet, nonce);
-
-    const message = [
-      "✦ BlackCoin Network ✦",
-      "",
-      "Sign this message to authenticate your wallet.",
-      "",
-      `Wallet: ${wallet}`,
-      `Nonce: ${nonce}`,
-      `Timestamp: ${new Date().toISOString()}`,
-      "",
-      "No on-chain transaction will occur.",
-      "This signature is for authentication only."
-    ].join("\n");
-
-    return res.json({ ok: true, nonce, message });
+    const issuedAt = Date.now();
+    const nonceExpiresAt = issuedAt + NONCE_TTL_MS;
+    await sessionStore.putNonce(wallet, nonce, nonceExpiresAt);
+
+    if (wantLegacy) {
+      const message = buildLegacyAuthMessage(wallet, nonce);
+      return res.json({
+        ok: true,
+        format: "legacy",
+        nonce,
+        message,
+        expiresAt: nonceExpiresAt,
+      });
+    }
+
+    const { domain, uri } = resolveAuthOrigin(req);
+    const fields = {
+      domain,
+      address: wallet,
+      statement: AUTH_STATEMENT,
+      uri,
+      version: "1",
+      chainId: AUTH_CHAIN_ID,
+      nonce,
+      issuedAt: new Date(issuedAt).toISOString(),
+      expirationTime: new Date(nonceExpiresAt).toISOString(),
+    };
+    const message = buildSiwsMessage(fields);
+
+    return res.json({
+      ok: true,
+      format: "siws",
+      nonce,
+      message,
+      fields,
+      expiresAt: nonceExpiresAt,
+    });
   } catch (e) {
     console.error("[auth/nonce] error:", e);
     return res.status(500).json({ error: "server_error" });
@@ -2711,18 +6066,41 @@ app.post("/api/auth/verify", express.json(), async (req, res) => {
   try {
     const { wallet, message, signature } = req.body || {};
 
-    if (!wallet || !message || !Array.isArray(signature)) {
+    if (!wallet || typeof message !== "string" || !message || !Array.isArray(signature)) {
       return res.status(400).json({ error: "wallet_message_signature_required" });
     }
 
-    const expectedNonce = NONCES.get(wallet);
+    // Nonces are single use: consumed here whether or not the signature checks out
+    const expectedNonce = await sessionStore.takeNonce(wallet);
     if (!expectedNonce) {
       return res.status(400).json({ error: "nonce_missing_or_expired" });
     }
 
-    // Make sure the signed message contains the correct nonce
-    if (!message.includes(expectedNonce)) {
-      return res.status(400).json({ error: "nonce_mismatch" });
+    // SIWS header → must parse and check out field by field; anything else
+    // is only accepted as the exact legacy text
+    const firstLine = message.split(/\r?\n/, 1)[0];
+    if (firstLine.endsWith(SIWS_HEADER_SUFFIX)) {
+      const siws = parseSiwsMessage(message);
+      if (!siws) {
+        warn("[auth/verify] SIWS rejected: unparseable message wallet=", wallet);
+        return res.status(400).json({ error: "siws_message_invalid" });
+      }
+      const problem = validateSiwsFields(siws, { wallet, expectedNonce });
+      if (problem) {
+        warn("[auth/verify] SIWS rejected:", problem, "wallet=", wallet);
+        return res.status(400).json({ error: problem });
+      }
+    } else {
+      if (!AUTH_ALLOW_LEGACY) {
+        return res.status(400).json({ error: "siws_message_required" });
+      }
+      const legacy = parseLegacyAuthMessage(message);
+      if (!legacy || legacy.wallet !== wallet) {
+        return res.status(400).json({ error: "legacy_message_invalid" });
+      }
+      if (legacy.nonce !== expectedNonce) {
+        return res.status(400).json({ error: "nonce_mismatch" });
+      }
     }
 
     // Verify ed25519 signature (Solana wallet)
@@ -2741,13 +6119,11 @@ app.post("/api/auth/verify", express.json(), async (req, res) => {
       return res.status(401).json({ error: "invalid_signature" });
     }
 
-    NONCES.delete(wallet);
-
     // Create a session token valid for 12 hours
     const token = crypto.randomBytes(32).toString("hex");
-    const expiresAt = Date.now() + 12 * 60 * 60 * 1000;
+    const expiresAt = Date.now() + SESSION_TTL_MS;
 
-    SESSIONS.set(token, { wallet, expiresAt });
+    await sessionStore.putSession(token, { wallet, expiresAt });
 
     return res.json({
       ok: true,
@@ -2760,8 +6136,24 @@ app.post("/api/auth/verify", express.json(), async (req, res) => {
   }
 });
 
-// Simple GET so the frontend can auto-detect the RPC URL
-app.get("/api/rpc", (_req, res) => {
+// Step 3 (optional): explicit logout → revoke the session token
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const token = getSessionTokenFromHeader(req);
+    if (!token) {
+      return res.status(400).json({ error: "session_required" });
+    }
+
+    const revoked = await sessionStore.deleteSession(token);
+    return res.json({ ok: true, revoked });
+  } catch (e) {
+    console.error("[auth/logout] error:", e);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+// Simple GET so the frontend can auto-detect the RPC URL
+app.get("/api/rpc", (_req, res) => {
   if (!HELIUS_KEY) {
     return res
       .status(400)
@@ -2770,19 +6162,213 @@ app.get("/api/rpc", (_req, res) => {
   return res.json({ rpc: HELIUS_RPC });
 });
 
+/* ---------- Admin: roles (DEV only) ---------- */
+
+// Every grant/revoke (and refund / stake moderation) lands in hub_role_audit;
+// failures there are logged, not fatal
+async function auditAdminAction(action, { wallet, role = null, subject = null, actor, reason }) {
+  try {
+    const { error } = await supabase.from("hub_role_audit").insert({
+      action,
+      wallet,
+      role,
+      subject,
+      actor,
+      reason: reason || null,
+      created_at: new Date().toISOString(),
+    });
+    if (error) warn("[admin/roles] audit insert failed:", error.message);
+  } catch (e) {
+    warn("[admin/roles] audit insert exception:", e?.message || e);
+  }
+}
+
+function readRoleParams(req) {
+  const src = { ...(req.query || {}), ...(req.body || {}) };
+  return {
+    wallet: String(src.wallet || "").trim(),
+    role: String(src.role || "").trim().toLowerCase(),
+    reason: typeof src.reason === "string" ? src.reason.trim() : "",
+  };
+}
+
+/*
+GET /api/admin/roles?wallet=<optional>
+  -> { ok, bootstrap: [dev wallets from env], roles: [{ wallet, role, granted_by, granted_at }] }
+*/
+app.get("/api/admin/roles", requireRole("dev"), async (req, res) => {
+  try {
+    const wallet = String(req.query.wallet || "").trim();
+    let query = supabase
+      .from("hub_roles")
+      .select("wallet, role, granted_by, granted_at")
+      .order("granted_at", { ascending: false });
+    if (wallet) query = query.eq("wallet", wallet);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return res.json({
+      ok: true,
+      bootstrap: Array.from(DEV_WALLETS),
+      roles: data || [],
+    });
+  } catch (e) {
+    err("[admin/roles] GET error:", e);
+    return res.status(500).json({ error: "db_error" });
+  }
+});
+
+/*
+POST /api/admin/roles
+  { wallet, role, reason? } -> grants role (idempotent)
+*/
+app.post("/api/admin/roles", requireRole("dev"), async (req, res) => {
+  try {
+    const { wallet, role, reason } = readRoleParams(req);
+    if (!wallet || !role) {
+      return res.status(400).json({ error: "wallet_and_role_required" });
+    }
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({ error: "invalid_role", allowed: ROLE_NAMES });
+    }
+
+    const { data, error } = await supabase
+      .from("hub_roles")
+      .upsert(
+        {
+          wallet,
+          role,
+          granted_by: req.sessionWallet,
+          granted_at: new Date().toISOString(),
+        },
+        { onConflict: "wallet,role" }
+      )
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    ROLE_CACHE.delete(wallet);
+    await auditAdminAction("grant", {
+      wallet,
+      role,
+      actor: req.sessionWallet,
+      reason,
+    });
+    log("[admin/roles] granted", role, "to", wallet, "by", req.sessionWallet);
+
+    return res.json({ ok: true, row: data });
+  } catch (e) {
+    err("[admin/roles] POST error:", e);
+    return res.status(500).json({ error: "db_error" });
+  }
+});
+
+/*
+DELETE /api/admin/roles
+  { wallet, role, reason? } (body or query) -> revokes role
+  Note: DEV_WALLETS keep "dev" regardless; change the env list for those.
+*/
+app.delete("/api/admin/roles", requireRole("dev"), async (req, res) => {
+  try {
+    const { wallet, role, reason } = readRoleParams(req);
+    if (!wallet || !role) {
+      return res.status(400).json({ error: "wallet_and_role_required" });
+    }
+
+    const { data, error } = await supabase
+      .from("hub_roles")
+      .delete()
+      .eq("wallet", wallet)
+      .eq("role", role)
+      .select("wallet");
+
+    if (error) throw error;
+    if (!data || !data.length) {
+      return res.status(404).json({ error: "role_not_found" });
+    }
+
+    ROLE_CACHE.delete(wallet);
+    await auditAdminAction("revoke", {
+      wallet,
+      role,
+      actor: req.sessionWallet,
+      reason,
+    });
+    log("[admin/roles] revoked", role, "from", wallet, "by", req.sessionWallet);
+
+    return res.json({
+      ok: true,
+      revoked: { wallet, role },
+      still_bootstrap_dev: role === "dev" && isDevWallet(wallet),
+    });
+  } catch (e) {
+    err("[admin/roles] DELETE error:", e);
+    return res.status(500).json({ error: "db_error" });
+  }
+});
+
+// GET /api/auth/roles → roles of the current session wallet (for UI gating)
+app.get("/api/auth/roles", requireSession, async (req, res) => {
+  try {
+    const roles = await getWalletRoles(req.sessionWallet);
+    return res.json({ ok: true, wallet: req.sessionWallet, roles });
+  } catch (e) {
+    err("[auth/roles] error:", e);
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
 /* ======================================================================== */
 /* =======================  STAKING TERMINAL BACKEND  ===================== */
 /* ======================================================================== */
 
 /* ---- Staking + reward pool config ---- */
 
-const STAKE_REWARD_RATES = { 30: 0.05, 60: 0.125, 90: 0.25 }; // matches UI
+// Seed for the "default" program row (see Staking programs below); after
+// the first load the DB row is what counts
+const STAKE_REWARD_RATES = { 30: 0.05, 60: 0.125, 90: 0.25 };
 const STAKE_CAP_PER_WALLET = 100000;
 
 // ---- Staking integrity (random check scheduling) ----
 const STAKE_CHECK_MIN_MINUTES = 3;  // lower bound between checks
 const STAKE_CHECK_MAX_MINUTES = 9;  // upper bound between checks
 
+// ---- Void grace policy ----
+// A stake is only voided once it has failed STAKE_VOID_FAIL_THRESHOLD
+// consecutive samples AND the first of those failures is at least
+// STAKE_VOID_GRACE_MINUTES old. Failing stakes are re-sampled after
+// STAKE_CHECK_RETRY_MINUTES; samples taken during RPC errors don't count.
+const STAKE_VOID_FAIL_THRESHOLD = (() => {
+  const raw = Number(process.env.STAKE_VOID_FAIL_THRESHOLD || "3");
+  if (!Number.isInteger(raw) || raw < 1) return 3;
+  return Math.min(50, raw);
+})();
+const STAKE_VOID_GRACE_MINUTES = (() => {
+  const raw = Number(process.env.STAKE_VOID_GRACE_MINUTES || "15");
+  if (!Number.isFinite(raw) || raw < 0) return 15;
+  return Math.min(24 * 60, raw);
+})();
+const STAKE_CHECK_RETRY_MINUTES = 2;
+
+// ---- Aggregate coverage ----
+// A wallet's held sampling stakes are checked together: their summed
+// amount has to be covered by the wallet (+ linked wallets). When it isn't,
+// STAKE_SHORTFALL_POLICY picks which stakes fail the sample:
+//   "newest_first" → the most recent stakes, until the rest is covered
+// (the old "proportional" policy failed every stake on any shortfall and
+// is no longer accepted)
+const STAKE_SHORTFALL_POLICIES = ["newest_first"];
+const STAKE_SHORTFALL_POLICY = (() => {
+  const p = String(process.env.STAKE_SHORTFALL_POLICY || "newest_first")
+    .trim()
+    .toLowerCase();
+  if (STAKE_SHORTFALL_POLICIES.includes(p)) return p;
+  warn("[staking] unknown STAKE_SHORTFALL_POLICY", p, "— using newest_first");
+  return "newest_first";
+})();
+
 function randomInt(min, max) {
   return Math.floor(Math.random() * (max - min + 1)) + min;
 }
@@ -2796,8 +6382,6 @@ const STAKE_GLOBAL_CAP = Number(process.env.STAKE_GLOBAL_CAP || "0");
 
 const REWARD_POOL_PUBKEY = process.env.REWARD_POOL_PUBKEY || "";
 const REWARD_POOL_SECRET = process.env.REWARD_POOL_SECRET || "";
-const FART_MINT_STR =
-  process.env.FART_MINT || "9BB6NFEcjBCtnNLFko2FqVQBq8HHM13kCyYcdQbgpump";
 const FART_DECIMALS = Number(process.env.FART_DECIMALS || "6");
 const SOLANA_RPC_URL =
   process.env.SOLANA_RPC_URL || "https://api.devnet.solana.com";
@@ -2811,10 +6395,221 @@ if (!REWARD_POOL_SECRET) {
 
 const stakingConnection = new web3.Connection(SOLANA_RPC_URL, "confirmed");
 
+// ---- Staking mode ----
+// "sampling": a stake is a hub_stakes row enforced by random balance checks
+//             (integrity loop below) — the original model
+// "escrow":   BLACK is transferred into the server-controlled escrow ATA;
+//             the stake only activates once /api/staking/stake/confirm has
+//             verified the transfer on-chain, and unstake sends it back
+// "both":     the client picks per stake with `mode` (default escrow)
+// hub_stakes: mode text default 'sampling', deposit_tx text unique,
+//             deposit_expires_at timestamptz, return_tx text,
+//             return_pending jsonb (open return, see sendEscrowReturn)
+// Escrow stakes go through status pending → active (→ unstaking → unstaked/settled);
+// pending deposits that never confirm become expired.
+const STAKE_MODES = ["sampling", "escrow"];
+const STAKE_MODE = (() => {
+  const m = String(process.env.STAKE_MODE || "sampling").trim().toLowerCase();
+  return m === "both" || STAKE_MODES.includes(m) ? m : "sampling";
+})();
+const STAKE_ESCROW_SECRET = process.env.STAKE_ESCROW_SECRET || "";
+const STAKE_ESCROW_DEPOSIT_TTL_MS = 10 * 60 * 1000;
+// A deposit must land after its pending stake row was created; block times
+// are validator-reported, so allow a little drift before rejecting
+const STAKE_DEPOSIT_CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+if (STAKE_MODE !== "sampling" && !STAKE_ESCROW_SECRET) {
+  warn("[staking] STAKE_ESCROW_SECRET not set — escrow stakes will fail");
+}
+
+/* ---- Staking programs ----
+ * Campaigns live in
+ *   hub_stake_programs (id text pk, name text, rates jsonb {"<days>": rate},
+ *                       cap_per_wallet numeric, global_cap numeric (0 = none),
+ *                       starts_at timestamptz, ends_at timestamptz null,
+ *                       reward_mint text, accrual_mode text default 'cliff',
+ *                       cliff_days int default 0,
+ *                       early_exit_mode text default 'forfeit',
+ *                       early_penalty_pct numeric default 0,
+ *                       cooldown_days int default 0, status text default 'active',
+ *                       created_by text, created_at timestamptz default now(),
+ *                       retired_by text, retired_at timestamptz)
+ * The first successful load seeds a "default" row from the constants above
+ * if there is none, so every campaign — the default included — is changed
+ * in the DB (retire + create), never by a deploy; the constants only serve
+ * while the table can't be read at all. Stakes record program_id + reward_mint and
+ * snapshot reward_rate / max_reward / accrual_mode / cliff_days and the
+ * early-exit rules at creation, so later program edits never change existing stakes. Legacy stakes (program_id null) belong to
+ * "default".
+ * Reads are cached for STAKE_PROGRAMS_REFRESH_MS; stake creation always
+ * re-reads, so a program retired on another instance stops taking stakes
+ * at once. The global cap is summed in Postgres:
+ *   create function hub_stake_program_staked(p_program text)
+ *     returns numeric language sql stable as $$
+ *       select coalesce(sum(amount), 0) from hub_stakes
+ *       where status in ('active', 'pending')
+ *         and (program_id = p_program
+ *              or (p_program = 'default' and program_id is null)) $$;
+ */
+const DEFAULT_STAKE_PROGRAM_ID = "default";
+const STAKE_PROGRAMS_REFRESH_MS = 60 * 1000;
+const STAKE_PROGRAM_ID_RE = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+
+let STAKE_PROGRAMS = null; // id -> program
+let stakeProgramsLoadedAt = 0;
+
+function builtInStakeProgram() {
+  return {
+    id: DEFAULT_STAKE_PROGRAM_ID,
+    name: "BLACK staking",
+    rates: { ...STAKE_REWARD_RATES },
+    cap_per_wallet: STAKE_CAP_PER_WALLET,
+    global_cap: STAKE_GLOBAL_CAP,
+    starts_at: null,
+    ends_at: null,
+    reward_mint: FART_MINT_STR,
+    accrual_mode: "cliff",
+    cliff_days: 0,
+    early_exit_mode: "forfeit",
+    early_penalty_pct: 0,
+    cooldown_days: 0,
+    status: "active",
+    built_in: true,
+  };
+}
+
+function normStakeProgram(row) {
+  const rates = {};
+  for (const [days, rate] of Object.entries(row.rates || {})) {
+    const d = Number(days);
+    const r = Number(rate);
+    if (Number.isInteger(d) && d > 0 && Number.isFinite(r) && r > 0) rates[d] = r;
+  }
+  return {
+    id: row.id,
+    name: row.name || row.id,
+    rates,
+    cap_per_wallet: Number(row.cap_per_wallet || 0),
+    global_cap: Number(row.global_cap || 0),
+    starts_at: row.starts_at || null,
+    ends_at: row.ends_at || null,
+    reward_mint: row.reward_mint || FART_MINT_STR,
+    accrual_mode: STAKE_ACCRUAL_MODES.includes(row.accrual_mode) ? row.accrual_mode : "cliff",
+    cliff_days: Number(row.cliff_days || 0),
+    early_exit_mode: STAKE_EXIT_MODES.includes(row.early_exit_mode)
+      ? row.early_exit_mode
+      : "forfeit",
+    early_penalty_pct: Number(row.early_penalty_pct || 0),
+    cooldown_days: Number(row.cooldown_days || 0),
+    status: row.status || "active",
+    built_in: false,
+  };
+}
+
+// Persist the built-in program as the "default" row (first writer wins)
+async function seedDefaultStakeProgram() {
+  const { built_in, ...seed } = builtInStakeProgram();
+  const { error } = await supabase
+    .from("hub_stake_programs")
+    .upsert({ ...seed, created_by: "seed" }, { onConflict: "id", ignoreDuplicates: true });
+  if (error) {
+    warn("[staking/programs] default seed failed:", error.message);
+    return builtInStakeProgram();
+  }
+  const { data, error: readErr } = await supabase
+    .from("hub_stake_programs")
+    .select("*")
+    .eq("id", DEFAULT_STAKE_PROGRAM_ID)
+    .maybeSingle();
+  if (readErr || !data) return builtInStakeProgram();
+  log("[staking/programs] seeded the default program row");
+  return normStakeProgram(data);
+}
+
+// Reload hub_stake_programs (non-fatal: keeps the last good set)
+async function getStakePrograms({ nocache = false } = {}) {
+  if (
+    STAKE_PROGRAMS &&
+    !nocache &&
+    Date.now() - stakeProgramsLoadedAt < STAKE_PROGRAMS_REFRESH_MS
+  ) {
+    return STAKE_PROGRAMS;
+  }
+
+  const { data, error } = await supabase
+    .from("hub_stake_programs")
+    .select("*")
+    .order("starts_at", { ascending: true, nullsFirst: true });
+  if (error) {
+    warn("[staking/programs] load failed:", error.message);
+    if (!STAKE_PROGRAMS) {
+      STAKE_PROGRAMS = new Map([[DEFAULT_STAKE_PROGRAM_ID, builtInStakeProgram()]]);
+    }
+    return STAKE_PROGRAMS;
+  }
+
+  const next = new Map();
+  for (const row of data || []) next.set(row.id, normStakeProgram(row));
+  if (!next.has(DEFAULT_STAKE_PROGRAM_ID)) {
+    next.set(DEFAULT_STAKE_PROGRAM_ID, await seedDefaultStakeProgram());
+  }
+  STAKE_PROGRAMS = next;
+  stakeProgramsLoadedAt = Date.now();
+  return STAKE_PROGRAMS;
+}
+
+function isStakeProgramOpen(p, now = new Date()) {
+  if (!p || p.status !== "active") return false;
+  if (p.starts_at && now < new Date(p.starts_at)) return false;
+  if (p.ends_at && now >= new Date(p.ends_at)) return false;
+  return Object.keys(p.rates).length > 0;
+}
+
+// Explicit id → that program (open or not, caller checks);
+// none → "default" if open, else the first open program
+async function resolveStakeProgram(id, { nocache = false } = {}) {
+  const programs = await getStakePrograms({ nocache });
+  if (id) return programs.get(String(id)) || null;
+  const def = programs.get(DEFAULT_STAKE_PROGRAM_ID);
+  if (isStakeProgramOpen(def)) return def;
+  return Array.from(programs.values()).find((p) => isStakeProgramOpen(p)) || def;
+}
+
+// Restrict a hub_stakes query to one program (legacy null rows are "default")
+function scopeStakeProgram(query, programId) {
+  return programId === DEFAULT_STAKE_PROGRAM_ID
+    ? query.or(`program_id.eq.${programId},program_id.is.null`)
+    : query.eq("program_id", programId);
+}
+
+function publicStakeProgram(p, now = new Date()) {
+  return {
+    id: p.id,
+    name: p.name,
+    durations: Object.entries(p.rates)
+      .map(([days, rate]) => ({ days: Number(days), rate }))
+      .sort((a, b) => a.days - b.days),
+    cap_per_wallet: p.cap_per_wallet,
+    global_cap: p.global_cap,
+    starts_at: p.starts_at,
+    ends_at: p.ends_at,
+    reward_mint: p.reward_mint,
+    accrual_mode: p.accrual_mode,
+    cliff_days: p.cliff_days,
+    early_exit_mode: p.early_exit_mode,
+    early_penalty_pct: p.early_penalty_pct,
+    cooldown_days: p.cooldown_days,
+    status: p.status,
+    open: isStakeProgramOpen(p, now),
+  };
+}
+
 /* ---- Staking helpers ---- */
 
-function getRewardRate(durationDays) {
-  return STAKE_REWARD_RATES[durationDays] ?? 0;
+// Fallback for rows without a snapshotted reward_rate (built-in schedule)
+function getRewardRate(durationDays, program = null) {
+  const rates = program ? program.rates : STAKE_REWARD_RATES;
+  return rates[durationDays] ?? 0;
 }
 
 function calcEndsAt(startedAt, durationDays) {
@@ -2822,7 +6617,22 @@ function calcEndsAt(startedAt, durationDays) {
   return new Date(startedAt.getTime() + ms);
 }
 
-// "all at the end" reward: 0 until matured, full reward when finished
+/**
+ * Reward accrued by a stake under its accrual mode (snapshotted from the
+ * program at stake time; rows without one are "cliff"):
+ *   cliff        → 0 until the term ends, then the full reward ("all at the end")
+ *   linear       → streams per second over the term
+ *   linear_cliff → streams per second, but nothing is claimable before
+ *                  cliff_days; at the cliff everything accrued so far unlocks
+ * Accrual stops at ends_at, so an early unstake freezes it there; a stake
+ * exited early under prorate / cooldown rules carries a fixed final_reward
+ * instead. Unclaimed amounts are floored to 6 decimals so partial claims
+ * never overpay.
+ */
+const STAKE_ACCRUAL_MODES = ["cliff", "linear", "linear_cliff"];
+// "unstaked" / "cooldown" keep what the early exit left them (cliff + forfeit: nothing)
+const STAKE_CLAIMABLE_STATUSES = ["active", "settled", "unstaked", "cooldown"];
+
 function computeStakeAccrual(stakeRow, now = new Date()) {
   const {
     amount,
@@ -2831,6 +6641,9 @@ function computeStakeAccrual(stakeRow, now = new Date()) {
     ends_at,
     claimed_total = 0,
     reward_rate,
+    accrual_mode,
+    cliff_days,
+    final_reward,
   } = stakeRow;
 
   const amt = Number(amount || 0);
@@ -2844,656 +6657,4300 @@ function computeStakeAccrual(stakeRow, now = new Date()) {
   }
 
   const start = new Date(started_at);
-  const end = ends_at ? new Date(ends_at) : calcEndsAt(start, durationDays);
-  const matured = now.getTime() >= end.getTime();
+  const termEnd = calcEndsAt(start, durationDays);
+  const stopAt = Math.min(
+    now.getTime(),
+    ends_at ? new Date(ends_at).getTime() : termEnd.getTime()
+  );
+  const matured = stopAt >= termEnd.getTime();
+  const progress = Math.min(
+    1,
+    Math.max(0, (stopAt - start.getTime()) / (termEnd.getTime() - start.getTime()))
+  );
 
-  if (!matured) {
-    return { maxReward, accrued: 0, unclaimed: 0, matured: false };
+  const mode = STAKE_ACCRUAL_MODES.includes(accrual_mode) ? accrual_mode : "cliff";
+  let accrued = 0;
+  if (mode === "cliff") {
+    accrued = matured ? maxReward : 0;
+  } else {
+    const cliffAt = start.getTime() + Number(cliff_days || 0) * 24 * 60 * 60 * 1000;
+    const pastCliff = mode === "linear" || matured || stopAt >= cliffAt;
+    accrued = pastCliff ? maxReward * progress : 0;
   }
+  if (final_reward != null) accrued = Math.min(maxReward, Number(final_reward));
+  accrued = Math.floor(accrued * 1e6) / 1e6;
 
-  const accrued = maxReward;
   const unclaimed = Math.max(
     0,
-    +(accrued - Number(claimed_total || 0)).toFixed(6)
+    Math.floor((accrued - Number(claimed_total || 0)) * 1e6) / 1e6
   );
 
-  return { maxReward, accrued, unclaimed, matured: true };
+  return { maxReward, accrued, unclaimed, matured, mode };
 }
 
-function loadPoolKeypair() {
-  if (!REWARD_POOL_SECRET) throw new Error("REWARD_POOL_SECRET not set");
+/**
+ * Early-exit rules (snapshotted per stake from its program; legacy rows are
+ * "forfeit"). They only apply before the term ends — a matured stake
+ * always settles with its full reward.
+ *   forfeit  → keeps only what was already claimed
+ *   prorate  → keeps the time-pro-rated reward minus early_penalty_pct
+ *   cooldown → as prorate, but the principal is only released after
+ *              cooldown_days (status "cooldown" until release_at)
+ * hub_stakes: early_exit_mode text, early_penalty_pct numeric,
+ *             cooldown_days int, final_reward numeric, release_at timestamptz,
+ *             parent_stake_id bigint (set on rows split off by a partial unstake)
+ */
+const STAKE_EXIT_MODES = ["forfeit", "prorate", "cooldown"];
+
+// What unstaking `amount` (default: all) of a stake would do — no side effects
+function planUnstake(row, amount = null, now = new Date()) {
+  const total = Number(row.amount || 0);
+  const withdraw = amount == null ? total : Number(amount);
+  const share = total > 0 ? withdraw / total : 0;
+
+  const start = new Date(row.started_at);
+  const termEnd = calcEndsAt(start, Number(row.duration_days || 0));
+  const matured = now.getTime() >= termEnd.getTime();
+
+  // Pro-rated = what the program's curve (and cliff) has unlocked so far
+  const { maxReward, accrued } = computeStakeAccrual(row, now);
+  const max = Math.floor(maxReward * share * 1e6) / 1e6;
+  const alreadyClaimed = Math.floor(Number(row.claimed_total || 0) * share * 1e6) / 1e6;
+  const prorated = Math.min(max, Math.floor(accrued * share * 1e6) / 1e6);
+
+  const exitMode = STAKE_EXIT_MODES.includes(row.early_exit_mode)
+    ? row.early_exit_mode
+    : "forfeit";
+  const penaltyPct =
+    exitMode === "forfeit"
+      ? 100
+      : Math.min(100, Math.max(0, Number(row.early_penalty_pct || 0)));
+  const cooldownDays = Number(row.cooldown_days || 0);
+
+  let finalReward = max;
+  let statusAfter = "settled";
+  let releaseAt = null;
+  if (!matured) {
+    finalReward = Math.max(
+      alreadyClaimed,
+      Math.floor(prorated * (1 - penaltyPct / 100) * 1e6) / 1e6
+    );
+    statusAfter = "unstaked";
+    if (exitMode === "cooldown" && cooldownDays > 0) {
+      statusAfter = "cooldown";
+      releaseAt = new Date(now.getTime() + cooldownDays * 24 * 60 * 60 * 1000);
+    }
+  }
+  const reward = matured ? max : finalReward;
+
+  return {
+    amount: withdraw,
+    remaining: +(total - withdraw).toFixed(6),
+    partial: withdraw < total,
+    matured,
+    exit_mode: matured ? null : exitMode,
+    penalty_pct: matured ? 0 : penaltyPct,
+    max_reward: max,
+    prorated_reward: matured ? max : prorated,
+    final_reward: reward,
+    already_claimed: alreadyClaimed,
+    claimable_after: Math.max(0, Math.floor((reward - alreadyClaimed) * 1e6) / 1e6),
+    penalty: matured ? 0 : Math.max(0, +(prorated - reward).toFixed(6)),
+    forfeited: +(max - reward).toFixed(6),
+    status_after: statusAfter,
+    release_at: releaseAt ? releaseAt.toISOString() : null,
+  };
+}
+
+function keypairFromSecret(secret) {
   try {
     // JSON array case
-    const arr = JSON.parse(REWARD_POOL_SECRET);
+    const arr = JSON.parse(secret);
     return web3.Keypair.fromSecretKey(Uint8Array.from(arr));
   } catch {
     // base58 case (Phantom style)
-    const secret = bs58.decode(REWARD_POOL_SECRET);
-    return web3.Keypair.fromSecretKey(secret);
+    return web3.Keypair.fromSecretKey(bs58.decode(secret));
   }
 }
 
-/**
- * Send FART from pool wallet to `toWallet`.
- * amountFart is in human units, e.g. 123.45
- */
-async function sendFartFromPool(toWallet, amountFart) {
-  const poolKp = loadPoolKeypair();
-  const poolPubkey = poolKp.publicKey;
-  const userPubkey = new web3.PublicKey(toWallet);
-  const mint = new web3.PublicKey(FART_MINT_STR);
+function loadPoolKeypair() {
+  if (!REWARD_POOL_SECRET) throw new Error("REWARD_POOL_SECRET not set");
+  return keypairFromSecret(REWARD_POOL_SECRET);
+}
 
-  // convert to smallest units
-  const raw = Math.round(amountFart * Math.pow(10, FART_DECIMALS));
-  if (!Number.isFinite(raw) || raw <= 0) {
-    throw new Error(`Invalid FART amount: ${amountFart}`);
-  }
+function loadEscrowKeypair() {
+  if (!STAKE_ESCROW_SECRET) throw new Error("STAKE_ESCROW_SECRET not set");
+  return keypairFromSecret(STAKE_ESCROW_SECRET);
+}
 
-  const amountRaw = BigInt(raw);
+/* ---- Reward pool payouts ----
+ * Payouts are v0 transactions with a compute-unit limit and a priority fee
+ * taken from getRecentPrioritizationFees on the accounts they write.
+ * sendFartPayout rebroadcasts the signed tx until its blockhash expires;
+ * only once every signature tried so far is known not to have landed does
+ * it re-sign with a fresh blockhash (and a higher fee), so one payout can
+ * never be paid twice.
+ */
+const PAYOUT_COMPUTE_UNIT_LIMIT = 60_000; // per recipient: ATA create (idempotent) + transfer + memo
+const PAYOUT_PRIORITY_FEE_PERCENTILE = 0.75;
+const PAYOUT_MIN_PRIORITY_FEE = (() => {
+  const raw = Number(process.env.PAYOUT_MIN_PRIORITY_FEE || "1000"); // µlamports / CU
+  return Number.isFinite(raw) && raw >= 0 ? Math.floor(raw) : 1000;
+})();
+const PAYOUT_MAX_PRIORITY_FEE = (() => {
+  const raw = Number(process.env.PAYOUT_MAX_PRIORITY_FEE || "2000000");
+  if (!Number.isFinite(raw) || raw <= 0) return 2000000;
+  return Math.max(PAYOUT_MIN_PRIORITY_FEE, Math.floor(raw));
+})();
+const PAYOUT_MAX_ATTEMPTS = 3;         // blockhashes tried before giving up
+const PAYOUT_REBROADCAST_MS = 2000;
+const PAYOUT_SEND_TIMEOUT_MS = 5 * 60 * 1000; // hard stop; the reconciler takes over
 
-  const poolAta = await getOrCreateAssociatedTokenAccount(
-    stakingConnection,
-    poolKp,
-    mint,
-    poolPubkey
-  );
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-  const userAta = await getOrCreateAssociatedTokenAccount(
-    stakingConnection,
-    poolKp,
-    mint,
-    userPubkey
-  );
+// Priority fee (µlamports per CU) for txs writing `accounts`; bumped per retry
+async function estimatePriorityFee(accounts, attempt = 1) {
+  let fee = PAYOUT_MIN_PRIORITY_FEE;
+  try {
+    const recent = await stakingConnection.getRecentPrioritizationFees({
+      lockedWritableAccounts: accounts,
+    });
+    const fees = (recent || [])
+      .map((f) => Number(f.prioritizationFee || 0))
+      .filter((f) => f > 0)
+      .sort((a, b) => a - b);
+    if (fees.length) {
+      fee = fees[Math.min(fees.length - 1, Math.floor(fees.length * PAYOUT_PRIORITY_FEE_PERCENTILE))];
+    }
+  } catch (e) {
+    warn("[staking/payout] priority fee estimate failed:", e?.message || e);
+  }
+  fee *= 2 ** (attempt - 1);
+  return Math.min(PAYOUT_MAX_PRIORITY_FEE, Math.max(PAYOUT_MIN_PRIORITY_FEE, Math.floor(fee)));
+}
 
-  const ix = createTransferInstruction(
-    poolAta.address,
-    userAta.address,
-    poolPubkey,
-    Number(amountRaw),
-    [],
-    SPL_TOKEN_PROGRAM_ID
-  );
+// Payout instructions for [{ wallet, amount }] (amount in human units),
+// compiled + signed as a v0 tx. Sync, so batches can be sized without RPC.
+function compileFartPayoutTx(poolKp, recipients, { memo = null, priorityFee, blockhash }) {
+  const poolPubkey = poolKp.publicKey;
+  const mint = new web3.PublicKey(FART_MINT_STR);
+  const poolAta = getAssociatedTokenAddressSync(mint, poolPubkey, false, SPL_TOKEN_PROGRAM_ID);
+
+  const instructions = [
+    web3.ComputeBudgetProgram.setComputeUnitLimit({
+      units: Math.min(1_400_000, PAYOUT_COMPUTE_UNIT_LIMIT * recipients.length),
+    }),
+    web3.ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priorityFee }),
+  ];
+  for (const r of recipients) {
+    const userPubkey = new web3.PublicKey(r.wallet);
+    // convert to smallest units
+    const raw = Math.round(r.amount * Math.pow(10, FART_DECIMALS));
+    if (!Number.isFinite(raw) || raw <= 0) {
+      throw new Error(`Invalid FART amount: ${r.amount}`);
+    }
+    const userAta = getAssociatedTokenAddressSync(mint, userPubkey, false, SPL_TOKEN_PROGRAM_ID);
+    instructions.push(
+      createAssociatedTokenAccountIdempotentInstruction(
+        poolPubkey,
+        userAta,
+        userPubkey,
+        mint,
+        SPL_TOKEN_PROGRAM_ID
+      ),
+      createTransferInstruction(
+        poolAta,
+        userAta,
+        poolPubkey,
+        raw,
+        [],
+        SPL_TOKEN_PROGRAM_ID
+      )
+    );
+  }
+  if (memo) {
+    instructions.push(
+      new web3.TransactionInstruction({
+        keys: [{ pubkey: poolPubkey, isSigner: true, isWritable: false }],
+        programId: MEMO_PROGRAM_ID,
+        data: Buffer.from(memo, "utf8"),
+      })
+    );
+  }
 
-  const tx = new web3.Transaction().add(ix);
-  tx.feePayer = poolPubkey;
-  const { blockhash } = await stakingConnection.getLatestBlockhash();
-  tx.recentBlockhash = blockhash;
+  const message = new web3.TransactionMessage({
+    payerKey: poolPubkey,
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message();
+  const tx = new web3.VersionedTransaction(message);
+  tx.sign([poolKp]);
+  return tx;
+}
 
-  const sig = await web3.sendAndConfirmTransaction(
-    stakingConnection,
-    tx,
-    [poolKp],
-    { commitment: "confirmed" }
-  );
+/**
+ * Build + sign a FART payout from the pool wallet to several recipients
+ * ([{ wallet, amount }]). Nothing is sent yet, so the caller can record the
+ * signature before broadcasting.
+ * → { tx, signature, blockhash, lastValidBlockHeight, priorityFee }
+ */
+async function buildFartBatchPayoutTx(recipients, memo = null, { attempt = 1 } = {}) {
+  const poolKp = loadPoolKeypair();
+  const mint = new web3.PublicKey(FART_MINT_STR);
+  const writable = [
+    getAssociatedTokenAddressSync(mint, poolKp.publicKey, false, SPL_TOKEN_PROGRAM_ID),
+    ...recipients.map((r) =>
+      getAssociatedTokenAddressSync(mint, new web3.PublicKey(r.wallet), false, SPL_TOKEN_PROGRAM_ID)
+    ),
+  ];
+
+  const priorityFee = await estimatePriorityFee(writable, attempt);
+  const { blockhash, lastValidBlockHeight } =
+    await stakingConnection.getLatestBlockhash("confirmed");
+  const tx = compileFartPayoutTx(poolKp, recipients, { memo, priorityFee, blockhash });
 
-  log("[staking] FART sent from pool →", toWallet, "amount=", amountFart);
-  return sig;
+  return {
+    tx,
+    signature: bs58.encode(tx.signatures[0]),
+    blockhash,
+    lastValidBlockHeight,
+    priorityFee,
+  };
 }
 
-/* ---- Staking integrity loop (void-flag model) ---- */
+/**
+ * Build + sign a FART payout from the pool wallet to `toWallet`.
+ * amountFart is in human units, e.g. 123.45.
+ */
+async function buildFartPayoutTx(toWallet, amountFart, memo = null, opts = {}) {
+  return buildFartBatchPayoutTx([{ wallet: toWallet, amount: amountFart }], memo, opts);
+}
 
-async function runStakeIntegrityCheckCycle() {
+// Does a payout to these recipients still fit in one transaction?
+function fitsInOnePayoutTx(poolKp, recipients, memo) {
   try {
-    const nowIso = new Date().toISOString();
-
-       // 1) Find active, non-void stakes that are due for a check
-    //    🔹 Only check stakes that have NOT matured yet (ends_at > nowIso)
-    const { data: stakes, error } = await supabase
-      .from("hub_stakes")
-      .select("id, wallet, amount, next_check_at, is_void, status, ends_at")
-      .eq("status", "active")
-      .eq("is_void", false)
-      .gt("ends_at", nowIso)
-      .or(`next_check_at.lte.${nowIso},next_check_at.is.null`);
+    const tx = compileFartPayoutTx(poolKp, recipients, {
+      memo,
+      priorityFee: PAYOUT_MAX_PRIORITY_FEE,
+      blockhash: web3.PublicKey.default.toBase58(),
+    });
+    return tx.serialize().length <= web3.PACKET_DATA_SIZE;
+  } catch {
+    return false;
+  }
+}
 
-    if (error) {
-      err("[staking/integrity] select error:", error.message);
-      return;
+// First of `signatures` that reached confirmed/finalized → { signature, err }
+async function findLandedPayout(signatures, { history = false } = {}) {
+  const { value } = await stakingConnection.getSignatureStatuses(signatures, {
+    searchTransactionHistory: history,
+  });
+  for (let i = 0; i < signatures.length; i++) {
+    const st = value?.[i];
+    if (
+      st &&
+      (st.err ||
+        st.confirmationStatus === "confirmed" ||
+        st.confirmationStatus === "finalized")
+    ) {
+      return { signature: signatures[i], err: st.err || null };
     }
-    if (!stakes || stakes.length === 0) return;
+  }
+  return null;
+}
+
+function landedResult(landed) {
+  if (landed.err) {
+    return { status: "failed", signature: landed.signature, error: JSON.stringify(landed.err) };
+  }
+  log("[staking] payout confirmed", landed.signature);
+  return { status: "confirmed", signature: landed.signature };
+}
 
-    // 2) Group by wallet so we hit RPC once per wallet
-    const byWallet = new Map();
-    for (const stake of stakes) {
-      if (!byWallet.has(stake.wallet)) byWallet.set(stake.wallet, []);
-      byWallet.get(stake.wallet).push(stake);
+/**
+ * Broadcast a signed payout until it lands or provably can't.
+ *   rebuild(attempt)          → a freshly signed payout (new blockhash)
+ *   onResign(payout, tried)   → must durably record the new signature before
+ *                               it is broadcast; throwing aborts the send
+ *   maxAttempts               → 1 for payouts that are never re-signed
+ * → { status: "confirmed" | "failed" | "unknown", signature, error? }
+ * "unknown" (RPC trouble, hard timeout) is left for the reconcilers.
+ */
+async function sendFartPayout(first, { rebuild, onResign, maxAttempts = PAYOUT_MAX_ATTEMPTS }) {
+  const deadline = Date.now() + PAYOUT_SEND_TIMEOUT_MS;
+  const tried = [];
+  let payout = first;
+
+  for (let attempt = 1; ; attempt++) {
+    tried.push(payout.signature);
+    const wire = payout.tx.serialize();
+
+    try {
+      await stakingConnection.sendRawTransaction(wire, { maxRetries: 0 });
+    } catch (e) {
+      if (e instanceof web3.SendTransactionError) {
+        // Preflight rejection — but "already processed" means an earlier send landed
+        const landed = await findLandedPayout(tried, { history: true }).catch(() => null);
+        if (landed) return landedResult(landed);
+        if (attempt === 1 || !/already been processed/i.test(e.message)) {
+          return { status: "failed", signature: payout.signature, error: e.message };
+        }
+      }
+      // Network trouble: the rebroadcast loop below keeps trying
     }
 
-    // 3) For each wallet, fetch current BLACKCOIN balance once
-    for (const [wallet, walletStakes] of byWallet.entries()) {
-      let balance;
+    // Rebroadcast until it lands or the blockhash can no longer land
+    let expired = false;
+    while (!expired) {
+      if (Date.now() > deadline) {
+        return { status: "unknown", signature: payout.signature, error: "send_timeout" };
+      }
+      await delay(PAYOUT_REBROADCAST_MS);
       try {
-        balance = await getBlackcoinBalanceForWallet(wallet, "confirmed");
+        const landed = await findLandedPayout(tried);
+        if (landed) return landedResult(landed);
+        const height = await stakingConnection.getBlockHeight("confirmed");
+        expired = height > payout.lastValidBlockHeight;
+        if (!expired) {
+          await stakingConnection
+            .sendRawTransaction(wire, { skipPreflight: true, maxRetries: 0 })
+            .catch(() => {});
+        }
       } catch (e) {
-        err("[staking/integrity] balance fetch failed for", wallet, e);
-        continue;
+        warn("[staking/payout] status poll failed:", e?.message || e);
       }
+    }
 
-      const nowIsoLocal = new Date().toISOString();
-      const nextCheckAt = getRandomFutureTime();
-
-      for (const stake of walletStakes) {
-        const required = Number(stake.amount || 0);
-        const isBelow = balance < required;
+    // Expired: last look over every signature tried before re-signing
+    let landed;
+    try {
+      landed = await findLandedPayout(tried, { history: true });
+    } catch (e) {
+      return { status: "unknown", signature: payout.signature, error: e?.message || String(e) };
+    }
+    if (landed) return landedResult(landed);
 
-        if (isBelow) {
-          // 🔴 Mark stake as void on first failure
-          const { error: updErr } = await supabase
-            .from("hub_stakes")
-            .update({
-              is_void: true,
-              void_reason: "balance_below_stake",
-              void_at: nowIsoLocal,
-              last_check_at: nowIsoLocal,
-              last_check_balance: balance,
-            })
-            .eq("id", stake.id);
+    if (attempt >= maxAttempts) {
+      return { status: "failed", signature: payout.signature, error: "blockhash_expired" };
+    }
 
-          if (updErr) {
-            err(
-              "[staking/integrity] failed to mark void stake",
-              stake.id,
-              updErr.message || updErr
-            );
-          } else {
-            log(
-              "[staking/integrity] stake voided",
-              stake.id,
-              "wallet=",
-              wallet,
-              "balance=",
-              balance,
-              "required=",
-              required
-            );
-          }
+    warn("[staking/payout] blockhash expired, re-signing", payout.signature, "attempt", attempt + 1);
+    try {
+      payout = await rebuild(attempt + 1);
+      await onResign(payout, [...tried, payout.signature]);
+    } catch (e) {
+      // Nothing new was broadcast and every earlier attempt is dead
+      return { status: "failed", signature: tried[tried.length - 1], error: `resign_failed: ${e?.message || e}` };
+    }
+  }
+}
+
+/* ---- Escrow staking helpers ---- */
+
+// Requested mode → effective mode, or null if it isn't enabled
+function resolveStakeMode(requested) {
+  const m = String(requested || "").trim().toLowerCase();
+  if (STAKE_MODE !== "both") return !m || m === STAKE_MODE ? STAKE_MODE : null;
+  if (!m) return "escrow";
+  return STAKE_MODES.includes(m) ? m : null;
+}
+
+// BLACK mint + owning token program (classic or Token-2022) + decimals
+let STAKE_MINT_INFO = null;
+async function getStakeMintInfo() {
+  if (STAKE_MINT_INFO) return STAKE_MINT_INFO;
+  const mint = new web3.PublicKey(TOKEN_MINT);
+  const acc = await stakingConnection.getParsedAccountInfo(mint);
+  if (!acc?.value) throw new Error("BLACK mint account not found");
+  STAKE_MINT_INFO = {
+    mint,
+    programId: acc.value.owner,
+    decimals: Number(acc.value.data?.parsed?.info?.decimals ?? 6),
+  };
+  return STAKE_MINT_INFO;
+}
+
+async function getEscrowAccounts() {
+  const info = await getStakeMintInfo();
+  const owner = loadEscrowKeypair().publicKey;
+  const ata = getAssociatedTokenAddressSync(info.mint, owner, false, info.programId);
+  return { ...info, owner, ata };
+}
+
+function toRawAmount(amount, decimals) {
+  const raw = Math.round(Number(amount) * Math.pow(10, decimals));
+  if (!Number.isSafeInteger(raw) || raw <= 0) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+  return BigInt(raw);
+}
+
+// Unsigned user → escrow transfer (user pays fees + escrow ATA rent if needed)
+async function buildEscrowDepositTx(wallet, amount) {
+  const esc = await getEscrowAccounts();
+  const user = new web3.PublicKey(wallet);
+  const userAta = getAssociatedTokenAddressSync(esc.mint, user, false, esc.programId);
+
+  const tx = new web3.Transaction().add(
+    createAssociatedTokenAccountIdempotentInstruction(
+      user,
+      esc.ata,
+      esc.owner,
+      esc.mint,
+      esc.programId
+    ),
+    createTransferCheckedInstruction(
+      userAta,
+      esc.mint,
+      esc.ata,
+      user,
+      toRawAmount(amount, esc.decimals),
+      esc.decimals,
+      [],
+      esc.programId
+    )
+  );
+  tx.feePayer = user;
+  const { blockhash } = await stakingConnection.getLatestBlockhash();
+  tx.recentBlockhash = blockhash;
+
+  return {
+    tx: tx.serialize({ requireAllSignatures: false }).toString("base64"),
+    escrow: { owner: esc.owner.toBase58(), ata: esc.ata.toBase58() },
+  };
+}
+
+/**
+ * Check a confirmed transaction moved exactly `amount` BLACK from `wallet`
+ * into the escrow ATA, no earlier than `createdAt` (the pending row's
+ * creation time). Returns null when it did, else an error code.
+ */
+async function verifyEscrowDeposit(signature, wallet, amount, createdAt) {
+  const esc = await getEscrowAccounts();
+  const tx = await stakingConnection.getParsedTransaction(signature, {
+    maxSupportedTransactionVersion: 0,
+    commitment: "confirmed",
+  });
+  if (!tx) return "tx_not_found";
+  if (tx.meta?.err) return "tx_failed";
+
+  // An older unused transfer of the same amount must not confirm a new stake
+  if (!tx.blockTime) return "tx_block_time_unknown";
+  const created = Date.parse(createdAt);
+  if (!Number.isFinite(created)) return "stake_created_at_unknown";
+  if (tx.blockTime * 1000 < created - STAKE_DEPOSIT_CLOCK_SKEW_MS) {
+    return "deposit_predates_stake";
+  }
+
+  const escrowAta = esc.ata.toBase58();
+  const mint = esc.mint.toBase58();
+  const ixs = [
+    ...(tx.transaction?.message?.instructions || []),
+    ...(tx.meta?.innerInstructions || []).flatMap((i) => i.instructions || []),
+  ];
+
+  let moved = 0n;
+  for (const ix of ixs) {
+    const type = ix?.parsed?.type;
+    const info = ix?.parsed?.info || {};
+    if (type !== "transfer" && type !== "transferChecked") continue;
+    if (info.destination !== escrowAta) continue;
+    if ((info.authority || info.multisigAuthority) !== wallet) continue;
+    // plain `transfer` has no mint field; the token program already
+    // rejects a source whose mint differs from the escrow ATA's
+    if (type === "transferChecked" && info.mint !== mint) continue;
+    moved += BigInt(info.amount ?? info.tokenAmount?.amount ?? 0);
+  }
+
+  if (moved === 0n) return "deposit_not_found";
+  if (moved !== toRawAmount(amount, esc.decimals)) return "deposit_amount_mismatch";
+  return null;
+}
+
+// Escrow → user return transfer, built and signed but not yet broadcast
+async function buildEscrowReturnTx(toWallet, amount) {
+  const escrowKp = loadEscrowKeypair();
+  const esc = await getEscrowAccounts();
+  const user = new web3.PublicKey(toWallet);
+  const userAta = getAssociatedTokenAddressSync(esc.mint, user, false, esc.programId);
+
+  const tx = new web3.Transaction().add(
+    createAssociatedTokenAccountIdempotentInstruction(
+      escrowKp.publicKey,
+      userAta,
+      user,
+      esc.mint,
+      esc.programId
+    ),
+    createTransferCheckedInstruction(
+      esc.ata,
+      esc.mint,
+      userAta,
+      escrowKp.publicKey,
+      toRawAmount(amount, esc.decimals),
+      esc.decimals,
+      [],
+      esc.programId
+    )
+  );
+  tx.feePayer = escrowKp.publicKey;
+  const { blockhash, lastValidBlockHeight } =
+    await stakingConnection.getLatestBlockhash("confirmed");
+  tx.recentBlockhash = blockhash;
+  tx.sign(escrowKp);
+
+  return {
+    tx,
+    signature: bs58.encode(tx.signature),
+    blockhash,
+    lastValidBlockHeight,
+  };
+}
+
+/**
+ * Escrow returns are never re-sent on a guess. The row is locked
+ * (unstaking / releasing) together with
+ *   hub_stakes.return_pending jsonb = { prev_status, locked_at, signature?,
+ *     last_valid_block_height?, amount, exit, split?, event, receipt }
+ * and the signed return's signature is stored there before it is
+ * broadcast. The row only goes back to prev_status once that signature
+ * provably can't land (failed on-chain, or absent after its blockhash
+ * expired); anything unclear is left to reconcileEscrowReturns().
+ */
+const ESCROW_RETURN_LOCK_STALE_MS = 10 * 60 * 1000; // locked but never signed
+const ACTIVE_ESCROW_RETURNS = new Set(); // stake ids this process is sending
+
+// Partial exit: insert the withdrawn part as its own row, then shrink the
+// parent (still in fromStatus). Returns the new row's id.
+async function splitStakeRow(row, split, exitFields, fromStatus, extra = {}) {
+  const { id: _id, created_at: _createdAt, ...base } = row;
+  const { data: child, error: insErr } = await supabase
+    .from("hub_stakes")
+    .insert({
+      ...base,
+      ...exitFields,
+      ...extra,
+      amount: split.amount,
+      max_reward: split.max_reward,
+      claimed_total: split.already_claimed,
+      deposit_tx: null,
+      return_pending: null,
+      parent_stake_id: row.id,
+    })
+    .select("id")
+    .maybeSingle();
+  if (insErr || !child) {
+    throw new Error(`split insert failed: ${insErr?.message || "no row"}`);
+  }
+
+  const { data: parent, error: updErr } = await supabase
+    .from("hub_stakes")
+    .update({
+      status: "active",
+      amount: split.remaining,
+      max_reward: Math.max(0, +(split.parent_max_reward - split.max_reward).toFixed(6)),
+      claimed_total: Math.max(
+        0,
+        +(Number(row.claimed_total || 0) - split.already_claimed).toFixed(6)
+      ),
+      return_pending: null,
+    })
+    .eq("id", row.id)
+    .eq("status", fromStatus)
+    .select("id")
+    .maybeSingle();
+  if (updErr || !parent) {
+    await supabase.from("hub_stakes").delete().eq("id", child.id);
+    throw new Error(`split update failed: ${updErr?.message || "row changed"}`);
+  }
+  return child.id;
+}
+
+// The return landed: apply the exit and issue its receipt → { childId }
+async function finishEscrowReturn(row, pending, signature) {
+  let childId = null;
+  if (pending.split) {
+    childId = await splitStakeRow(row, pending.split, pending.exit, row.status, {
+      return_tx: signature,
+    });
+  } else {
+    const { data: done, error } = await supabase
+      .from("hub_stakes")
+      .update({ ...pending.exit, return_tx: signature, return_pending: null })
+      .eq("id", row.id)
+      .eq("status", row.status)
+      .select("id")
+      .maybeSingle();
+    if (error) throw new Error(`post-return update failed: ${error.message}`);
+    if (!done) return { childId: null }; // finished elsewhere
+  }
+
+  log("[staking/escrow] BLACK returned →", row.wallet, "amount=", pending.amount, "tx=", signature);
+  await issueStakeReceipt(pending.event, row.wallet, {
+    ...pending.receipt,
+    stake_id: childId || row.id,
+    parent_stake_id: childId ? row.id : undefined,
+    return_tx: signature,
+  });
+  return { childId };
+}
+
+// The return provably never landed: unlock the row
+async function revertEscrowReturn(row, pending) {
+  const { error } = await supabase
+    .from("hub_stakes")
+    .update({ status: pending.prev_status, return_pending: null })
+    .eq("id", row.id)
+    .eq("status", row.status);
+  if (error) warn("[staking/escrow] revert failed for", row.id, error.message);
+}
+
+/**
+ * Sign → record → broadcast the return for a row already locked in
+ * row.status with `pending` (see above).
+ * → { status: "confirmed" | "failed" | "unknown", signature?, childId?, error? }
+ */
+async function sendEscrowReturn(row, pending) {
+  ACTIVE_ESCROW_RETURNS.add(row.id);
+  try {
+    let ret;
+    try {
+      ret = await buildEscrowReturnTx(row.wallet, pending.amount);
+    } catch (e) {
+      await revertEscrowReturn(row, pending); // nothing was broadcast
+      return { status: "failed", error: e?.message || String(e) };
+    }
+
+    const signed = {
+      ...pending,
+      signature: ret.signature,
+      last_valid_block_height: ret.lastValidBlockHeight,
+    };
+    const { data: saved, error: saveErr } = await supabase
+      .from("hub_stakes")
+      .update({ return_pending: signed })
+      .eq("id", row.id)
+      .eq("status", row.status)
+      .select("id")
+      .maybeSingle();
+    if (saveErr) {
+      await revertEscrowReturn(row, pending);
+      return { status: "failed", error: saveErr.message };
+    }
+    if (!saved) return { status: "failed", error: "row_changed" };
+
+    const result = await sendFartPayout(ret, { maxAttempts: 1 });
+    if (result.status === "confirmed") {
+      try {
+        const { childId } = await finishEscrowReturn(row, signed, result.signature);
+        return { ...result, childId };
+      } catch (e) {
+        // Tokens are back with the user; the reconciler finishes the row
+        err("[staking/escrow] finish failed for", row.id, e?.message || e, "tx=", result.signature);
+        return { ...result, error: e?.message || String(e) };
+      }
+    }
+    if (result.status === "failed") await revertEscrowReturn(row, signed);
+    return result;
+  } finally {
+    ACTIVE_ESCROW_RETURNS.delete(row.id);
+  }
+}
+
+// Settle escrow returns left open by a crash, RPC trouble or a failed
+// bookkeeping write
+async function reconcileEscrowReturns() {
+  const { data: rows, error } = await supabase
+    .from("hub_stakes")
+    .select("*")
+    .in("status", ["unstaking", "releasing"])
+    .not("return_pending", "is", null)
+    .limit(50);
+  if (error) {
+    warn("[staking/escrow] reconcile select failed:", error.message);
+    return;
+  }
+
+  for (const row of rows || []) {
+    if (ACTIVE_ESCROW_RETURNS.has(row.id)) continue;
+    const pending = row.return_pending;
+    try {
+      if (!pending.signature) {
+        // Locked but never signed → nothing was broadcast
+        if (Date.now() - new Date(pending.locked_at).getTime() > ESCROW_RETURN_LOCK_STALE_MS) {
+          warn("[staking/escrow] releasing stale lock on", row.id);
+          await revertEscrowReturn(row, pending);
+        }
+        continue;
+      }
+
+      // Height first: a signature missing *after* expiry can't land any more
+      const height = await stakingConnection.getBlockHeight("confirmed");
+      const landed = await findLandedPayout([pending.signature], { history: true });
+      if (landed && !landed.err) {
+        await finishEscrowReturn(row, pending, landed.signature);
+      } else if (landed || height > Number(pending.last_valid_block_height)) {
+        warn("[staking/escrow] return never landed for", row.id, pending.signature);
+        await revertEscrowReturn(row, pending);
+      }
+    } catch (e) {
+      warn("[staking/escrow] reconcile failed for", row.id, e?.message || e);
+    }
+  }
+}
+
+async function expirePendingEscrowStakes() {
+  const { error } = await supabase
+    .from("hub_stakes")
+    .update({ status: "expired" })
+    .eq("status", "pending")
+    .lt("deposit_expires_at", new Date().toISOString());
+  if (error) warn("[staking/escrow] expire pending failed:", error.message);
+}
+
+// Cooldown exits whose release_at has passed: escrow stakes get their
+// principal back now, sampling stakes simply stop being held
+async function releaseCooledDownStakes() {
+  const { data: due, error } = await supabase
+    .from("hub_stakes")
+    .select("id, wallet, amount, mode, return_tx")
+    .eq("status", "cooldown")
+    .lte("release_at", new Date().toISOString())
+    .limit(50);
+  if (error) {
+    warn("[staking/cooldown] select failed:", error.message);
+    return;
+  }
+
+  for (const row of due || []) {
+    if (row.mode !== "escrow" || row.return_tx) {
+      const { data: released } = await supabase
+        .from("hub_stakes")
+        .update({ status: "unstaked" })
+        .eq("id", row.id)
+        .eq("status", "cooldown")
+        .select("id")
+        .maybeSingle();
+      if (released) {
+        await issueStakeReceipt("stake_released", row.wallet, {
+          stake_id: row.id,
+          amount: Number(row.amount || 0),
+          return_tx: row.return_tx || null,
+        });
+      }
+      continue;
+    }
+
+    // Same lock → sign → record → send sequence as /api/staking/unstake
+    const pending = {
+      prev_status: "cooldown",
+      locked_at: new Date().toISOString(),
+      amount: Number(row.amount),
+      exit: { status: "unstaked" },
+      event: "stake_released",
+      receipt: { amount: Number(row.amount || 0) },
+    };
+    const { data: locked } = await supabase
+      .from("hub_stakes")
+      .update({ status: "releasing", return_pending: pending })
+      .eq("id", row.id)
+      .eq("status", "cooldown")
+      .select("id")
+      .maybeSingle();
+    if (!locked) continue;
+
+    const result = await sendEscrowReturn({ ...row, status: "releasing" }, pending);
+    if (result.status === "failed") {
+      err("[staking/cooldown] escrow return failed for", row.id, result.error);
+    } else if (result.status === "unknown") {
+      warn("[staking/cooldown] return for", row.id, "unconfirmed — left to the reconciler");
+    } else if (!result.error) {
+      log("[staking/cooldown] released stake", row.id, "tx=", result.signature);
+    }
+  }
+}
+
+/* ---- Staking receipts ----
+ * Every stake creation, void / un-void, unstake (and cooldown release) and
+ * confirmed claim gets a receipt signed with the server's receipt key:
+ *   hub_stake_receipts (id bigserial pk, wallet text, event text,
+ *                       stake_id bigint, claim_id uuid, payload text,
+ *                       signature text, signer text,
+ *                       created_at timestamptz default now())
+ * `payload` is the exact canonical JSON that was signed (keys sorted, no
+ * whitespace); `signature` is base58 ed25519 over its UTF-8 bytes, so
+ *   nacl.sign.detached.verify(utf8(payload), bs58.decode(signature),
+ *                             bs58.decode(signer))
+ * checks a receipt without trusting this server again. Claim payouts also
+ * carry an SPL Memo naming the claim and its stakes (batch payouts: the
+ * batch and every claim in the tx).
+ * Without STAKE_RECEIPT_SECRET receipts are queued with signature null —
+ * never published — and signed by signPendingReceipts() once a key is
+ * configured (the payload, issued_at included, is kept as it was).
+ * A receipt whose insert fails is logged as an error, counted and held in
+ * memory (LOST_RECEIPTS_MAX at most); held rows are retried ahead of the
+ * next receipt and listed on GET /api/admin/staking/receipts/lost.
+ */
+const STAKE_RECEIPT_SECRET = process.env.STAKE_RECEIPT_SECRET || "";
+const STAKE_RECEIPT_VERSION = 1;
+const MEMO_PROGRAM_ID = new web3.PublicKey(
+  "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr"
+);
+const MEMO_MAX_STAKE_IDS = 20; // keeps the memo well under the tx size limit
+const LOST_RECEIPTS_MAX = 500;
+const LOST_RECEIPTS = { count: 0, held: [] }; // held = rows still to insert
+
+if (!STAKE_RECEIPT_SECRET) {
+  warn("[staking] STAKE_RECEIPT_SECRET not set — receipts are queued unsigned until it is");
+}
+
+let receiptKeypair = null;
+function loadReceiptKeypair() {
+  if (!STAKE_RECEIPT_SECRET) return null;
+  if (!receiptKeypair) receiptKeypair = keypairFromSecret(STAKE_RECEIPT_SECRET);
+  return receiptKeypair;
+}
+
+// Sorted-key JSON so the same event always serialises to the same bytes
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function stakeReceiptFields(row) {
+  return {
+    stake_id: row.id,
+    amount: Number(row.amount || 0),
+    duration_days: Number(row.duration_days || 0),
+    reward_rate: row.reward_rate != null ? Number(row.reward_rate) : null,
+    max_reward: row.max_reward != null ? Number(row.max_reward) : null,
+    program_id: row.program_id || DEFAULT_STAKE_PROGRAM_ID,
+    mode: row.mode || "sampling",
+    started_at: row.started_at,
+    ends_at: row.ends_at,
+    deposit_tx: row.deposit_tx || null,
+  };
+}
+
+function holdLostReceipt(row, reason) {
+  LOST_RECEIPTS.count++;
+  err("[staking/receipts] insert failed, receipt held:", row.event, reason, row.payload);
+  LOST_RECEIPTS.held.push(row);
+  if (LOST_RECEIPTS.held.length > LOST_RECEIPTS_MAX) {
+    const dropped = LOST_RECEIPTS.held.shift();
+    err("[staking/receipts] held queue full, receipt dropped:", dropped.payload);
+  }
+}
+
+// Re-insert receipts held after a failed insert (oldest first)
+async function flushLostReceipts() {
+  if (!LOST_RECEIPTS.held.length) return;
+  const rows = LOST_RECEIPTS.held.splice(0);
+  const { error } = await supabase.from("hub_stake_receipts").insert(rows);
+  if (error) {
+    LOST_RECEIPTS.held.unshift(...rows);
+    warn("[staking/receipts] held receipts still not stored:", rows.length, error.message);
+  } else {
+    log("[staking/receipts] stored", rows.length, "held receipts");
+  }
+}
+
+// A receipt that fails to store never fails the action itself (it's held)
+async function issueStakeReceipt(event, wallet, fields = {}) {
+  try {
+    await flushLostReceipts();
+    const payload = canonicalJson({
+      v: STAKE_RECEIPT_VERSION,
+      event,
+      wallet,
+      ...fields,
+      issued_at: new Date().toISOString(),
+    });
+    const kp = loadReceiptKeypair();
+    const signature = kp
+      ? bs58.encode(nacl.sign.detached(new TextEncoder().encode(payload), kp.secretKey))
+      : null;
+
+    const row = {
+      wallet,
+      event,
+      stake_id: fields.stake_id ?? null,
+      claim_id: fields.claim_id ?? null,
+      payload,
+      signature,
+      signer: kp ? kp.publicKey.toBase58() : null,
+    };
+    const { error } = await supabase.from("hub_stake_receipts").insert(row);
+    if (error) holdLostReceipt(row, error.message);
+  } catch (e) {
+    LOST_RECEIPTS.count++;
+    err("[staking/receipts] issue failed:", event, e?.message || e);
+  }
+}
+
+// Sign receipts queued while no key was configured → number signed
+async function signPendingReceipts() {
+  const kp = loadReceiptKeypair();
+  if (!kp) return 0;
+  const signer = kp.publicKey.toBase58();
+  let signed = 0;
+  for (;;) {
+    const { data, error } = await supabase
+      .from("hub_stake_receipts")
+      .select("id, payload")
+      .is("signature", null)
+      .order("id", { ascending: true })
+      .limit(CHART_PAGE_SIZE);
+    if (error) throw new Error(`unsigned receipts select failed: ${error.message}`);
+    if (!data?.length) break;
+
+    for (const r of data) {
+      const signature = bs58.encode(
+        nacl.sign.detached(new TextEncoder().encode(r.payload), kp.secretKey)
+      );
+      const { error: upErr } = await supabase
+        .from("hub_stake_receipts")
+        .update({ signature, signer })
+        .eq("id", r.id)
+        .is("signature", null);
+      if (upErr) throw new Error(`receipt sign update failed: ${upErr.message}`);
+      signed++;
+    }
+    if (data.length < CHART_PAGE_SIZE) break;
+  }
+  if (signed) log("[staking/receipts] signed", signed, "queued receipts");
+  return signed;
+}
+
+function claimPayoutMemo(claimId, allocations) {
+  const ids = (allocations || []).map((a) => a.stake_id);
+  const shown = ids.slice(0, MEMO_MAX_STAKE_IDS).join(",");
+  const more = ids.length > MEMO_MAX_STAKE_IDS ? `,+${ids.length - MEMO_MAX_STAKE_IDS}` : "";
+  return `blackcoin:claim:${claimId};stakes:${shown}${more}`;
+}
+
+// Batch txs name every claim they pay, each id cut to its first
+// MEMO_CLAIM_ID_CHARS hex digits (plenty to tell one tx's claims apart)
+const MEMO_CLAIM_ID_CHARS = 8;
+function batchPayoutMemo(batchId, claims) {
+  const ids = claims.map((c) => String(c.id).replace(/-/g, "").slice(0, MEMO_CLAIM_ID_CHARS));
+  return `blackcoin:batch:${batchId};claims:${ids.join(",")}`;
+}
+
+/* ---- Reward claims (state machine) ----
+ * One hub_claims row per payout:
+ *   pending   → row written + stake claimed_total reserved, nothing sent
+ *   submitted → signed tx signature recorded, then broadcast
+ *   confirmed → landed; per-stake history rows go to hub_stake_claims
+ *   failed    → never landed; the reservation is rolled back
+ *
+ *   hub_claims (id uuid pk default gen_random_uuid(), wallet text, amount numeric,
+ *               status text, idempotency_key text, allocations jsonb,
+ *               signature text, signatures jsonb, last_valid_block_height bigint,
+ *               error text,
+ *               created_at timestamptz default now(), submitted_at timestamptz,
+ *               resolved_at timestamptz,
+ *               unique (wallet, idempotency_key))
+ *   create unique index hub_claims_one_open on hub_claims (wallet)
+ *     where status in ('pending', 'submitted');
+ * The partial unique index is the per-wallet lock: a second concurrent
+ * claim fails its insert. hub_stake_claims gains claim_id.
+ * The reconciler resolves whatever a crash or RPC timeout left open.
+ * `signature` is the payout currently in flight; `signatures` lists every
+ * re-signed attempt (see sendFartPayout), any of which may be the one that
+ * landed.
+ */
+const CLAIM_OPEN_STATUSES = ["pending", "submitted"];
+const CLAIM_PENDING_STALE_MS = 5 * 60 * 1000;
+const CLAIM_RECONCILE_INTERVAL_MS = 60 * 1000;
+const CLAIM_RESPONSE_WAIT_MS = 45 * 1000; // then 202; the sender keeps going
+const ACTIVE_PAYOUTS = new Set(); // claim ids this process is still sending
+
+/**
+ * What each stake can pay out right now (void stakes never can).
+ * maturedOnly limits it to stakes whose term has ended (batch payouts).
+ * → { allocations: [{ stake_id, amount, claimed_total, prev_status,
+ *                     settled, ends_at }], total }
+ */
+function planClaimAllocations(stakeRows, now = new Date(), { maturedOnly = false } = {}) {
+  let total = 0;
+  const allocations = [];
+  for (const row of stakeRows || []) {
+    // Skip void stakes entirely – they can never claim
+    if (row.is_void) continue;
+
+    const { maxReward, unclaimed, matured } = computeStakeAccrual(row, now);
+    if (unclaimed <= 0) continue;
+    if (maturedOnly && !matured) continue;
+
+    total += unclaimed;
+
+    const newClaimedTotal = +(
+      Number(row.claimed_total || 0) + unclaimed
+    ).toFixed(6);
+
+    allocations.push({
+      stake_id: row.id,
+      amount: unclaimed,
+      claimed_total: newClaimedTotal,
+      prev_status: row.status,
+      settled: newClaimedTotal >= maxReward && row.status === "active",
+      ends_at: row.ends_at || now.toISOString(),
+    });
+  }
+  return { allocations, total: +total.toFixed(6) };
+}
+
+// An empty pending hub_claims row: the wallet's claim lock without a payout
+// → { lock } | { busy: true, claimId } | { error }
+async function takeClaimLock(wallet, idempotencyKey) {
+  const { data: lock, error } = await supabase
+    .from("hub_claims")
+    .insert({ wallet, status: "pending", amount: 0, idempotency_key: idempotencyKey })
+    .select("id")
+    .maybeSingle();
+  if (lock) {
+    ACTIVE_PAYOUTS.add(lock.id); // keep the reconciler off it
+    return { lock };
+  }
+  if (error?.code !== "23505") return { error: error?.message || "claim_lock_failed" };
+
+  const { data: open } = await supabase
+    .from("hub_claims")
+    .select("id")
+    .eq("wallet", wallet)
+    .in("status", CLAIM_OPEN_STATUSES)
+    .limit(1)
+    .maybeSingle();
+  return { busy: true, claimId: open?.id || null };
+}
+
+async function releaseClaimLock(lock) {
+  const { error } = await supabase.from("hub_claims").delete().eq("id", lock.id);
+  // Left behind, the reconciler fails it as stale_pending
+  if (error) warn("[staking/claim] lock release failed:", lock.id, error.message);
+  ACTIVE_PAYOUTS.delete(lock.id);
+}
+
+// Reserve each allocation on its stake row; stops at the first failure
+// → { applied, error }
+async function reserveClaimAllocations(allocations, now = new Date()) {
+  const applied = [];
+  for (const a of allocations) {
+    const { error: updErr } = await supabase
+      .from("hub_stakes")
+      .update({
+        claimed_total: a.claimed_total,
+        last_claim_at: now.toISOString(),
+        ...(a.settled ? { status: "settled", ends_at: a.ends_at } : {}),
+      })
+      .eq("id", a.stake_id);
+    if (updErr) return { applied, error: updErr.message || String(updErr) };
+    applied.push(a);
+  }
+  return { applied, error: null };
+}
+
+// Undo the claimed_total reservation of a failed claim
+async function revertClaimAllocations(claim) {
+  for (const a of claim.allocations || []) {
+    const { data: stake, error } = await supabase
+      .from("hub_stakes")
+      .select("claimed_total")
+      .eq("id", a.stake_id)
+      .maybeSingle();
+    if (error || !stake) {
+      err("[staking/claim] revert lookup failed", claim.id, a.stake_id, error?.message);
+      continue;
+    }
+    const { error: updErr } = await supabase
+      .from("hub_stakes")
+      .update({
+        claimed_total: Math.max(
+          0,
+          +(Number(stake.claimed_total || 0) - a.amount).toFixed(6)
+        ),
+        ...(a.settled ? { status: a.prev_status } : {}),
+      })
+      .eq("id", a.stake_id);
+    if (updErr) {
+      err("[staking/claim] revert failed", claim.id, a.stake_id, updErr.message);
+    }
+  }
+}
+
+/**
+ * Move an open claim to confirmed/failed. The conditional update makes
+ * this safe to race (request vs reconciler): only one caller wins and
+ * runs the side effects.
+ */
+async function finishClaim(claim, status, error = null, { signature, expectSignature } = {}) {
+  const nowIso = new Date().toISOString();
+  // expectSignature: only if no re-signed attempt was recorded in the meantime
+  let query = supabase
+    .from("hub_claims")
+    .update({ status, error, resolved_at: nowIso, ...(signature ? { signature } : {}) })
+    .eq("id", claim.id)
+    .in("status", CLAIM_OPEN_STATUSES);
+  if (expectSignature) query = query.eq("signature", expectSignature);
+  const { data: won, error: updErr } = await query.select("id").maybeSingle();
+  if (updErr) {
+    err("[staking/claim] finish update failed", claim.id, updErr.message);
+    return false;
+  }
+  if (!won) return false;
+
+  if (status === "confirmed") {
+    const { error: insErr } = await supabase.from("hub_stake_claims").insert(
+      (claim.allocations || []).map((a) => ({
+        claim_id: claim.id,
+        wallet: claim.wallet,
+        stake_id: a.stake_id,
+        amount: a.amount,
+        claimed_at: nowIso,
+        tx: signature || claim.signature,
+        ...(claim.batch_id ? { batch_id: claim.batch_id } : {}),
+      }))
+    );
+    if (insErr) {
+      err("[staking/claim] insert history error:", insErr.message);
+    }
+    await issueStakeReceipt("claim", claim.wallet, {
+      claim_id: claim.id,
+      amount: Number(claim.amount || 0),
+      tx: signature || claim.signature,
+      batch_id: claim.batch_id || undefined,
+      stakes: (claim.allocations || []).map((a) => ({
+        stake_id: a.stake_id,
+        amount: a.amount,
+      })),
+    });
+  } else {
+    await revertClaimAllocations(claim);
+  }
+
+  log("[staking/claim]", claim.id, "→", status, error ? `(${error})` : "");
+  return true;
+}
+
+function claimResponse(claim) {
+  const body = {
+    ok: claim.status !== "failed",
+    claim_id: claim.id,
+    status: claim.status,
+    amount_claimed: Number(claim.amount || 0),
+    tx: claim.signature || null,
+  };
+  if (claim.status === "confirmed") return [200, body];
+  if (claim.status === "failed") {
+    return [500, { ...body, error: "Reward transfer failed" }];
+  }
+  return [202, body]; // still in flight — poll /api/staking/state or retry
+}
+
+// Resolve claims left pending/submitted by a crash, restart or timeout
+async function reconcileClaims() {
+  const { data: open, error } = await supabase
+    .from("hub_claims")
+    .select("*")
+    .in("status", CLAIM_OPEN_STATUSES)
+    .order("created_at", { ascending: true })
+    .limit(100);
+  if (error) {
+    err("[staking/claim] reconcile select error:", error.message);
+    return;
+  }
+
+  let blockHeight = null;
+  for (const claim of open || []) {
+    // Still being sent (and re-signed) by this process
+    if (ACTIVE_PAYOUTS.has(claim.id)) continue;
+    try {
+      if (claim.status === "pending") {
+        // pending never broadcast anything; only stale ones are dead
+        if (Date.now() - Date.parse(claim.created_at) > CLAIM_PENDING_STALE_MS) {
+          await finishClaim(claim, "failed", "stale_pending");
+        }
+        continue;
+      }
+
+      // Any attempt may have landed; earlier ones were only re-signed
+      // after their blockhash expired unseen
+      const signatures =
+        Array.isArray(claim.signatures) && claim.signatures.length
+          ? claim.signatures
+          : [claim.signature];
+      const landed = await findLandedPayout(signatures, { history: true });
+      if (landed) {
+        if (landed.err) {
+          await finishClaim(claim, "failed", JSON.stringify(landed.err), {
+            expectSignature: claim.signature,
+          });
         } else {
-          // ✅ Check passed – just record and schedule next random check
-          const { error: updErr } = await supabase
-            .from("hub_stakes")
-            .update({
-              last_check_at: nowIsoLocal,
-              last_check_balance: balance,
-              next_check_at: nextCheckAt,
-            })
-            .eq("id", stake.id);
+          await finishClaim(claim, "confirmed", null, { signature: landed.signature });
+        }
+        continue;
+      }
+      const { value } = await stakingConnection.getSignatureStatuses([claim.signature]);
+      if (value?.[0]) continue; // processed, not confirmed yet
+
+      // Not seen on-chain: dead once its blockhash can no longer land
+      if (blockHeight == null) {
+        blockHeight = await stakingConnection.getBlockHeight("confirmed");
+      }
+      if (
+        claim.last_valid_block_height != null &&
+        blockHeight > Number(claim.last_valid_block_height)
+      ) {
+        await finishClaim(claim, "failed", "blockhash_expired", {
+          expectSignature: claim.signature,
+        });
+      }
+    } catch (e) {
+      err("[staking/claim] reconcile error", claim.id, e?.message || e);
+    }
+  }
+}
+
+function startClaimReconcilerLoop() {
+  reconcileClaims().catch((e) =>
+    err("[staking/claim] initial reconcile error:", e)
+  );
+  setInterval(() => {
+    reconcileClaims().catch((e) =>
+      err("[staking/claim] reconcile cycle error:", e)
+    );
+  }, CLAIM_RECONCILE_INTERVAL_MS);
+}
+
+/* ---- Batch reward payouts ----
+ * Campaign-end airdrops: every wallet with matured, unclaimed rewards gets
+ * an ordinary hub_claims row (batch_id set — same per-wallet lock, same
+ * reservation on the stakes), and those claims are packed several per
+ * transaction, as many as fit in one packet. Each tx goes through
+ * sendFartPayout and every recipient is resolved with finishClaim, so
+ * results land in hub_claims / hub_stake_claims like a normal claim and
+ * the reconciler covers anything a crash leaves open.
+ *   hub_payout_batches (id uuid pk default gen_random_uuid(), status text,
+ *                       program_id text, min_amount numeric, recipients int,
+ *                       total_amount numeric, paid_count int,
+ *                       paid_amount numeric, failed_count int,
+ *                       unknown_count int, skipped_count int, txs jsonb,
+ *                       error text, created_by text,
+ *                       created_at timestamptz default now(),
+ *                       heartbeat_at timestamptz, finished_at timestamptz)
+ *   create unique index hub_payout_batches_one_running
+ *     on hub_payout_batches ((true)) where status = 'running';
+ *   hub_claims and hub_stake_claims gain batch_id uuid.
+ * status: running → completed | partial | failed (interrupted if the
+ * process died mid-run). The partial unique index is the cross-instance
+ * lock; a running batch bumps heartbeat_at after every tx, and one silent
+ * for PAYOUT_BATCH_STALE_MS is taken to have died with its process.
+ */
+const PAYOUT_BATCH_MAX_RECIPIENTS = 500;
+const PAYOUT_BATCH_STALE_MS = 3 * PAYOUT_SEND_TIMEOUT_MS;
+let PAYOUT_BATCH_RUNNING = null; // id of the batch this process is running
+
+// Running batch whose process stopped bumping heartbeat_at → interrupted
+async function interruptStalePayoutBatch() {
+  const staleIso = new Date(Date.now() - PAYOUT_BATCH_STALE_MS).toISOString();
+  const { data, error } = await supabase
+    .from("hub_payout_batches")
+    .update({ status: "interrupted", finished_at: new Date().toISOString() })
+    .eq("status", "running")
+    .or(`heartbeat_at.lt.${staleIso},heartbeat_at.is.null`)
+    .select("id");
+  if (error) throw new Error(`stale batch sweep failed: ${error.message}`);
+  for (const b of data || []) warn("[staking/batch] marked stale batch interrupted:", b.id);
+  return (data || []).length > 0;
+}
+
+function claimableStakesQuery(wallet, programId = null) {
+  let query = supabase
+    .from("hub_stakes")
+    .select("*")
+    .in("status", STAKE_CLAIMABLE_STATUSES)
+    .eq("is_void", false);
+  if (wallet) query = query.eq("wallet", wallet);
+  if (programId) query = scopeStakeProgram(query, programId);
+  return query;
+}
+
+// Wallets owed matured rewards → [{ wallet, amount }], largest first
+async function collectBatchPayoutQueue({ programId = null, minAmount = 0 } = {}) {
+  const now = new Date();
+  const byWallet = new Map();
+  for (let offset = 0; ; offset += CHART_PAGE_SIZE) {
+    const { data, error } = await claimableStakesQuery(null, programId)
+      .order("id", { ascending: true })
+      .range(offset, offset + CHART_PAGE_SIZE - 1);
+    if (error) throw new Error(`stakes select failed: ${error.message}`);
+    for (const row of data || []) {
+      const { total } = planClaimAllocations([row], now, { maturedOnly: true });
+      if (total > 0) byWallet.set(row.wallet, (byWallet.get(row.wallet) || 0) + total);
+    }
+    if (!data || data.length < CHART_PAGE_SIZE) break;
+  }
+  return Array.from(byWallet.entries())
+    .map(([wallet, amount]) => ({ wallet, amount: +amount.toFixed(6) }))
+    .filter((r) => r.amount > 0 && r.amount >= minAmount)
+    .sort((a, b) => b.amount - a.amount);
+}
+
+// Take the wallet's claim lock and reserve its matured rewards
+// → { claim } | { skipped } | { failed }
+async function openBatchClaim(batch, wallet) {
+  const { data: claim, error: lockErr } = await supabase
+    .from("hub_claims")
+    .insert({
+      wallet,
+      status: "pending",
+      amount: 0,
+      idempotency_key: `batch:${batch.id}`,
+      batch_id: batch.id,
+    })
+    .select()
+    .maybeSingle();
+  if (lockErr || !claim) {
+    if (lockErr?.code === "23505") return { skipped: "claim_in_progress" };
+    return { failed: lockErr?.message || "claim_insert_failed" };
+  }
+  ACTIVE_PAYOUTS.add(claim.id);
+
+  const now = new Date();
+  const { data: stakeRows, error } = await claimableStakesQuery(wallet, batch.program_id);
+  const { allocations, total } = error
+    ? { allocations: [], total: 0 }
+    : planClaimAllocations(stakeRows, now, { maturedOnly: true });
+  if (error || total <= 0) {
+    await supabase.from("hub_claims").delete().eq("id", claim.id);
+    ACTIVE_PAYOUTS.delete(claim.id);
+    return error ? { failed: error.message } : { skipped: "nothing_to_claim" };
+  }
+
+  const opened = { ...claim, amount: total, allocations };
+  const { error: claimErr } = await supabase
+    .from("hub_claims")
+    .update({ amount: total, allocations })
+    .eq("id", claim.id);
+  const { applied, error: reserveErr } = claimErr
+    ? { applied: [], error: claimErr.message }
+    : await reserveClaimAllocations(allocations, now);
+  if (reserveErr) {
+    await finishClaim({ ...opened, allocations: applied }, "failed", "stake_update_failed");
+    ACTIVE_PAYOUTS.delete(claim.id);
+    return { failed: reserveErr };
+  }
+  return { claim: opened };
+}
+
+// Sign, record and send one tx paying every claim in `group`
+async function sendBatchPayoutTx(batch, group, txNo) {
+  const memo = batchPayoutMemo(batch.id, group);
+  const recipients = group.map((c) => ({ wallet: c.wallet, amount: Number(c.amount) }));
+  const ids = group.map((c) => c.id);
+  const failAll = async (reason) => {
+    for (const c of group) await finishClaim(c, "failed", reason);
+    return { status: "failed", signature: null, error: reason };
+  };
+
+  let payout;
+  try {
+    payout = await buildFartBatchPayoutTx(recipients, memo);
+  } catch (e) {
+    err("[staking/batch] build failed:", batch.id, txNo, e?.message || e);
+    return failAll("build_failed");
+  }
+
+  // Never broadcast a payout we couldn't record for every recipient
+  const { data: marked, error: markErr } = await supabase
+    .from("hub_claims")
+    .update({
+      status: "submitted",
+      signature: payout.signature,
+      signatures: [payout.signature],
+      last_valid_block_height: payout.lastValidBlockHeight,
+      submitted_at: new Date().toISOString(),
+    })
+    .in("id", ids)
+    .eq("status", "pending")
+    .select("id");
+  if (markErr || (marked || []).length !== ids.length) {
+    err("[staking/batch] submit record failed:", batch.id, txNo, markErr?.message);
+    return failAll("submit_record_failed");
+  }
+
+  let current = payout.signature;
+  const result = await sendFartPayout(payout, {
+    rebuild: (attempt) => buildFartBatchPayoutTx(recipients, memo, { attempt }),
+    onResign: async (next, signatures) => {
+      const { data: moved, error: moveErr } = await supabase
+        .from("hub_claims")
+        .update({
+          signature: next.signature,
+          signatures,
+          last_valid_block_height: next.lastValidBlockHeight,
+        })
+        .in("id", ids)
+        .eq("status", "submitted")
+        .eq("signature", current)
+        .select("id");
+      if (moveErr || (moved || []).length !== ids.length) {
+        throw new Error(moveErr?.message || "claims_no_longer_open");
+      }
+      current = next.signature;
+    },
+  }).catch((e) => ({ status: "unknown", signature: current, error: e?.message || String(e) }));
+
+  if (result.status === "confirmed" || result.status === "failed") {
+    for (const c of group) {
+      await finishClaim(c, result.status, result.error || null, { signature: result.signature });
+    }
+  } else {
+    warn("[staking/batch] tx unconfirmed, leaving to reconciler:", batch.id, txNo, result.error);
+  }
+  return result;
+}
+
+async function runPayoutBatch(batch, queue) {
+  const counts = {
+    paid_count: 0,
+    paid_amount: 0,
+    failed_count: 0,
+    unknown_count: 0,
+    skipped_count: 0,
+  };
+  const txs = [];
+  const saveProgress = (extra = {}) =>
+    supabase
+      .from("hub_payout_batches")
+      .update({
+        ...counts,
+        paid_amount: +counts.paid_amount.toFixed(6),
+        txs,
+        heartbeat_at: new Date().toISOString(),
+        ...extra,
+      })
+      .eq("id", batch.id);
+
+  let group = [];
+  const flush = async () => {
+    if (!group.length) return;
+    const sent = group;
+    group = [];
+    const result = await sendBatchPayoutTx(batch, sent, txs.length + 1);
+    const amount = +sent.reduce((sum, c) => sum + Number(c.amount), 0).toFixed(6);
+    if (result.status === "confirmed") {
+      counts.paid_count += sent.length;
+      counts.paid_amount += amount;
+    } else if (result.status === "failed") {
+      counts.failed_count += sent.length;
+    } else {
+      counts.unknown_count += sent.length;
+    }
+    txs.push({
+      signature: result.signature,
+      status: result.status,
+      recipients: sent.length,
+      amount,
+      error: result.error || null,
+    });
+    for (const c of sent) ACTIVE_PAYOUTS.delete(c.id);
+    const { error } = await saveProgress();
+    if (error) warn("[staking/batch] progress update failed:", error.message);
+  };
+
+  try {
+    const poolKp = loadPoolKeypair();
+    for (const r of queue) {
+      const opened = await openBatchClaim(batch, r.wallet);
+      if (opened.skipped) {
+        counts.skipped_count += 1;
+        continue;
+      }
+      if (opened.failed) {
+        warn("[staking/batch] claim open failed:", batch.id, r.wallet, opened.failed);
+        counts.failed_count += 1;
+        continue;
+      }
+      const candidate = [...group, opened.claim];
+      const next = candidate.map((c) => ({ wallet: c.wallet, amount: Number(c.amount) }));
+      const memo = batchPayoutMemo(batch.id, candidate);
+      if (group.length && !fitsInOnePayoutTx(poolKp, next, memo)) await flush();
+      group.push(opened.claim);
+    }
+    await flush();
+
+    const status =
+      counts.failed_count === 0 && counts.unknown_count === 0
+        ? "completed"
+        : counts.paid_count > 0 || counts.unknown_count > 0
+          ? "partial"
+          : "failed";
+    await saveProgress({ status, finished_at: new Date().toISOString() });
+    log("[staking/batch]", batch.id, "→", status, JSON.stringify(counts));
+  } catch (e) {
+    err("[staking/batch] run failed:", batch.id, e?.message || e);
+    // Opened-but-unsent claims are left to the reconciler (stale pending)
+    for (const c of group) ACTIVE_PAYOUTS.delete(c.id);
+    await saveProgress({
+      status: "failed",
+      error: String(e?.message || e).slice(0, 500),
+      finished_at: new Date().toISOString(),
+    });
+  } finally {
+    PAYOUT_BATCH_RUNNING = null;
+  }
+}
+
+/* ---- Reward pool accounting ----
+ * balance     = real FART balance of REWARD_POOL_PUBKEY's ATA (on-chain)
+ * liabilities = rewards the pool still owes: max_reward - claimed_total
+ *               over non-void active / settled / pending stakes, what
+ *               streamed before an early unstake, plus claims that are
+ *               reserved but not yet paid out
+ * New stakes are refused when liabilities + their max_reward > balance.
+ * That pre-check and the insert are separate steps, so every new stake is
+ * re-checked after its insert against the liabilities of stakes up to its
+ * own id: of two racing stakes the later id loses and is deleted again.
+ * Each sync writes hub_stake_pool (wallet pk, fart_balance, liabilities,
+ * updated_at), which /api/fartcoin/pool-balance reads.
+ */
+const POOL_SYNC_INTERVAL_MS = 2 * 60 * 1000;
+const POOL_BALANCE_MAX_AGE_MS = 30 * 1000;   // stake gate re-reads older balances
+const POOL_RUNWAY_WINDOW_DAYS = 30;
+
+const POOL_STATE = { balance: null, liabilities: null, balanceAt: 0, updatedAt: null, error: null };
+
+async function readPoolFartBalance() {
+  const owner = new web3.PublicKey(REWARD_POOL_PUBKEY);
+  const mint = new web3.PublicKey(FART_MINT_STR);
+  const ata = getAssociatedTokenAddressSync(mint, owner, false, SPL_TOKEN_PROGRAM_ID);
+  try {
+    const { value } = await stakingConnection.getTokenAccountBalance(ata, "confirmed");
+    return Number(value?.uiAmountString ?? value?.uiAmount ?? 0);
+  } catch (e) {
+    // No ATA yet → empty pool; anything else is a real failure
+    if (String(e?.message || "").includes("could not find account")) return 0;
+    throw e;
+  }
+}
+
+// upToId: only count stakes with id <= it (see verifyPoolReservation)
+async function computePoolLiabilities({ upToId = null } = {}) {
+  let total = 0;
+  for (let offset = 0; ; offset += CHART_PAGE_SIZE) {
+    let query = supabase
+      .from("hub_stakes")
+      .select(
+        "status, amount, duration_days, reward_rate, max_reward, claimed_total, started_at, ends_at, accrual_mode, cliff_days, final_reward"
+      )
+      .in("status", ["active", "settled", "pending", "unstaked", "cooldown"])
+      .eq("is_void", false);
+    if (upToId != null) query = query.lte("id", upToId);
+    const { data, error } = await query
+      .order("id", { ascending: true })
+      .range(offset, offset + CHART_PAGE_SIZE - 1);
+    if (error) throw new Error(`liabilities select failed: ${error.message}`);
+    for (const row of data || []) {
+      // Early-exited stakes only owe what the exit left them
+      if (row.status === "unstaked" || row.status === "cooldown") {
+        total += computeStakeAccrual(row).unclaimed;
+        continue;
+      }
+      const max =
+        row.max_reward != null
+          ? Number(row.max_reward)
+          : Number(row.amount || 0) *
+            (row.reward_rate != null
+              ? Number(row.reward_rate)
+              : getRewardRate(row.duration_days));
+      total += Math.max(0, max - Number(row.claimed_total || 0));
+    }
+    if (!data || data.length < CHART_PAGE_SIZE) break;
+  }
+
+  // Reserved on the stakes already, but the FART hasn't left the pool yet
+  const { data: open, error: openErr } = await supabase
+    .from("hub_claims")
+    .select("amount")
+    .in("status", CLAIM_OPEN_STATUSES);
+  if (openErr) throw new Error(`open claims select failed: ${openErr.message}`);
+  for (const c of open || []) total += Number(c.amount || 0);
+
+  return +total.toFixed(6);
+}
+
+async function syncRewardPool() {
+  if (!REWARD_POOL_PUBKEY) return POOL_STATE;
+  try {
+    const [balance, liabilities] = await Promise.all([
+      readPoolFartBalance(),
+      computePoolLiabilities(),
+    ]);
+    const nowIso = new Date().toISOString();
+    Object.assign(POOL_STATE, {
+      balance,
+      liabilities,
+      balanceAt: Date.now(),
+      updatedAt: nowIso,
+      error: null,
+    });
+
+    const { error } = await supabase.from("hub_stake_pool").upsert(
+      {
+        wallet: REWARD_POOL_PUBKEY,
+        fart_balance: balance,
+        liabilities,
+        updated_at: nowIso,
+      },
+      { onConflict: "wallet" }
+    );
+    if (error) warn("[staking/pool] hub_stake_pool upsert failed:", error.message);
+
+    if (liabilities > balance) {
+      warn("[staking/pool] ⚠️  pool under-collateralised", "balance=", balance, "liabilities=", liabilities);
+    }
+  } catch (e) {
+    POOL_STATE.error = String(e?.message || e);
+    err("[staking/pool] sync failed:", POOL_STATE.error);
+  }
+  return POOL_STATE;
+}
+
+/**
+ * Can the pool cover `extraReward` more? Liabilities are recomputed on
+ * every call; the on-chain balance is reused for POOL_BALANCE_MAX_AGE_MS.
+ * → { ok, balance, liabilities, available } or { ok: false, error }
+ */
+async function checkPoolSolvency(extraReward) {
+  if (Date.now() - POOL_STATE.balanceAt > POOL_BALANCE_MAX_AGE_MS) {
+    await syncRewardPool();
+  }
+  if (POOL_STATE.balance == null || POOL_STATE.error) {
+    return { ok: false, error: "pool_unavailable" };
+  }
+  const liabilities = await computePoolLiabilities();
+  const available = +(POOL_STATE.balance - liabilities).toFixed(6);
+  return {
+    ok: liabilities + extraReward <= POOL_STATE.balance,
+    balance: POOL_STATE.balance,
+    liabilities,
+    available: Math.max(0, available),
+  };
+}
+
+/**
+ * Second half of the solvency gate, run right after a stake row is
+ * inserted: if the stakes up to and including it over-commit the pool, the
+ * row is deleted again. → same shape as checkPoolSolvency()
+ */
+async function verifyPoolReservation(stake) {
+  let result;
+  try {
+    const liabilities = await computePoolLiabilities({ upToId: stake.id });
+    const available = +(POOL_STATE.balance - liabilities).toFixed(6);
+    result = {
+      ok: liabilities <= POOL_STATE.balance,
+      balance: POOL_STATE.balance,
+      liabilities,
+      available: Math.max(0, +(available + Number(stake.max_reward || 0)).toFixed(6)),
+    };
+  } catch (e) {
+    err("[staking/pool] reservation check failed:", e?.message || e);
+    result = { ok: false, error: "pool_unavailable" };
+  }
+  if (result.ok) return result;
+
+  const { error } = await supabase.from("hub_stakes").delete().eq("id", stake.id);
+  if (error) err("[staking/pool] over-committed stake", stake.id, "not removed:", error.message);
+  else warn("[staking/pool] removed stake", stake.id, "— pool over-committed by a concurrent stake");
+  return result;
+}
+
+function startRewardPoolSyncLoop() {
+  if (!REWARD_POOL_PUBKEY) return;
+  syncRewardPool();
+  setInterval(syncRewardPool, POOL_SYNC_INTERVAL_MS);
+}
+
+/* ---- Linked wallets ----
+ * A staker can prove they own other wallets; the integrity checker then
+ * counts those balances too (moving BLACK between your own wallets
+ * shouldn't void a stake).
+ *   hub_stake_wallet_links (wallet text, linked_wallet text, signature text,
+ *                           created_at timestamptz default now(),
+ *                           revoked_at timestamptz)
+ *   unique (linked_wallet) where revoked_at is null — a wallet can only
+ *   back one staker at a time.
+ * Links form one level only: a linked wallet holds no stakes and links
+ * nothing itself, and a linked wallet can't become a staker, so each
+ * balance counts toward exactly one coverage set.
+ */
+function buildWalletLinkMessage(wallet, linked, nonce) {
+  return [
+    "✦ BlackCoin Network ✦",
+    "",
+    "Sign this message to link this wallet to your staking wallet.",
+    "",
+    `Staking wallet: ${wallet}`,
+    `Linked wallet: ${linked}`,
+    `Nonce: ${nonce}`,
+    "",
+    "No on-chain transaction will occur.",
+  ].join("\n");
+}
+
+function walletLinkNonceKey(wallet, linked) {
+  return `link:${wallet}:${linked}`;
+}
+
+const LINK_HELD_STAKE_STATUSES = ["pending", "active", "cooldown", "unstaking", "releasing"];
+
+// Of `wallets`, the ones that are stakers themselves (held stakes or links)
+async function findStakingWallets(wallets) {
+  if (!wallets.length) return new Set();
+  const [stakes, links] = await Promise.all([
+    supabase
+      .from("hub_stakes")
+      .select("wallet")
+      .in("wallet", wallets)
+      .in("status", LINK_HELD_STAKE_STATUSES),
+    supabase
+      .from("hub_stake_wallet_links")
+      .select("wallet")
+      .in("wallet", wallets)
+      .is("revoked_at", null),
+  ]);
+  const error = stakes.error || links.error;
+  if (error) throw new Error(`staking wallets select failed: ${error.message}`);
+  return new Set([...(stakes.data || []), ...(links.data || [])].map((r) => r.wallet));
+}
+
+// Is `wallet` backing some other staker?
+async function getLinkOwner(wallet) {
+  const { data, error } = await supabase
+    .from("hub_stake_wallet_links")
+    .select("wallet")
+    .eq("linked_wallet", wallet)
+    .is("revoked_at", null)
+    .limit(1)
+    .maybeSingle();
+  if (error) throw new Error(`link owner select failed: ${error.message}`);
+  return data?.wallet || null;
+}
+
+// Why `wallet` may not link `linked`, or null
+async function walletLinkConflict(wallet, linked) {
+  if (await getLinkOwner(wallet)) return "wallet_is_linked";
+  if ((await findStakingWallets([linked])).size) return "linked_wallet_is_staker";
+  return null;
+}
+
+// Throws on DB errors so the integrity checker treats it as a missed sample.
+// Links that slipped past walletLinkConflict (concurrent requests) are
+// skipped, so no balance is ever counted for two stakers.
+async function getLinkedWallets(wallet) {
+  const { data, error } = await supabase
+    .from("hub_stake_wallet_links")
+    .select("linked_wallet")
+    .eq("wallet", wallet)
+    .is("revoked_at", null);
+  if (error) throw new Error(`linked wallets select failed: ${error.message}`);
+  const linked = (data || []).map((r) => r.linked_wallet);
+  const stakers = await findStakingWallets(linked);
+  for (const w of stakers) warn("[staking/links] ignoring link to staker", w, "from", wallet);
+  return linked.filter((w) => !stakers.has(w));
+}
+
+/* ---- Staking integrity loop (void-flag model) ----
+ * Every sample is logged to
+ *   hub_stake_checks (id bigserial pk, stake_id bigint, wallet text,
+ *                     checked_at timestamptz, result text, balance numeric,
+ *                     linked_balance numeric, required numeric,
+ *                     consecutive_failures int, note text, actor text)
+ * result: pass | fail | void | rpc_error | admin_void | admin_unvoid.
+ * For samples, `required` is the wallet's summed held stakes (aggregate
+ * coverage); admin rows carry the stake's own amount.
+ * hub_stakes keeps the running streak: check_failures int default 0,
+ * first_fail_at timestamptz (plus unvoid_reason / unvoided_by / unvoided_at
+ * and appeal_note / appeal_at for the review flow).
+ */
+
+// History rows are best-effort — a failed insert never blocks a check
+async function recordStakeChecks(rows) {
+  if (!rows.length) return;
+  try {
+    const { error } = await supabase.from("hub_stake_checks").insert(rows);
+    if (error) warn("[staking/integrity] history insert failed:", error.message);
+  } catch (e) {
+    warn("[staking/integrity] history insert exception:", e?.message || e);
+  }
+}
+
+// Sampling stakes whose BLACK has to stay in the wallet right now
+function isHeldSamplingStake(row, now = new Date()) {
+  return (
+    (row.status === "active" || row.status === "cooldown") &&
+    !row.is_void &&
+    row.mode !== "escrow" &&
+    (!row.ends_at || new Date(row.ends_at) > now)
+  );
+}
+
+// Which of a wallet's held stakes `covered` BLACK can't back (pure)
+function planStakeCoverage(stakes, covered, policy = STAKE_SHORTFALL_POLICY) {
+  const required = +stakes
+    .reduce((sum, s) => sum + Number(s.amount || 0), 0)
+    .toFixed(6);
+  const shortfall = Math.max(0, +(required - covered).toFixed(6));
+  const failing = new Set();
+
+  if (shortfall > 0) {
+    const newestFirst = [...stakes].sort(
+      (a, b) =>
+        new Date(b.started_at).getTime() - new Date(a.started_at).getTime() ||
+        Number(b.id) - Number(a.id)
+    );
+    let remaining = required;
+    for (const s of newestFirst) {
+      if (remaining <= covered) break;
+      failing.add(s.id);
+      remaining -= Number(s.amount || 0);
+    }
+  }
+
+  return {
+    required,
+    covered,
+    shortfall,
+    ratio: required > 0 ? Math.min(1, +(covered / required).toFixed(4)) : 1,
+    policy,
+    failing,
+  };
+}
+
+function stakeRetryTime() {
+  return new Date(Date.now() + STAKE_CHECK_RETRY_MINUTES * 60 * 1000).toISOString();
+}
+
+async function runStakeIntegrityCheckCycle() {
+  try {
+    await expirePendingEscrowStakes();
+    await reconcileEscrowReturns();
+    await releaseCooledDownStakes();
+
+    const nowIso = new Date().toISOString();
+
+       // 1) Find wallets with an active, non-void stake due for a check
+    //    🔹 Only check stakes that have NOT matured yet (ends_at > nowIso)
+    //    🔹 Cooldown stakes stay held until release_at (= their ends_at)
+    const { data: dueRows, error } = await supabase
+      .from("hub_stakes")
+      .select("wallet, mode")
+      .in("status", ["active", "cooldown"])
+      .eq("is_void", false)
+      .gt("ends_at", nowIso)
+      .or(`next_check_at.lte.${nowIso},next_check_at.is.null`);
+
+    if (error) {
+      err("[staking/integrity] select error:", error.message);
+      return;
+    }
+    // Escrow stakes hold the tokens themselves — nothing to sample
+    const dueWallets = new Set(
+      (dueRows || []).filter((s) => s.mode !== "escrow").map((s) => s.wallet)
+    );
+    if (dueWallets.size === 0) return;
+
+    // 2) Per wallet, every held stake is checked together (aggregate coverage)
+    for (const wallet of dueWallets) {
+      const { data: rows, error: rowsErr } = await supabase
+        .from("hub_stakes")
+        .select(
+          "id, wallet, amount, started_at, is_void, status, ends_at, mode, check_failures, first_fail_at"
+        )
+        .eq("wallet", wallet)
+        .in("status", ["active", "cooldown"])
+        .eq("is_void", false)
+        .gt("ends_at", nowIso);
+      if (rowsErr) {
+        err("[staking/integrity] wallet stakes select error:", wallet, rowsErr.message);
+        continue;
+      }
+      const walletStakes = (rows || []).filter((s) => isHeldSamplingStake(s));
+      if (walletStakes.length === 0) continue;
+
+      // 3) Fetch current BLACKCOIN balance once (plus any wallets it has
+      //    proven ownership of)
+      let balance;
+      let linkedBalance = 0;
+      try {
+        balance = await getBlackcoinBalanceForWallet(wallet, "confirmed");
+        for (const linked of await getLinkedWallets(wallet)) {
+          linkedBalance += await getBlackcoinBalanceForWallet(linked, "confirmed");
+        }
+      } catch (e) {
+        // Not a sample — log it and look again soon without touching the streak
+        err("[staking/integrity] balance fetch failed for", wallet, e);
+        const checkedAt = new Date().toISOString();
+        const required = planStakeCoverage(walletStakes, 0).required;
+        await recordStakeChecks(
+          walletStakes.map((stake) => ({
+            stake_id: stake.id,
+            wallet,
+            checked_at: checkedAt,
+            result: "rpc_error",
+            required,
+            consecutive_failures: Number(stake.check_failures || 0),
+            note: String(e?.message || e).slice(0, 200),
+          }))
+        );
+        await supabase
+          .from("hub_stakes")
+          .update({ next_check_at: stakeRetryTime() })
+          .in("id", walletStakes.map((stake) => stake.id));
+        continue;
+      }
+
+      const covered = balance + linkedBalance;
+      const coverage = planStakeCoverage(walletStakes, covered);
+      const nowIsoLocal = new Date().toISOString();
+      const nextCheckAt = getRandomFutureTime();
+      const history = [];
+
+      for (const stake of walletStakes) {
+        const isBelow = coverage.failing.has(stake.id);
+        const sample = {
+          stake_id: stake.id,
+          wallet,
+          checked_at: nowIsoLocal,
+          balance,
+          linked_balance: linkedBalance,
+          // the wallet-wide sum is what has to be covered
+          required: coverage.required,
+          ...(isBelow ? { note: `${coverage.policy} shortfall ${coverage.shortfall}` } : {}),
+        };
+
+        if (isBelow) {
+          const failures = Number(stake.check_failures || 0) + 1;
+          const firstFailAt = stake.first_fail_at || nowIsoLocal;
+          const graceOver =
+            Date.now() - new Date(firstFailAt).getTime() >=
+            STAKE_VOID_GRACE_MINUTES * 60 * 1000;
+          const shouldVoid = failures >= STAKE_VOID_FAIL_THRESHOLD && graceOver;
+
+          // 🔴 Void only once the grace policy is exhausted; otherwise re-sample soon
+          const { error: updErr } = await supabase
+            .from("hub_stakes")
+            .update({
+              check_failures: failures,
+              first_fail_at: firstFailAt,
+              last_check_at: nowIsoLocal,
+              last_check_balance: covered,
+              ...(shouldVoid
+                ? {
+                    is_void: true,
+                    void_reason: "balance_below_stake",
+                    void_at: nowIsoLocal,
+                  }
+                : { next_check_at: stakeRetryTime() }),
+            })
+            .eq("id", stake.id);
+
+          history.push({
+            ...sample,
+            result: shouldVoid ? "void" : "fail",
+            consecutive_failures: failures,
+          });
+
+          if (updErr) {
+            err(
+              "[staking/integrity] failed to update failing stake",
+              stake.id,
+              updErr.message || updErr
+            );
+          } else if (shouldVoid) {
+            log(
+              "[staking/integrity] stake voided",
+              stake.id,
+              "wallet=",
+              wallet,
+              "balance=",
+              covered,
+              "required=",
+              coverage.required,
+              "failures=",
+              failures
+            );
+            await issueStakeReceipt("stake_voided", wallet, {
+              stake_id: stake.id,
+              amount: Number(stake.amount || 0),
+              reason: "balance_below_stake",
+              balance: covered,
+              required: coverage.required,
+              consecutive_failures: failures,
+            });
+          }
+        } else {
+          // ✅ Check passed – reset the streak and schedule next random check
+          const { error: updErr } = await supabase
+            .from("hub_stakes")
+            .update({
+              last_check_at: nowIsoLocal,
+              last_check_balance: covered,
+              next_check_at: nextCheckAt,
+              check_failures: 0,
+              first_fail_at: null,
+            })
+            .eq("id", stake.id);
+
+          history.push({ ...sample, result: "pass", consecutive_failures: 0 });
+
+          if (updErr) {
+            err(
+              "[staking/integrity] failed to update stake check info",
+              stake.id,
+              updErr.message || updErr
+            );
+          }
+        }
+      }
+
+      await recordStakeChecks(history);
+    }
+  } catch (e) {
+    err("[staking/integrity] cycle exception:", e);
+  }
+}
+
+function startStakeIntegrityLoop() {
+  // Run one cycle on startup
+  runStakeIntegrityCheckCycle().catch((e) =>
+    err("[staking/integrity] initial cycle error:", e)
+  );
+  // Then repeat every 60s; actual checks are gated by next_check_at
+  setInterval(() => {
+    runStakeIntegrityCheckCycle().catch((e) =>
+      err("[staking/integrity] interval cycle error:", e)
+    );
+  }, 60 * 1000);
+}
+
+/* ---- /api/staking/state ---- */
+/*
+GET /api/staking/state?wallet=<pubkey>
+  -> {
+       wallet,
+       black: { balance, available, staked_total, cap_remaining, cap_per_wallet },
+       fart:  { claimable },
+       coverage: { policy, required, balance, linked_balance?, covered?,
+                   shortfall?, ratio?, at_risk_stake_ids },
+       stakes: [
+         { id, amount, duration_days, start_ts, end_ts, status, reward_est, tx?, is_void, void_reason, ... }
+       ]
+     }
+  at_risk_stake_ids always counts linked wallets, exactly as the integrity
+  checker does. The figures that would reveal their balance (linked_balance,
+  covered, shortfall, ratio) are only present when the request carries an
+  x-bc-session for `wallet`.
+*/
+app.get("/api/staking/state", async (req, res) => {
+  const wallet = String(req.query.wallet || "").trim();
+  if (!wallet) {
+    return res.status(400).json({ error: "wallet is required" });
+  }
+
+  try {
+    const { data: stakeRows, error } = await supabase
+      .from("hub_stakes")
+      .select("*")
+      .eq("wallet", wallet)
+      .order("started_at", { ascending: false });
+
+    if (error) {
+      err("[staking/state] select error:", error.message);
+      return res.status(500).json({ error: "Failed to load stakes" });
+    }
+
+    let walletStakedTotal = 0;
+    let walletClaimableTotal = 0;
+    const now = new Date();
+
+    const stakes = (stakeRows || []).map((row) => {
+      const { maxReward, accrued, unclaimed, mode } = computeStakeAccrual(row, now);
+
+      if (row.status === "active") {
+        walletStakedTotal += Number(row.amount || 0);
+      }
+
+      if (
+        !row.is_void &&
+        unclaimed > 0 &&
+        STAKE_CLAIMABLE_STATUSES.includes(row.status)
+      ) {
+        walletClaimableTotal += unclaimed;
+      }
+
+      return {
+        id: row.id,
+        wallet: row.wallet,
+        amount: Number(row.amount || 0),
+        duration_days: Number(row.duration_days || 0),
+        reward_rate: Number(
+          row.reward_rate != null
+            ? row.reward_rate
+            : getRewardRate(row.duration_days)
+        ),
+        max_reward: maxReward,
+        accrual_mode: mode || row.accrual_mode || "cliff",
+        accrued,
+        claimable: row.is_void ? 0 : unclaimed,
+        start_ts: row.started_at,
+        end_ts: row.ends_at,
+        status: row.status,
+        claimed_total: Number(row.claimed_total || 0),
+        reward_est: maxReward,
+        tx: row.tx || null,
+        mode: row.mode || "sampling",
+        program_id: row.program_id || DEFAULT_STAKE_PROGRAM_ID,
+        deposit_tx: row.deposit_tx || null,
+        return_tx: row.return_tx || null,
+        early_exit_mode: row.early_exit_mode || "forfeit",
+        final_reward: row.final_reward != null ? Number(row.final_reward) : null,
+        release_at: row.release_at || null,
+        parent_stake_id: row.parent_stake_id || null,
+
+        // NEW: integrity / void fields for the UI
+        is_void: Boolean(row.is_void),
+        void_reason: row.void_reason || null,
+        check_failures: Number(row.check_failures || 0),
+        appeal_at: row.appeal_at || null,
+        void_at: row.void_at || null,
+        last_check_at: row.last_check_at || null,
+        last_check_balance:
+          row.last_check_balance != null
+            ? Number(row.last_check_balance)
+            : null,
+      };
+    });
+
+    // NEW: real on-chain BLACKCOIN balance
+    const realBlackBalance = await getBlackcoinBalanceForWallet(
+      wallet,
+      "confirmed"
+    );
+
+    // Aggregate coverage, as the integrity checker sees it
+    let linkedBalance = 0;
+    try {
+      for (const linked of await getLinkedWallets(wallet)) {
+        linkedBalance += await getBlackcoinBalanceForWallet(linked, "confirmed");
+      }
+    } catch (e) {
+      warn("[staking/state] linked balances unavailable:", e?.message || e);
+      linkedBalance = null;
+    }
+
+    // Linked balances are only spelled out to the wallet's own session
+    let sessionWallet = null;
+    try {
+      sessionWallet = await getSessionWalletFromHeader(req);
+    } catch (e) {
+      warn("[staking/state] session lookup failed:", e?.message || e);
+    }
+    const isOwner = sessionWallet === wallet;
+    const coverage = planStakeCoverage(
+      (stakeRows || []).filter((r) => isHeldSamplingStake(r, now)),
+      realBlackBalance + (linkedBalance || 0)
+    );
+
+    // Remaining headroom under the default program's cap (informational)
+    const program = await resolveStakeProgram(null);
+    const programStaked = (stakeRows || [])
+      .filter(
+        (r) =>
+          r.status === "active" &&
+          (r.program_id || DEFAULT_STAKE_PROGRAM_ID) === program.id
+      )
+      .reduce((sum, r) => sum + Number(r.amount || 0), 0);
+    const capRemaining = Math.max(
+      0,
+      program.cap_per_wallet - programStaked
+    );
+
+    return res.json({
+      wallet,
+      BlackCoin: {
+        balance: realBlackBalance,       // on-chain balance
+        available: realBlackBalance,     // what UI should show as "available to stake"
+        staked_total: walletStakedTotal, // sum of active stakes
+        cap_remaining: capRemaining,     // remaining room under the cap
+        cap_per_wallet: program.cap_per_wallet,
+        program_id: program.id,
+      },
+      Fartcoin: {
+        claimable: walletClaimableTotal,
+      },
+      staking_mode: STAKE_MODE,
+      coverage: {
+        policy: coverage.policy,
+        required: coverage.required,       // sum of held sampling stakes
+        balance: realBlackBalance,
+        ...(isOwner
+          ? {
+              linked_balance: linkedBalance, // null when the lookup failed
+              covered: coverage.covered,
+              shortfall: coverage.shortfall,
+              ratio: coverage.ratio,
+            }
+          : {}),
+        at_risk_stake_ids: Array.from(coverage.failing),
+      },
+      stakes,
+    });
+  } catch (e) {
+    err("[staking/state] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+
+/* ---- /api/staking/receipts ---- */
+/*
+GET /api/staking/receipts?wallet=<pubkey>&stake_id=&event=&page=1&limit=50
+  -> { wallet, signer, receipts: [{ id, event, stake_id, claim_id, payload,
+       signature, signer, created_at }], page, limit, total, nextPage, hasMore }
+  signer = the current receipt key; verify each receipt against its own
+  `signer` (see "Staking receipts" above). Receipts still queued for
+  signing are left out.
+*/
+app.get("/api/staking/receipts", async (req, res) => {
+  const wallet = String(req.query.wallet || "").trim();
+  try {
+    new web3.PublicKey(wallet);
+  } catch {
+    return res.status(400).json({ error: "invalid_wallet" });
+  }
+
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = (page - 1) * limit;
+
+    let query = supabase
+      .from("hub_stake_receipts")
+      .select("id, event, stake_id, claim_id, payload, signature, signer, created_at", {
+        count: "exact",
+      })
+      .eq("wallet", wallet)
+      .not("signature", "is", null);
+    if (req.query.stake_id) query = query.eq("stake_id", req.query.stake_id);
+    if (req.query.event) query = query.eq("event", String(req.query.event));
+
+    const { data, error, count } = await query
+      .order("id", { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) {
+      err("[staking/receipts] select error:", error.message);
+      return res.status(500).json({ error: "Failed to load receipts" });
+    }
+
+    const total = count ?? data?.length ?? 0;
+    const nextPage = offset + limit < total ? page + 1 : null;
+    return res.json({
+      wallet,
+      signer: loadReceiptKeypair()?.publicKey.toBase58() || null,
+      receipts: data || [],
+      page,
+      limit,
+      total,
+      nextPage,
+      hasMore: Boolean(nextPage),
+    });
+  } catch (e) {
+    err("[staking/receipts] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// GET /api/admin/staking/receipts/lost → receipts whose insert failed
+app.get(
+  "/api/admin/staking/receipts/lost",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  (_req, res) => {
+    res.json({ ok: true, lost: LOST_RECEIPTS.count, held: LOST_RECEIPTS.held });
+  }
+);
+
+/* ---- /api/staking/programs ---- */
+/*
+GET /api/staking/programs
+  -> { programs: [{ id, name, durations: [{ days, rate }], cap_per_wallet,
+       global_cap, starts_at, ends_at, reward_mint, accrual_mode, cliff_days,
+       early_exit_mode, early_penalty_pct, cooldown_days, status, open }] }
+  Open and upcoming programs (retired / ended ones are left out).
+*/
+app.get("/api/staking/programs", async (_req, res) => {
+  try {
+    const now = new Date();
+    const programs = Array.from((await getStakePrograms()).values())
+      .filter(
+        (p) =>
+          p.status === "active" &&
+          (!p.ends_at || new Date(p.ends_at) > now)
+      )
+      .map((p) => publicStakeProgram(p, now));
+    return res.json({ programs });
+  } catch (e) {
+    err("[staking/programs] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+/* ---- Admin: staking programs (treasurer / dev) ---- */
+/*
+GET  /api/admin/staking/programs              -> { programs } (incl. retired)
+POST /api/admin/staking/programs
+  { id, name?, rates: { "<days>": rate }, cap_per_wallet?, global_cap?,
+    starts_at?, ends_at?, reward_mint?,
+    accrual_mode?: "cliff" | "linear" | "linear_cliff", cliff_days?,
+    early_exit_mode?: "forfeit" | "prorate" | "cooldown",
+    early_penalty_pct?, cooldown_days? }
+                                              -> { ok, program }
+  "prorate" / "cooldown" exits need a linear accrual_mode: under "cliff"
+  nothing has accrued before the term ends, so they'd pay like "forfeit".
+POST /api/admin/staking/programs/:id/retire   -> { ok, program }
+Programs are immutable once created — retire and create a new one.
+*/
+app.get(
+  "/api/admin/staking/programs",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (_req, res) => {
+    try {
+      const programs = Array.from(
+        (await getStakePrograms({ nocache: true })).values()
+      ).map((p) => ({ ...publicStakeProgram(p), built_in: p.built_in }));
+      return res.json({ programs });
+    } catch (e) {
+      err("[admin/staking/programs] exception:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+app.post(
+  "/api/admin/staking/programs",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (req, res) => {
+    const b = req.body || {};
+    const id = String(b.id || "").trim().toLowerCase();
+    if (!STAKE_PROGRAM_ID_RE.test(id)) {
+      return res.status(400).json({ error: "invalid_program_id" });
+    }
+
+    const rates = {};
+    for (const [days, rate] of Object.entries(b.rates || {})) {
+      const d = Number(days);
+      const r = Number(rate);
+      if (!Number.isInteger(d) || d <= 0 || d > 3650 || !(r > 0) || r > 10) {
+        return res.status(400).json({ error: "invalid_rates", days, rate });
+      }
+      rates[d] = r;
+    }
+    if (!Object.keys(rates).length) {
+      return res.status(400).json({ error: "invalid_rates" });
+    }
+
+    const capPerWallet = Number(b.cap_per_wallet ?? STAKE_CAP_PER_WALLET);
+    const globalCap = Number(b.global_cap ?? 0);
+    if (!(capPerWallet >= 0) || !(globalCap >= 0)) {
+      return res.status(400).json({ error: "invalid_caps" });
+    }
+
+    const startsAt = b.starts_at ? parseChartTime(b.starts_at) : new Date();
+    const endsAt = b.ends_at ? parseChartTime(b.ends_at) : null;
+    if (!startsAt || (b.ends_at && !endsAt) || (endsAt && endsAt <= startsAt)) {
+      return res.status(400).json({ error: "invalid_window" });
+    }
+
+    const accrualMode = String(b.accrual_mode || "cliff").trim();
+    const cliffDays = Number(b.cliff_days || 0);
+    if (!STAKE_ACCRUAL_MODES.includes(accrualMode)) {
+      return res.status(400).json({ error: "invalid_accrual_mode" });
+    }
+    if (
+      !Number.isInteger(cliffDays) ||
+      cliffDays < 0 ||
+      (accrualMode === "linear_cliff" &&
+        (cliffDays === 0 || Object.keys(rates).some((d) => cliffDays >= Number(d))))
+    ) {
+      // the cliff has to fall strictly inside every duration
+      return res.status(400).json({ error: "invalid_cliff_days" });
+    }
+
+    const exitMode = String(b.early_exit_mode || "forfeit").trim();
+    const penaltyPct = Number(b.early_penalty_pct || 0);
+    const cooldownDays = Number(b.cooldown_days || 0);
+    if (!STAKE_EXIT_MODES.includes(exitMode)) {
+      return res.status(400).json({ error: "invalid_early_exit_mode" });
+    }
+    // Early exits pay what accrued; nothing accrues before a cliff term ends
+    if (exitMode !== "forfeit" && accrualMode === "cliff") {
+      return res.status(400).json({ error: "early_exit_mode_requires_accrual" });
+    }
+    if (!(penaltyPct >= 0 && penaltyPct <= 100)) {
+      return res.status(400).json({ error: "invalid_early_penalty_pct" });
+    }
+    if (
+      !Number.isInteger(cooldownDays) ||
+      cooldownDays < 0 ||
+      cooldownDays > 365 ||
+      (exitMode === "cooldown" && cooldownDays === 0)
+    ) {
+      return res.status(400).json({ error: "invalid_cooldown_days" });
+    }
+
+    // Payouts (claims, pool accounting) only handle the pool's FART mint
+    const rewardMint = String(b.reward_mint || FART_MINT_STR).trim();
+    if (rewardMint !== FART_MINT_STR) {
+      return res.status(400).json({ error: "reward_mint_unsupported" });
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from("hub_stake_programs")
+        .insert({
+          id,
+          name: String(b.name || "").trim().slice(0, 80) || id,
+          rates,
+          cap_per_wallet: capPerWallet,
+          global_cap: globalCap,
+          starts_at: startsAt.toISOString(),
+          ends_at: endsAt ? endsAt.toISOString() : null,
+          reward_mint: rewardMint,
+          accrual_mode: accrualMode,
+          cliff_days: accrualMode === "linear_cliff" ? cliffDays : 0,
+          early_exit_mode: exitMode,
+          early_penalty_pct: exitMode === "forfeit" ? 0 : penaltyPct,
+          cooldown_days: exitMode === "cooldown" ? cooldownDays : 0,
+          status: "active",
+          created_by: req.sessionWallet,
+        })
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        if (error.code === "23505") {
+          return res.status(409).json({ error: "program_exists" });
+        }
+        err("[admin/staking/programs] insert error:", error.message);
+        return res.status(500).json({ error: "Failed to create program" });
+      }
+
+      await getStakePrograms({ nocache: true });
+      log("[admin/staking/programs] created", id, "by", req.sessionWallet);
+      return res.json({ ok: true, program: publicStakeProgram(normStakeProgram(data)) });
+    } catch (e) {
+      err("[admin/staking/programs] exception:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+app.post(
+  "/api/admin/staking/programs/:id/retire",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (req, res) => {
+    const id = String(req.params.id || "").trim();
+    const nowIso = new Date().toISOString();
+
+    try {
+      const programs = await getStakePrograms({ nocache: true });
+      const current = programs.get(id);
+      if (!current) {
+        return res.status(404).json({ error: "program_not_found" });
+      }
+      if (current.status === "retired") {
+        return res.status(409).json({ error: "program_already_retired" });
+      }
+
+      // The built-in default has no row yet — persist it as retired
+      const retired = { status: "retired", retired_by: req.sessionWallet, retired_at: nowIso };
+      const query = current.built_in
+        ? supabase.from("hub_stake_programs").insert({
+            id,
+            name: current.name,
+            rates: current.rates,
+            cap_per_wallet: current.cap_per_wallet,
+            global_cap: current.global_cap,
+            starts_at: null,
+            ends_at: null,
+            reward_mint: current.reward_mint,
+            accrual_mode: current.accrual_mode,
+            cliff_days: current.cliff_days,
+            early_exit_mode: current.early_exit_mode,
+            early_penalty_pct: current.early_penalty_pct,
+            cooldown_days: current.cooldown_days,
+            ...retired,
+          })
+        : supabase
+            .from("hub_stake_programs")
+            .update(retired)
+            .eq("id", id)
+            .eq("status", "active");
+
+      const { data, error } = await query.select().maybeSingle();
+      if (error) {
+        err("[admin/staking/programs] retire error:", error.message);
+        return res.status(500).json({ error: "Failed to retire program" });
+      }
+      if (!data) {
+        return res.status(409).json({ error: "program_already_retired" });
+      }
+
+      await getStakePrograms({ nocache: true });
+      log("[admin/staking/programs] retired", id, "by", req.sessionWallet);
+      // Existing stakes keep running on their snapshotted rate
+      return res.json({ ok: true, program: publicStakeProgram(normStakeProgram(data)) });
+    } catch (e) {
+      err("[admin/staking/programs] retire exception:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+/* ---- /api/staking/stake ---- */
+/*
+POST /api/staking/stake
+  { wallet, amount, duration_days, mode?, program_id? }
+  program_id defaults to "default" (or the first open program)
+  sampling -> { ok, mode, stake }
+  escrow   -> { ok, mode, stake (status "pending"), tx (base64, unsigned),
+                escrow: { owner, ata }, expires_at }
+              sign + send `tx`, then POST /api/staking/stake/confirm
+*/
+app.post("/api/staking/stake", requireSession, async (req, res) => {
+  const sessionWallet = req.sessionWallet;
+  const bodyWallet = String((req.body?.wallet || "")).trim();
+  const w = (bodyWallet || sessionWallet || "").trim();
+
+  const amt = Number(req.body?.amount || 0);
+  const dur = Number(req.body?.duration_days || 0);
+
+  // Make sure session exists and matches body wallet
+  if (!sessionWallet) {
+    return res.status(401).json({ error: "missing_or_invalid_session" });
+  }
+  if (!w || w.toLowerCase() !== sessionWallet.toLowerCase()) {
+    return res.status(403).json({ error: "wallet_session_mismatch" });
+  }
+
+  if (!amt || !dur) {
+    return res
+      .status(400)
+      .json({ error: "wallet, amount, duration_days required" });
+  }
+  if (amt <= 0) {
+    return res.status(400).json({ error: "Amount must be > 0" });
+  }
+  const mode = resolveStakeMode(req.body?.mode);
+  if (!mode) {
+    return res.status(400).json({ error: "stake_mode_not_enabled" });
+  }
+
+  try {
+    // A wallet backing another staker can't stake on its own balance too
+    if (await getLinkOwner(w)) {
+      return res.status(409).json({ error: "wallet_is_linked" });
+    }
+
+    const program = await resolveStakeProgram(req.body?.program_id, { nocache: true });
+    if (!program) {
+      return res.status(404).json({ error: "program_not_found" });
+    }
+    if (!isStakeProgramOpen(program)) {
+      return res.status(400).json({ error: "program_not_open" });
+    }
+    if (!program.rates[dur]) {
+      return res.status(400).json({ error: "Invalid duration" });
+    }
+
+    // Per-wallet cap (pending escrow deposits count until they expire)
+    const { data: activeRows, error: actErr } = await scopeStakeProgram(
+      supabase.from("hub_stakes").select("amount"),
+      program.id
+    )
+      .eq("wallet", w)
+      .in("status", ["active", "pending"]);
+
+    if (actErr) {
+      err("[staking/stake] walletActive error:", actErr.message);
+      return res
+        .status(500)
+        .json({ error: "Failed to check wallet cap" });
+    }
+
+    const currentActive = (activeRows || []).reduce(
+      (sum, r) => sum + Number(r.amount || 0),
+      0
+    );
+    if (program.cap_per_wallet > 0 && currentActive + amt > program.cap_per_wallet) {
+      return res.status(400).json({
+        error: `Per-wallet cap exceeded (${program.cap_per_wallet.toLocaleString()} BLACK)`,
+      });
+    }
+
+    // Optional global cap
+    if (program.global_cap > 0) {
+      const { data: staked, error: gErr } = await supabase.rpc(
+        "hub_stake_program_staked",
+        { p_program: program.id }
+      );
+
+      if (gErr) {
+        err("[staking/stake] globalActive error:", gErr.message);
+        return res
+          .status(500)
+          .json({ error: "Failed to check global cap" });
+      }
+
+      const globalActive = Number(staked) || 0;
+      if (globalActive + amt > program.global_cap) {
+        return res
+          .status(400)
+          .json({ error: "Global staking cap reached." });
+      }
+    }
+
+    const now = new Date();
+    const rewardRate = getRewardRate(dur, program);
+    const maxReward = +(amt * rewardRate).toFixed(6);
+    const endsAt = calcEndsAt(now, dur);
+
+    // Reward pool must be able to cover this stake's full reward
+    if (REWARD_POOL_PUBKEY) {
+      const pool = await checkPoolSolvency(maxReward);
+      if (pool.error) {
+        return res.status(503).json({ error: pool.error });
+      }
+      if (!pool.ok) {
+        return res.status(400).json({
+          error: "reward_pool_insufficient",
+          available_reward: pool.available,
+          required_reward: maxReward,
+        });
+      }
+    }
+
+    if (mode === "escrow") {
+      let deposit;
+      try {
+        deposit = await buildEscrowDepositTx(w, amt);
+      } catch (e) {
+        err("[staking/stake] escrow tx build failed:", e?.message || e);
+        return res.status(500).json({ error: "Failed to build escrow transfer" });
+      }
+
+      const expiresAt = new Date(now.getTime() + STAKE_ESCROW_DEPOSIT_TTL_MS);
+      // started_at / ends_at are reset when the deposit is confirmed
+      const { data: pending, error: pendErr } = await supabase
+        .from("hub_stakes")
+        .insert({
+          wallet: w,
+          amount: amt,
+          duration_days: dur,
+          reward_rate: rewardRate,
+          max_reward: maxReward,
+          status: "pending",
+          mode: "escrow",
+          program_id: program.id,
+          reward_mint: program.reward_mint,
+          accrual_mode: program.accrual_mode,
+          cliff_days: program.cliff_days,
+          early_exit_mode: program.early_exit_mode,
+          early_penalty_pct: program.early_penalty_pct,
+          cooldown_days: program.cooldown_days,
+          started_at: now.toISOString(),
+          ends_at: endsAt.toISOString(),
+          claimed_total: 0,
+          is_void: false,
+          deposit_expires_at: expiresAt.toISOString(),
+        })
+        .select()
+        .maybeSingle();
+
+      if (pendErr) {
+        err("[staking/stake] pending insert error:", pendErr.message);
+        return res.status(500).json({ error: "Failed to create stake" });
+      }
+      if (REWARD_POOL_PUBKEY) {
+        const pool = await verifyPoolReservation(pending);
+        if (pool.error) return res.status(503).json({ error: pool.error });
+        if (!pool.ok) {
+          return res.status(400).json({
+            error: "reward_pool_insufficient",
+            available_reward: pool.available,
+            required_reward: maxReward,
+          });
+        }
+      }
+
+      return res.json({
+        ok: true,
+        mode,
+        stake: pending,
+        tx: deposit.tx,
+        escrow: deposit.escrow,
+        expires_at: expiresAt.toISOString(),
+      });
+    }
+
+    const { data: inserted, error: insErr } = await supabase
+      .from("hub_stakes")
+      .insert({
+        wallet: w,
+        amount: amt,
+        duration_days: dur,
+        reward_rate: rewardRate,
+        max_reward: maxReward,
+        status: "active",
+        mode: "sampling",
+        program_id: program.id,
+        reward_mint: program.reward_mint,
+        accrual_mode: program.accrual_mode,
+        cliff_days: program.cliff_days,
+        early_exit_mode: program.early_exit_mode,
+        early_penalty_pct: program.early_penalty_pct,
+        cooldown_days: program.cooldown_days,
+        started_at: now.toISOString(),
+        ends_at: endsAt.toISOString(),
+        last_claim_at: now.toISOString(),
+        claimed_total: 0,
+
+        // 🔹 NEW: integrity fields for random checks
+        is_void: false,
+        void_reason: null,
+        void_at: null,
+        last_check_at: null,
+        last_check_balance: null,
+        next_check_at: getRandomFutureTime(),
+      })
+      .select()
+      .maybeSingle();
+
+    if (insErr) {
+      err("[staking/stake] insert error:", insErr.message);
+      return res.status(500).json({ error: "Failed to create stake" });
+    }
+    if (REWARD_POOL_PUBKEY) {
+      const pool = await verifyPoolReservation(inserted);
+      if (pool.error) return res.status(503).json({ error: pool.error });
+      if (!pool.ok) {
+        return res.status(400).json({
+          error: "reward_pool_insufficient",
+          available_reward: pool.available,
+          required_reward: maxReward,
+        });
+      }
+    }
+
+    await issueStakeReceipt("stake_created", w, stakeReceiptFields(inserted));
+    return res.json({ ok: true, mode, stake: inserted });
+  } catch (e) {
+    err("[staking/stake] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+/* ---- /api/staking/stake/confirm ---- */
+/*
+POST /api/staking/stake/confirm
+  { stake_id, signature }
+  -> { ok, stake }   once the escrow deposit is verified on-chain
+*/
+app.post("/api/staking/stake/confirm", requireSession, async (req, res) => {
+  const w = req.sessionWallet;
+  const stakeId = req.body?.stake_id;
+  const signature = String(req.body?.signature || "").trim();
+
+  if (!stakeId || !signature) {
+    return res.status(400).json({ error: "stake_id and signature required" });
+  }
 
-          if (updErr) {
-            err(
-              "[staking/integrity] failed to update stake check info",
-              stake.id,
-              updErr.message || updErr
-            );
-          }
-        }
+  try {
+    const { data: row, error } = await supabase
+      .from("hub_stakes")
+      .select("*")
+      .eq("id", stakeId)
+      .eq("wallet", w)
+      .maybeSingle();
+
+    if (error || !row) {
+      return res.status(404).json({ error: "Stake not found" });
+    }
+    if (row.mode !== "escrow") {
+      return res.status(400).json({ error: "not_escrow_stake" });
+    }
+    if (row.status !== "pending" && row.status !== "expired") {
+      // Same signature again → idempotent success
+      if (row.deposit_tx === signature) return res.json({ ok: true, stake: row });
+      return res.status(409).json({ error: "stake_already_confirmed" });
+    }
+
+    // Late confirms of an expired stake are fine: the tokens are in escrow
+    let reason;
+    try {
+      // started_at still holds the pending row's creation time until confirm
+      reason = await verifyEscrowDeposit(signature, w, row.amount, row.started_at);
+    } catch (e) {
+      err("[staking/confirm] verify error:", e?.message || e);
+      return res.status(502).json({ error: "deposit_verification_failed" });
+    }
+    if (reason) {
+      return res.status(400).json({ error: reason });
+    }
+
+    const now = new Date();
+    const { data: updated, error: updErr } = await supabase
+      .from("hub_stakes")
+      .update({
+        status: "active",
+        deposit_tx: signature,
+        tx: signature,
+        started_at: now.toISOString(),
+        ends_at: calcEndsAt(now, Number(row.duration_days)).toISOString(),
+        last_claim_at: now.toISOString(),
+        next_check_at: null,
+      })
+      .eq("id", stakeId)
+      .in("status", ["pending", "expired"])
+      .select()
+      .maybeSingle();
+
+    if (updErr) {
+      // unique(deposit_tx): the transfer already backs another stake
+      if (updErr.code === "23505") {
+        return res.status(409).json({ error: "deposit_already_used" });
       }
+      err("[staking/confirm] update error:", updErr.message);
+      return res.status(500).json({ error: "Failed to activate stake" });
     }
+    if (!updated) {
+      return res.status(409).json({ error: "stake_already_confirmed" });
+    }
+
+    log("[staking/confirm] escrow stake active", stakeId, "wallet=", w, "tx=", signature);
+    await issueStakeReceipt("stake_created", w, stakeReceiptFields(updated));
+    return res.json({ ok: true, stake: updated });
   } catch (e) {
-    err("[staking/integrity] cycle exception:", e);
+    err("[staking/confirm] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
   }
-}
+});
 
-function startStakeIntegrityLoop() {
-  // Run one cycle on startup
-  runStakeIntegrityCheckCycle().catch((e) =>
-    err("[staking/integrity] initial cycle error:", e)
-  );
-  // Then repeat every 60s; actual checks are gated by next_check_at
-  setInterval(() => {
-    runStakeIntegrityCheckCycle().catch((e) =>
-      err("[staking/integrity] interval cycle error:", e)
-    );
-  }, 60 * 1000);
-}
 
-/* ---- /api/staking/state ---- */
+/* ---- /api/staking/claim ---- */
 /*
-GET /api/staking/state?wallet=<pubkey>
-  -> {
-       wallet,
-       black: { balance, available, staked_total, cap_remaining, cap_per_wallet },
-       fart:  { claimable },
-       stakes: [
-         { id, amount, duration_days, start_ts, end_ts, status, reward_est, tx?, is_void, void_reason, ... }
-       ]
-     }
+POST /api/staking/claim
+  { wallet }
+  headers: Idempotency-Key? (retries with the same key return the same claim)
+  -> 200 { ok, claim_id, status: "confirmed", amount_claimed, tx }
+     202 { ok, claim_id, status: "pending" | "submitted", amount_claimed, tx }
+     409 { error: "claim_in_progress" } while another claim for the wallet is open
 */
-app.get("/api/staking/state", async (req, res) => {
-  const wallet = String(req.query.wallet || "").trim();
-  if (!wallet) {
-    return res.status(400).json({ error: "wallet is required" });
+app.post("/api/staking/claim", requireSession, async (req, res) => {
+  const sessionWallet = req.sessionWallet;
+  const bodyWallet = String((req.body?.wallet || "")).trim();
+  const w = (bodyWallet || sessionWallet || "").trim();
+  const idemKey = String(req.get("Idempotency-Key") || "").trim() || null;
+
+  if (!sessionWallet) {
+    return res.status(401).json({ error: "missing_or_invalid_session" });
+  }
+  if (!w || w.toLowerCase() !== sessionWallet.toLowerCase()) {
+    return res.status(403).json({ error: "wallet_session_mismatch" });
+  }
+  if (idemKey && idemKey.length > 200) {
+    return res.status(400).json({ error: "invalid_idempotency_key" });
   }
 
+  const findByKey = async () => {
+    const { data } = await supabase
+      .from("hub_claims")
+      .select("*")
+      .eq("wallet", w)
+      .eq("idempotency_key", idemKey)
+      .maybeSingle();
+    return data || null;
+  };
+
   try {
+    if (idemKey) {
+      const existing = await findByKey();
+      if (existing) {
+        const [code, body] = claimResponse(existing);
+        return res.status(code).json(body);
+      }
+    }
+
+    // 🔒 Take the per-wallet claim lock (unique open claim per wallet)
+    const { data: claim, error: lockErr } = await supabase
+      .from("hub_claims")
+      .insert({ wallet: w, status: "pending", amount: 0, idempotency_key: idemKey })
+      .select()
+      .maybeSingle();
+
+    if (lockErr || !claim) {
+      if (lockErr?.code === "23505") {
+        const same = idemKey ? await findByKey() : null;
+        if (same) {
+          const [code, body] = claimResponse(same);
+          return res.status(code).json(body);
+        }
+        return res.status(409).json({ error: "claim_in_progress" });
+      }
+      err("[staking/claim] lock insert error:", lockErr?.message);
+      return res.status(500).json({ error: "Failed to start claim" });
+    }
+
     const { data: stakeRows, error } = await supabase
       .from("hub_stakes")
       .select("*")
-      .eq("wallet", wallet)
-      .order("started_at", { ascending: false });
+      .eq("wallet", w)
+      .in("status", STAKE_CLAIMABLE_STATUSES);
 
     if (error) {
-      err("[staking/state] select error:", error.message);
+      err("[staking/claim] select error:", error.message);
+      await supabase.from("hub_claims").delete().eq("id", claim.id);
       return res.status(500).json({ error: "Failed to load stakes" });
     }
 
-    let walletStakedTotal = 0;
-    let walletClaimableTotal = 0;
     const now = new Date();
+    // 🟡 Decide which stakes are eligible & how much reward
+    const { allocations, total: totalClaimed } = planClaimAllocations(stakeRows, now);
 
-    const stakes = (stakeRows || []).map((row) => {
-      const { maxReward, unclaimed, matured } = computeStakeAccrual(row, now);
+    if (totalClaimed <= 0) {
+      await supabase.from("hub_claims").delete().eq("id", claim.id);
+      return res.json({ ok: true, amount_claimed: 0 });
+    }
 
-      if (row.status === "active") {
-        walletStakedTotal += Number(row.amount || 0);
+    // ✅ No live BLACK balance check here anymore:
+    //    whatever accrued while the stake passed its integrity checks
+    //    stays claimable, even after selling.
+
+    // 1) Write the claim + reserve the reward on each stake before sending
+    const failEarly = async (reason, status, message, applied) => {
+      await finishClaim({ ...claim, allocations: applied }, "failed", reason);
+      return res.status(status).json({ error: message, claim_id: claim.id });
+    };
+
+    const { error: claimErr } = await supabase
+      .from("hub_claims")
+      .update({ amount: totalClaimed, allocations })
+      .eq("id", claim.id);
+    if (claimErr) {
+      err("[staking/claim] claim write error:", claimErr.message);
+      return failEarly("claim_write_failed", 500, "Failed to record claim", []);
+    }
+
+    const { applied, error: reserveErr } = await reserveClaimAllocations(allocations, now);
+    if (reserveErr) {
+      err("[staking/claim] update stake error:", reserveErr);
+      return failEarly("stake_update_failed", 500, "Failed to record claim", applied);
+    }
+
+    // 2) Sign, record the signature, then broadcast
+    let payout;
+    try {
+      payout = await buildFartPayoutTx(
+        w,
+        totalClaimed,
+        claimPayoutMemo(claim.id, allocations)
+      );
+    } catch (buildErr) {
+      err("[staking/claim] payout build error:", buildErr);
+      return failEarly("build_failed", 500, "Reward transfer failed", applied);
+    }
+
+    const { data: marked, error: subErr } = await supabase
+      .from("hub_claims")
+      .update({
+        status: "submitted",
+        signature: payout.signature,
+        signatures: [payout.signature],
+        last_valid_block_height: payout.lastValidBlockHeight,
+        submitted_at: new Date().toISOString(),
+      })
+      .eq("id", claim.id)
+      .eq("status", "pending")
+      .select("id")
+      .maybeSingle();
+    if (subErr || !marked) {
+      // Never broadcast a payout we couldn't record — or one the
+      // reconciler already failed (and reverted) as stale
+      err("[staking/claim] submit record error:", subErr?.message || "claim no longer pending");
+      return failEarly("submit_record_failed", 500, "Reward transfer failed", applied);
+    }
+
+    const submitted = {
+      ...claim,
+      amount: totalClaimed,
+      allocations,
+      signature: payout.signature,
+      status: "submitted",
+    };
+    // Re-signed attempts replace `signature` only while the claim is still
+    // open on the signature we last recorded
+    let current = payout.signature;
+    const recordResign = async (next, signatures) => {
+      const { data: moved, error: moveErr } = await supabase
+        .from("hub_claims")
+        .update({
+          signature: next.signature,
+          signatures,
+          last_valid_block_height: next.lastValidBlockHeight,
+        })
+        .eq("id", claim.id)
+        .eq("status", "submitted")
+        .eq("signature", current)
+        .select("id")
+        .maybeSingle();
+      if (moveErr || !moved) {
+        throw new Error(moveErr?.message || "claim_no_longer_open");
+      }
+      current = next.signature;
+    };
+
+    ACTIVE_PAYOUTS.add(claim.id);
+    const sending = sendFartPayout(payout, {
+      rebuild: (attempt) =>
+        buildFartPayoutTx(w, totalClaimed, claimPayoutMemo(claim.id, allocations), {
+          attempt,
+        }),
+      onResign: recordResign,
+    })
+      .then(async (result) => {
+        if (result.status === "confirmed" || result.status === "failed") {
+          await finishClaim(submitted, result.status, result.error || null, {
+            signature: result.signature,
+          });
+        } else {
+          warn("[staking/claim] payout unconfirmed, leaving to reconciler:", claim.id, result.error);
+        }
+        return result;
+      })
+      .catch((e) => {
+        err("[staking/claim] payout sender error:", claim.id, e?.message || e);
+        return { status: "unknown", signature: current };
+      })
+      .finally(() => ACTIVE_PAYOUTS.delete(claim.id));
+
+    // Congestion can take minutes; answer 202 and let the sender finish
+    const result = await Promise.race([sending, delay(CLAIM_RESPONSE_WAIT_MS)]);
+    if (result && (result.status === "confirmed" || result.status === "failed")) {
+      submitted.status = result.status;
+    }
+    submitted.signature = result?.signature || current;
+
+    const [code, body] = claimResponse(submitted);
+    return res.status(code).json(body);
+  } catch (e) {
+    err("[staking/claim] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+/* ---- /api/staking/unstake ---- */
+/*
+POST /api/staking/unstake
+  { wallet, stake_id, amount?, preview? }
+  amount  → partial unstake: the withdrawn part is split off into its own
+            row (same started_at / term, parent_stake_id = stake_id) and the
+            rest stays staked. Active stakes only.
+  preview → report the outcome without changing anything
+  -> { ok, status, tx?, stake_id, remaining_stake_id?, outcome }
+     202 { ok, status: "unstaking", tx, stake_id, outcome } when an escrow
+     return is still unconfirmed; it settles in the background
+     outcome = { amount, remaining, partial, matured, exit_mode, penalty_pct,
+                 max_reward, prorated_reward, final_reward, already_claimed,
+                 claimable_after, penalty, forfeited, status_after, release_at }
+  tx = escrow return transfer (escrow stakes only; cooldown exits are
+       returned at release_at)
+*/
+app.post("/api/staking/unstake", requireSession, async (req, res) => {
+  const sessionWallet = req.sessionWallet;
+  const bodyWallet = String((req.body?.wallet || "")).trim();
+  const stakeId = req.body?.stake_id;
+  const w = (bodyWallet || sessionWallet || "").trim();
+  const preview = req.body?.preview === true || req.body?.preview === "true";
+
+  if (!sessionWallet) {
+    return res
+      .status(401)
+      .json({ error: "missing_or_invalid_session" });
+  }
+
+  if (!w || w.toLowerCase() !== sessionWallet.toLowerCase()) {
+    return res
+      .status(403)
+      .json({ error: "wallet_session_mismatch" });
+  }
+
+  if (!stakeId) {
+    return res
+      .status(400)
+      .json({ error: "wallet and stake_id required" });
+  }
+
+  let partialAmount = null;
+  if (req.body?.amount != null && req.body.amount !== "") {
+    partialAmount = Number(req.body.amount);
+    if (!Number.isFinite(partialAmount) || partialAmount <= 0) {
+      return res.status(400).json({ error: "invalid_amount" });
+    }
+  }
+
+  try {
+    const { data: row, error } = await supabase
+      .from("hub_stakes")
+      .select("*")
+      .eq("id", stakeId)
+      .eq("wallet", w)
+      .maybeSingle();
+
+    if (error || !row) {
+      err(
+        "[staking/unstake] select error:",
+        error?.message || error
+      );
+      return res.status(404).json({ error: "Stake not found" });
+    }
+
+    // Escrow stakes that were claimed (settled) still hold their tokens
+    const escrowHeld =
+      row.mode === "escrow" &&
+      !row.return_tx &&
+      (row.status === "active" || row.status === "settled");
+    if (row.status !== "active" && !escrowHeld) {
+      return res.status(400).json({ error: "Stake not active" });
+    }
+
+    const stakeAmount = Number(row.amount || 0);
+    if (partialAmount != null) {
+      if (partialAmount > stakeAmount) {
+        return res.status(400).json({ error: "amount_exceeds_stake" });
+      }
+      if (partialAmount === stakeAmount) {
+        partialAmount = null;
+      } else if (row.status !== "active") {
+        return res.status(400).json({ error: "partial_unstake_requires_active" });
       }
+    }
+
+    const now = new Date();
+    const plan = planUnstake(row, partialAmount, now);
+
+    if (preview) {
+      return res.json({ ok: true, preview: true, stake_id: row.id, outcome: plan });
+    }
+
+    // Hold the wallet's claim lock (see hub_claims) while claimed_total is
+    // read and the row split / frozen, so no claim can reserve on it between
+    const claimLock = await takeClaimLock(w, `unstake:${row.id}:${now.getTime()}`);
+    if (claimLock.busy) {
+      return res.status(409).json({ error: "claim_in_progress", claim_id: claimLock.claimId });
+    }
+    if (claimLock.error) {
+      err("[staking/unstake] claim lock error:", claimLock.error);
+      return res.status(500).json({ error: "Failed to update stake" });
+    }
 
+    try {
+      // A claim may have finished between the read above and the lock
+      const { data: fresh, error: freshErr } = await supabase
+        .from("hub_stakes")
+        .select("status, amount, claimed_total")
+        .eq("id", row.id)
+        .maybeSingle();
+      if (freshErr || !fresh) {
+        err("[staking/unstake] re-read error:", freshErr?.message || "no row");
+        return res.status(500).json({ error: "Failed to update stake" });
+      }
       if (
-        matured &&
-        unclaimed > 0 &&
-        (row.status === "active" || row.status === "settled")
+        fresh.status !== row.status ||
+        Number(fresh.amount) !== Number(row.amount) ||
+        Number(fresh.claimed_total || 0) !== Number(row.claimed_total || 0)
       ) {
-        walletClaimableTotal += unclaimed;
+        return res.status(409).json({ error: "stake_changed" });
       }
 
-      return {
-        id: row.id,
-        wallet: row.wallet,
-        amount: Number(row.amount || 0),
-        duration_days: Number(row.duration_days || 0),
-        reward_rate: Number(
-          row.reward_rate != null
-            ? row.reward_rate
-            : getRewardRate(row.duration_days)
-        ),
-        max_reward: maxReward,
-        start_ts: row.started_at,
-        end_ts: row.ends_at,
-        status: row.status,
-        claimed_total: Number(row.claimed_total || 0),
-        reward_est: maxReward,
-        tx: row.tx || null,
+      // Columns for the exited part (the whole row, or the split-off row)
+      const exitFields = {
+        status: plan.status_after,
+        ends_at: plan.matured
+          ? row.ends_at || now.toISOString()
+          : plan.release_at || now.toISOString(),
+        final_reward: plan.matured ? null : plan.final_reward,
+        release_at: plan.release_at,
+      };
 
-        // NEW: integrity / void fields for the UI
-        is_void: Boolean(row.is_void),
-        void_reason: row.void_reason || null,
-        void_at: row.void_at || null,
-        last_check_at: row.last_check_at || null,
-        last_check_balance:
-          row.last_check_balance != null
-            ? Number(row.last_check_balance)
-            : null,
+      // Partial: the withdrawn part becomes its own row, the original shrinks
+      const rowMax =
+        row.max_reward != null ? Number(row.max_reward) : computeStakeAccrual(row, now).maxReward;
+      const split = plan.partial
+        ? {
+            amount: plan.amount,
+            remaining: plan.remaining,
+            max_reward: plan.max_reward,
+            already_claimed: plan.already_claimed,
+            parent_max_reward: rowMax,
+          }
+        : null;
+      const receipt = {
+        amount: plan.amount,
+        remaining: plan.remaining,
+        status: plan.status_after,
+        matured: plan.matured,
+        exit_mode: plan.exit_mode,
+        final_reward: plan.final_reward,
+        release_at: plan.release_at,
       };
-    });
 
-    // NEW: real on-chain BLACKCOIN balance
-    const realBlackBalance = await getBlackcoinBalanceForWallet(
-      wallet,
-      "confirmed"
-    );
+      const respond = async (childId, tx, { issue = true } = {}) => {
+        if (issue) {
+          await issueStakeReceipt("unstake", w, {
+            ...receipt,
+            stake_id: childId || row.id,
+            parent_stake_id: childId ? row.id : undefined,
+            return_tx: tx || null,
+          });
+        }
+        return res.json({
+          ok: true,
+          status: plan.status_after,
+          ...(tx ? { tx } : {}),
+          stake_id: childId || row.id,
+          ...(childId ? { remaining_stake_id: row.id } : {}),
+          outcome: plan,
+        });
+      };
+
+      if (row.mode === "escrow") {
+        // Lock the row first so a double submit can't return twice
+        const pending = {
+          prev_status: row.status,
+          locked_at: now.toISOString(),
+          amount: plan.amount,
+          exit: exitFields,
+          split,
+          event: "unstake",
+          receipt,
+        };
+        const { data: locked, error: lockErr } = await supabase
+          .from("hub_stakes")
+          .update({ status: "unstaking", return_pending: pending })
+          .eq("id", stakeId)
+          .eq("status", row.status)
+          .is("return_tx", null)
+          .select("id")
+          .maybeSingle();
+        if (lockErr) {
+          err("[staking/unstake] lock error:", lockErr.message);
+          return res.status(500).json({ error: "Failed to update stake" });
+        }
+        if (!locked) {
+          return res.status(409).json({ error: "unstake_in_progress" });
+        }
+        const lockedRow = { ...row, status: "unstaking", return_pending: pending };
+
+        // Cooldown exits stay in escrow until release_at
+        if (plan.status_after === "cooldown") {
+          try {
+            const childId = split
+              ? await splitStakeRow(lockedRow, split, exitFields, "unstaking")
+              : null;
+            if (!split) {
+              const { error: doneErr } = await supabase
+                .from("hub_stakes")
+                .update({ ...exitFields, return_pending: null })
+                .eq("id", stakeId)
+                .eq("status", "unstaking");
+              if (doneErr) throw new Error(doneErr.message);
+            }
+            return respond(childId, null);
+          } catch (updErr) {
+            err("[staking/unstake] cooldown update error:", updErr.message);
+            await revertEscrowReturn(lockedRow, pending);
+            return res.status(500).json({ error: "Failed to update stake" });
+          }
+        }
+
+        const sending = sendEscrowReturn(lockedRow, pending).catch((e) => ({
+          status: "unknown",
+          error: e?.message || String(e),
+        }));
+        const result = await Promise.race([sending, delay(CLAIM_RESPONSE_WAIT_MS)]);
 
-    // Remaining headroom under the 100k cap (informational)
-    const capRemaining = Math.max(
-      0,
-      STAKE_CAP_PER_WALLET - walletStakedTotal
-    );
+        if (result?.status === "failed") {
+          err("[staking/unstake] escrow return failed:", result.error);
+          return res.status(500).json({ error: "Return transfer failed" });
+        }
+        if (result?.status === "confirmed") {
+          if (result.error) {
+            // Tokens are back with the user; the reconciler finishes the row
+            return res.status(500).json({ error: "Failed to update stake", tx: result.signature });
+          }
+          return respond(result.childId, result.signature, { issue: false });
+        }
 
-    return res.json({
-      wallet,
-      BlackCoin: {
-        balance: realBlackBalance,       // on-chain balance
-        available: realBlackBalance,     // what UI should show as "available to stake"
-        staked_total: walletStakedTotal, // sum of active stakes
-        cap_remaining: capRemaining,     // remaining room under the cap
-        cap_per_wallet: STAKE_CAP_PER_WALLET,
-      },
-      Fartcoin: {
-        claimable: walletClaimableTotal,
-      },
-      stakes,
-    });
+        // Still broadcasting (or unclear): the sender / reconciler settles it
+        const { data: cur } = await supabase
+          .from("hub_stakes")
+          .select("return_pending")
+          .eq("id", stakeId)
+          .maybeSingle();
+        return res.status(202).json({
+          ok: true,
+          status: "unstaking",
+          tx: result?.signature || cur?.return_pending?.signature || null,
+          stake_id: row.id,
+          outcome: plan,
+        });
+      }
+
+      if (plan.partial) {
+        try {
+          return respond(await splitStakeRow(row, split, exitFields, "active"), null);
+        } catch (splitErr) {
+          err("[staking/unstake] partial split error:", splitErr.message);
+          return res.status(500).json({ error: "Failed to update stake" });
+        }
+      }
+
+      const { error: updErr } = await supabase
+        .from("hub_stakes")
+        .update(exitFields)
+        .eq("id", stakeId)
+        .eq("wallet", w);
+
+      if (updErr) {
+        err("[staking/unstake] update error:", updErr.message);
+        return res
+          .status(500)
+          .json({ error: "Failed to update stake" });
+      }
+
+      return respond(null, null);
+    } finally {
+      await releaseClaimLock(claimLock.lock);
+    }
   } catch (e) {
-    err("[staking/state] exception:", e);
+    err("[staking/unstake] exception:", e);
     return res.status(500).json({ error: "Internal error" });
   }
 });
 
-
-/* ---- /api/staking/stake ---- */
+/* ---- /api/staking/links (linked wallets) ---- */
 /*
-POST /api/staking/stake
-  { wallet, amount, duration_days }
+GET    /api/staking/links                      -> { links: [{ linked_wallet, created_at }] }
+POST   /api/staking/links/challenge { linked_wallet }
+                                               -> { nonce, message, expiresAt }
+POST   /api/staking/links { linked_wallet, signature }
+  signature = byte array of `message` signed by linked_wallet
+                                               -> { ok, link }
+  409 wallet_is_linked        the session wallet already backs a staker
+      linked_wallet_is_staker linked_wallet has held stakes or links itself
+      wallet_already_linked   linked_wallet already backs another staker
+DELETE /api/staking/links/:linked_wallet       -> { ok }
 */
-app.post("/api/staking/stake", requireSession, async (req, res) => {
-  const sessionWallet = req.sessionWallet;
-  const bodyWallet = String((req.body?.wallet || "")).trim();
-  const w = (bodyWallet || sessionWallet || "").trim();
-
-  const amt = Number(req.body?.amount || 0);
-  const dur = Number(req.body?.duration_days || 0);
-
-  // Make sure session exists and matches body wallet
-  if (!sessionWallet) {
-    return res.status(401).json({ error: "missing_or_invalid_session" });
-  }
-  if (!w || w.toLowerCase() !== sessionWallet.toLowerCase()) {
-    return res.status(403).json({ error: "wallet_session_mismatch" });
+function readLinkedWallet(raw, sessionWallet) {
+  const linked = String(raw || "").trim();
+  try {
+    new web3.PublicKey(linked);
+  } catch {
+    return { error: "invalid_linked_wallet" };
   }
+  if (linked === sessionWallet) return { error: "cannot_link_self" };
+  return { linked };
+}
 
-  if (!amt || !dur) {
-    return res
-      .status(400)
-      .json({ error: "wallet, amount, duration_days required" });
+app.get("/api/staking/links", requireSession, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("hub_stake_wallet_links")
+      .select("linked_wallet, created_at")
+      .eq("wallet", req.sessionWallet)
+      .is("revoked_at", null)
+      .order("created_at", { ascending: true });
+    if (error) {
+      err("[staking/links] select error:", error.message);
+      return res.status(500).json({ error: "Failed to load links" });
+    }
+    return res.json({ links: data || [] });
+  } catch (e) {
+    err("[staking/links] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
   }
-  if (!STAKE_REWARD_RATES[dur]) {
-    return res.status(400).json({ error: "Invalid duration" });
+});
+
+app.post("/api/staking/links/challenge", requireSession, async (req, res) => {
+  const { linked, error: badWallet } = readLinkedWallet(
+    req.body?.linked_wallet,
+    req.sessionWallet
+  );
+  if (badWallet) return res.status(400).json({ error: badWallet });
+
+  try {
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const expiresAt = Date.now() + NONCE_TTL_MS;
+    await sessionStore.putNonce(
+      walletLinkNonceKey(req.sessionWallet, linked),
+      nonce,
+      expiresAt
+    );
+    return res.json({
+      nonce,
+      message: buildWalletLinkMessage(req.sessionWallet, linked, nonce),
+      expiresAt,
+    });
+  } catch (e) {
+    err("[staking/links] challenge exception:", e);
+    return res.status(500).json({ error: "Internal error" });
   }
-  if (amt <= 0) {
-    return res.status(400).json({ error: "Amount must be > 0" });
+});
+
+app.post("/api/staking/links", requireSession, async (req, res) => {
+  const { linked, error: badWallet } = readLinkedWallet(
+    req.body?.linked_wallet,
+    req.sessionWallet
+  );
+  if (badWallet) return res.status(400).json({ error: badWallet });
+  const signature = req.body?.signature;
+  if (!Array.isArray(signature)) {
+    return res.status(400).json({ error: "signature_required" });
   }
 
   try {
-    // Per-wallet cap
-    const { data: activeRows, error: actErr } = await supabase
-      .from("hub_stakes")
-      .select("amount")
-      .eq("wallet", w)
-      .eq("status", "active");
-
-    if (actErr) {
-      err("[staking/stake] walletActive error:", actErr.message);
-      return res
-        .status(500)
-        .json({ error: "Failed to check wallet cap" });
+    const nonce = await sessionStore.takeNonce(
+      walletLinkNonceKey(req.sessionWallet, linked)
+    );
+    if (!nonce) {
+      return res.status(400).json({ error: "nonce_missing_or_expired" });
     }
 
-    const currentActive = (activeRows || []).reduce(
-      (sum, r) => sum + Number(r.amount || 0),
-      0
+    const message = buildWalletLinkMessage(req.sessionWallet, linked, nonce);
+    const ok = nacl.sign.detached.verify(
+      new TextEncoder().encode(message),
+      Uint8Array.from(signature),
+      bs58.decode(linked)
     );
-    if (currentActive + amt > STAKE_CAP_PER_WALLET) {
-      return res.status(400).json({
-        error: `Per-wallet cap exceeded (${STAKE_CAP_PER_WALLET.toLocaleString()} BLACK)`,
-      });
+    if (!ok) {
+      return res.status(401).json({ error: "invalid_signature" });
     }
 
-    // Optional global cap
-    if (STAKE_GLOBAL_CAP > 0) {
-      const { data: allActive, error: gErr } = await supabase
-        .from("hub_stakes")
-        .select("amount")
-        .eq("status", "active");
-
-      if (gErr) {
-        err("[staking/stake] globalActive error:", gErr.message);
-        return res
-          .status(500)
-          .json({ error: "Failed to check global cap" });
-      }
-
-      const globalActive = (allActive || []).reduce(
-        (sum, r) => sum + Number(r.amount || 0),
-        0
-      );
-      if (globalActive + amt > STAKE_GLOBAL_CAP) {
-        return res
-          .status(400)
-          .json({ error: "Global staking cap reached." });
-      }
+    const conflict = await walletLinkConflict(req.sessionWallet, linked);
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
     }
 
-    const now = new Date();
-    const rewardRate = getRewardRate(dur);
-    const maxReward = +(amt * rewardRate).toFixed(6);
-    const endsAt = calcEndsAt(now, dur);
-
-    const { data: inserted, error: insErr } = await supabase
-      .from("hub_stakes")
+    const { data, error } = await supabase
+      .from("hub_stake_wallet_links")
       .insert({
-        wallet: w,
-        amount: amt,
-        duration_days: dur,
-        reward_rate: rewardRate,
-        max_reward: maxReward,
-        status: "active",
-        started_at: now.toISOString(),
-        ends_at: endsAt.toISOString(),
-        last_claim_at: now.toISOString(),
-        claimed_total: 0,
-
-        // 🔹 NEW: integrity fields for random checks
-        is_void: false,
-        void_reason: null,
-        void_at: null,
-        last_check_at: null,
-        last_check_balance: null,
-        next_check_at: getRandomFutureTime(),
+        wallet: req.sessionWallet,
+        linked_wallet: linked,
+        signature: bs58.encode(Uint8Array.from(signature)),
+        created_at: new Date().toISOString(),
       })
-      .select()
+      .select("linked_wallet, created_at")
       .maybeSingle();
-
-    if (insErr) {
-      err("[staking/stake] insert error:", insErr.message);
-      return res.status(500).json({ error: "Failed to create stake" });
+    if (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({ error: "wallet_already_linked" });
+      }
+      err("[staking/links] insert error:", error.message);
+      return res.status(500).json({ error: "Failed to link wallet" });
     }
 
-    return res.json({ ok: true, stake: inserted });
+    log("[staking/links] linked", linked, "to", req.sessionWallet);
+    return res.json({ ok: true, link: data });
   } catch (e) {
-    err("[staking/stake] exception:", e);
+    err("[staking/links] exception:", e);
     return res.status(500).json({ error: "Internal error" });
   }
 });
 
+app.delete("/api/staking/links/:linked", requireSession, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from("hub_stake_wallet_links")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("wallet", req.sessionWallet)
+      .eq("linked_wallet", String(req.params.linked || "").trim())
+      .is("revoked_at", null)
+      .select("linked_wallet");
+    if (error) {
+      err("[staking/links] revoke error:", error.message);
+      return res.status(500).json({ error: "Failed to unlink wallet" });
+    }
+    if (!data || !data.length) {
+      return res.status(404).json({ error: "link_not_found" });
+    }
+    return res.json({ ok: true });
+  } catch (e) {
+    err("[staking/links] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
 
-/* ---- /api/staking/claim ---- */
+/* ---- /api/staking/stakes/:id/appeal ---- */
 /*
-POST /api/staking/claim
-  { wallet }
+POST /api/staking/stakes/:id/appeal { note }
+  Ask for a voided stake to be reviewed -> { ok, stake }
 */
-app.post("/api/staking/claim", requireSession, async (req, res) => {
-  const sessionWallet = req.sessionWallet;
-  const bodyWallet = String((req.body?.wallet || "")).trim();
-  const w = (bodyWallet || sessionWallet || "").trim();
-
-  if (!sessionWallet) {
-    return res.status(401).json({ error: "missing_or_invalid_session" });
-  }
-  if (!w || w.toLowerCase() !== sessionWallet.toLowerCase()) {
-    return res.status(403).json({ error: "wallet_session_mismatch" });
+app.post("/api/staking/stakes/:id/appeal", requireSession, async (req, res) => {
+  const note = String(req.body?.note || "").trim().slice(0, 500);
+  if (!note) {
+    return res.status(400).json({ error: "note required" });
   }
 
   try {
-    const { data: stakeRows, error } = await supabase
+    const { data, error } = await supabase
       .from("hub_stakes")
-      .select("*")
-      .eq("wallet", w)
-      .in("status", ["active", "settled"]);
-
+      .update({ appeal_note: note, appeal_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .eq("wallet", req.sessionWallet)
+      .eq("is_void", true)
+      .select("id, is_void, void_reason, void_at, appeal_note, appeal_at")
+      .maybeSingle();
     if (error) {
-      err("[staking/claim] select error:", error.message);
-      return res.status(500).json({ error: "Failed to load stakes" });
+      err("[staking/appeal] update error:", error.message);
+      return res.status(500).json({ error: "Failed to record appeal" });
+    }
+    if (!data) {
+      return res.status(404).json({ error: "Voided stake not found" });
+    }
+    log("[staking/appeal] stake", data.id, "appealed by", req.sessionWallet);
+    return res.json({ ok: true, stake: data });
+  } catch (e) {
+    err("[staking/appeal] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+/* ---- Admin: manual stake void (treasurer / dev) ---- */
+/*
+POST /api/admin/staking/stakes/:id/void
+  { reason }
+*/
+app.post(
+  "/api/admin/staking/stakes/:id/void",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (req, res) => {
+    const stakeId = req.params.id;
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      return res.status(400).json({ error: "reason required" });
     }
 
-    const now = new Date();
-    let totalClaimed = 0;
-    const updates = [];
-    const claimRows = [];
-
-    // 🟡 First pass: decide which stakes are eligible & how much reward
-    for (const row of stakeRows || []) {
-      // Skip void stakes entirely – they can never claim
-      if (row.is_void) continue;
-
-      const { maxReward, unclaimed, matured } = computeStakeAccrual(
-        row,
-        now
+    try {
+      const { data, error } = await supabase
+        .from("hub_stakes")
+        .update({
+          is_void: true,
+          void_reason: `admin:${reason}`,
+          void_at: new Date().toISOString(),
+        })
+        .eq("id", stakeId)
+        .eq("is_void", false)
+        .select("id, wallet, amount, status, is_void, void_reason, void_at")
+        .maybeSingle();
+
+      if (error) {
+        err("[admin/staking] void error:", error.message);
+        return res.status(500).json({ error: "Failed to void stake" });
+      }
+      if (!data) {
+        return res
+          .status(404)
+          .json({ error: "Stake not found or already void" });
+      }
+
+      await recordStakeChecks([
+        {
+          stake_id: data.id,
+          wallet: data.wallet,
+          checked_at: data.void_at,
+          result: "admin_void",
+          required: Number(data.amount || 0),
+          note: reason,
+          actor: req.sessionWallet,
+        },
+      ]);
+      await issueStakeReceipt("stake_voided", data.wallet, {
+        stake_id: data.id,
+        amount: Number(data.amount || 0),
+        reason: data.void_reason,
+        actor: req.sessionWallet,
+      });
+      await auditAdminAction("stake_void", {
+        wallet: data.wallet,
+        subject: `hub_stakes:${data.id}`,
+        actor: req.sessionWallet,
+        reason,
+      });
+      log(
+        "[admin/staking] stake voided",
+        stakeId,
+        "by",
+        req.sessionWallet,
+        "reason=",
+        reason
       );
-      if (!matured || unclaimed <= 0) continue;
+      return res.json({ ok: true, stake: data });
+    } catch (e) {
+      err("[admin/staking] void exception:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+/* ---- Admin: void review (treasurer / dev) ---- */
+/*
+GET  /api/admin/staking/voided?page=1&limit=50&appealed=1
+  -> { stakes, page, limit, total, hasMore }
+GET  /api/admin/staking/stakes/:id/checks?limit=100
+  -> { stake, checks }   newest first
+POST /api/admin/staking/stakes/:id/unvoid { reason }
+  -> { ok, stake }       streak reset, re-checked on the next cycle
+*/
+app.get(
+  "/api/admin/staking/voided",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (req, res) => {
+    const page = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+    const from = (page - 1) * limit;
 
-      totalClaimed += unclaimed;
+    try {
+      let query = supabase
+        .from("hub_stakes")
+        .select(
+          "id, wallet, amount, status, program_id, mode, void_reason, void_at, check_failures, first_fail_at, last_check_balance, appeal_note, appeal_at",
+          { count: "exact" }
+        )
+        .eq("is_void", true);
+      if (req.query.appealed === "1" || req.query.appealed === "true") {
+        query = query.not("appeal_at", "is", null);
+      }
+      const { data, error, count } = await query
+        .order("void_at", { ascending: false })
+        .range(from, from + limit - 1);
 
-      const newClaimedTotal = +(
-        Number(row.claimed_total || 0) + unclaimed
-      ).toFixed(6);
+      if (error) {
+        err("[admin/staking] voided select error:", error.message);
+        return res.status(500).json({ error: "Failed to load stakes" });
+      }
+      return res.json({
+        stakes: data || [],
+        page,
+        limit,
+        total: count ?? null,
+        hasMore: count != null ? from + limit < count : (data || []).length === limit,
+      });
+    } catch (e) {
+      err("[admin/staking] voided exception:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
 
-      const update = {
-        id: row.id,
-        claimed_total: newClaimedTotal,
-        last_claim_at: now.toISOString(),
-      };
+app.get(
+  "/api/admin/staking/stakes/:id/checks",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (req, res) => {
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+
+    try {
+      const [{ data: stake, error: stakeErr }, { data: checks, error: checksErr }] =
+        await Promise.all([
+          supabase.from("hub_stakes").select("*").eq("id", req.params.id).maybeSingle(),
+          supabase
+            .from("hub_stake_checks")
+            .select("*")
+            .eq("stake_id", req.params.id)
+            .order("checked_at", { ascending: false })
+            .limit(limit),
+        ]);
+
+      if (stakeErr || checksErr) {
+        err("[admin/staking] checks select error:", (stakeErr || checksErr).message);
+        return res.status(500).json({ error: "Failed to load checks" });
+      }
+      if (!stake) {
+        return res.status(404).json({ error: "Stake not found" });
+      }
+      return res.json({ stake, checks: checks || [] });
+    } catch (e) {
+      err("[admin/staking] checks exception:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
+  }
+);
+
+app.post(
+  "/api/admin/staking/stakes/:id/unvoid",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (req, res) => {
+    const stakeId = req.params.id;
+    const reason = String(req.body?.reason || "").trim();
+    if (!reason) {
+      return res.status(400).json({ error: "reason required" });
+    }
+
+    try {
+      const nowIso = new Date().toISOString();
+      const { data, error } = await supabase
+        .from("hub_stakes")
+        .update({
+          is_void: false,
+          check_failures: 0,
+          first_fail_at: null,
+          next_check_at: nowIso,
+          unvoid_reason: reason,
+          unvoided_by: req.sessionWallet,
+          unvoided_at: nowIso,
+        })
+        .eq("id", stakeId)
+        .eq("is_void", true)
+        .select(
+          "id, wallet, amount, status, is_void, void_reason, void_at, unvoid_reason, unvoided_by, unvoided_at"
+        )
+        .maybeSingle();
 
-      if (newClaimedTotal >= maxReward && row.status === "active") {
-        update.status = "settled";
-        update.ends_at = row.ends_at || now.toISOString();
+      if (error) {
+        err("[admin/staking] unvoid error:", error.message);
+        return res.status(500).json({ error: "Failed to unvoid stake" });
+      }
+      if (!data) {
+        return res
+          .status(404)
+          .json({ error: "Stake not found or not void" });
       }
 
-      updates.push(update);
-      claimRows.push({
-        wallet: w,
-        stake_id: row.id,
-        amount: unclaimed,
-        claimed_at: now.toISOString(),
-        tx: null,
+      await recordStakeChecks([
+        {
+          stake_id: data.id,
+          wallet: data.wallet,
+          checked_at: nowIso,
+          result: "admin_unvoid",
+          required: Number(data.amount || 0),
+          consecutive_failures: 0,
+          note: reason,
+          actor: req.sessionWallet,
+        },
+      ]);
+      await issueStakeReceipt("stake_unvoided", data.wallet, {
+        stake_id: data.id,
+        amount: Number(data.amount || 0),
+        reason,
+        actor: req.sessionWallet,
       });
+      await auditAdminAction("stake_unvoid", {
+        wallet: data.wallet,
+        subject: `hub_stakes:${data.id}`,
+        actor: req.sessionWallet,
+        reason,
+      });
+      log(
+        "[admin/staking] stake unvoided",
+        stakeId,
+        "by",
+        req.sessionWallet,
+        "reason=",
+        reason
+      );
+      return res.json({ ok: true, stake: data });
+    } catch (e) {
+      err("[admin/staking] unvoid exception:", e);
+      return res.status(500).json({ error: "Internal error" });
     }
+  }
+);
 
-    if (totalClaimed <= 0) {
-      return res.json({ ok: true, amount_claimed: 0 });
+/* ---- Admin: batch reward payouts (treasurer / dev) ---- */
+/*
+POST /api/admin/staking/payouts/batch
+  { program_id?, min_amount?, dry_run? }
+  -> dry_run: { ok, dry_run, recipients, total_amount, queue }
+  -> 202 { ok, batch }   the run continues in the background
+GET  /api/admin/staking/payouts/batches?limit=20  -> { batches, running }
+GET  /api/admin/staking/payouts/batch/:id
+  -> { batch, claims: [{ id, wallet, amount, status, signature, error }] }
+*/
+app.post(
+  "/api/admin/staking/payouts/batch",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (req, res) => {
+    const programId = req.body?.program_id ? String(req.body.program_id).trim() : null;
+    const minAmount = Number(req.body?.min_amount || 0);
+    const dryRun = req.body?.dry_run === true || req.body?.dry_run === "true";
+    if (!(minAmount >= 0)) {
+      return res.status(400).json({ error: "invalid_min_amount" });
+    }
+    if (!REWARD_POOL_PUBKEY || !REWARD_POOL_SECRET) {
+      return res.status(503).json({ error: "pool_not_configured" });
     }
 
-    // ✅ No live BLACK balance check here anymore:
-    //    if a stake survived pre-maturity integrity checks and matured,
-    //    the user can claim even after selling.
-
-    // Send FART from pool → user
-    let txSig;
+    let claimedSlot = false;
     try {
-      txSig = await sendFartFromPool(w, totalClaimed);
-    } catch (sendErr) {
-      err("[staking/claim] sendFartFromPool error:", sendErr);
-      return res
-        .status(500)
-        .json({ error: "Reward transfer failed" });
-    }
+      if (programId && !(await getStakePrograms()).has(programId)) {
+        return res.status(404).json({ error: "program_not_found" });
+      }
 
-    const claimRowsWithTx = claimRows.map((c) => ({
-      ...c,
-      tx: txSig,
-    }));
+      const queue = (await collectBatchPayoutQueue({ programId, minAmount })).slice(
+        0,
+        PAYOUT_BATCH_MAX_RECIPIENTS
+      );
+      const total = +queue.reduce((sum, r) => sum + r.amount, 0).toFixed(6);
+
+      if (dryRun) {
+        return res.json({
+          ok: true,
+          dry_run: true,
+          recipients: queue.length,
+          total_amount: total,
+          queue,
+        });
+      }
+      if (!queue.length) {
+        return res.status(400).json({ error: "nothing_to_pay" });
+      }
 
-    // Apply updates
-    for (const u of updates) {
-      const { error: updErr } = await supabase
-        .from("hub_stakes")
-        .update({
-          claimed_total: u.claimed_total,
-          last_claim_at: u.last_claim_at,
-          ...(u.status ? { status: u.status, ends_at: u.ends_at } : {}),
-        })
-        .eq("id", u.id);
-      if (updErr) {
-        err(
-          "[staking/claim] update stake error:",
-          updErr.message || updErr
-        );
+      // One batch per process at a time (check + set without an await
+      // between); the DB lock below covers other instances
+      if (PAYOUT_BATCH_RUNNING) {
+        return res.status(409).json({ error: "batch_running", batch_id: PAYOUT_BATCH_RUNNING });
       }
+      PAYOUT_BATCH_RUNNING = "starting";
+      claimedSlot = true;
+
+      const balance = await readPoolFartBalance();
+      if (balance < total) {
+        return res.status(409).json({ error: "pool_insufficient", balance, total_amount: total });
+      }
+
+      // The one-running index is the lock across instances; a holder that
+      // stopped heartbeating died with its process
+      const insertBatch = () =>
+        supabase
+          .from("hub_payout_batches")
+          .insert({
+            status: "running",
+            program_id: programId,
+            min_amount: minAmount,
+            recipients: queue.length,
+            total_amount: total,
+            paid_count: 0,
+            paid_amount: 0,
+            failed_count: 0,
+            unknown_count: 0,
+            skipped_count: 0,
+            txs: [],
+            created_by: req.sessionWallet,
+            heartbeat_at: new Date().toISOString(),
+          })
+          .select()
+          .maybeSingle();
+      let { data: batch, error } = await insertBatch();
+      if (error?.code === "23505" && (await interruptStalePayoutBatch())) {
+        ({ data: batch, error } = await insertBatch());
+      }
+      if (error?.code === "23505") {
+        const { data: other } = await supabase
+          .from("hub_payout_batches")
+          .select("id")
+          .eq("status", "running")
+          .maybeSingle();
+        return res.status(409).json({ error: "batch_running", batch_id: other?.id || null });
+      }
+      if (error || !batch) {
+        err("[admin/staking/batch] insert error:", error?.message);
+        return res.status(500).json({ error: "Failed to start batch" });
+      }
+
+      PAYOUT_BATCH_RUNNING = batch.id;
+      claimedSlot = false; // runPayoutBatch releases it
+      runPayoutBatch(batch, queue);
+      log("[admin/staking/batch] started", batch.id, "recipients=", queue.length, "by", req.sessionWallet);
+      return res.status(202).json({ ok: true, batch });
+    } catch (e) {
+      err("[admin/staking/batch] exception:", e);
+      return res.status(500).json({ error: "Internal error" });
+    } finally {
+      if (claimedSlot) PAYOUT_BATCH_RUNNING = null;
     }
+  }
+);
 
-    const { error: insErr } = await supabase
-      .from("hub_stake_claims")
-      .insert(claimRowsWithTx);
-    if (insErr) {
-      err("[staking/claim] insert history error:", insErr.message);
+app.get(
+  "/api/admin/staking/payouts/batches",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (req, res) => {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+    try {
+      const { data, error } = await supabase
+        .from("hub_payout_batches")
+        .select("*")
+        .order("created_at", { ascending: false })
+        .limit(limit);
+      if (error) {
+        err("[admin/staking/batch] list error:", error.message);
+        return res.status(500).json({ error: "Failed to load batches" });
+      }
+      return res.json({ batches: data || [], running: PAYOUT_BATCH_RUNNING });
+    } catch (e) {
+      err("[admin/staking/batch] exception:", e);
+      return res.status(500).json({ error: "Internal error" });
     }
+  }
+);
 
-    return res.json({
-      ok: true,
-      amount_claimed: totalClaimed,
-      tx: txSig,
-    });
-  } catch (e) {
-    err("[staking/claim] exception:", e);
-    return res.status(500).json({ error: "Internal error" });
+app.get(
+  "/api/admin/staking/payouts/batch/:id",
+  requireRole(...ROLE_GATES.stakingAdmin),
+  async (req, res) => {
+    try {
+      const [{ data: batch, error: batchErr }, { data: claims, error: claimsErr }] =
+        await Promise.all([
+          supabase.from("hub_payout_batches").select("*").eq("id", req.params.id).maybeSingle(),
+          supabase
+            .from("hub_claims")
+            .select("id, wallet, amount, status, signature, error, created_at, resolved_at")
+            .eq("batch_id", req.params.id)
+            .order("created_at", { ascending: true }),
+        ]);
+      if (batchErr || claimsErr) {
+        err("[admin/staking/batch] select error:", (batchErr || claimsErr).message);
+        return res.status(500).json({ error: "Failed to load batch" });
+      }
+      if (!batch) {
+        return res.status(404).json({ error: "batch_not_found" });
+      }
+      return res.json({ batch, claims: claims || [] });
+    } catch (e) {
+      err("[admin/staking/batch] exception:", e);
+      return res.status(500).json({ error: "Internal error" });
+    }
   }
-});
+);
 
-/* ---- /api/staking/unstake ---- */
+/* ---- /api/staking/pool ---- */
 /*
-POST /api/staking/unstake
-  { wallet, stake_id }
+GET /api/staking/pool
+  -> { wallet, mint, balance, liabilities, free, coverage_ratio,
+       avg_daily_payout, runway_days, updated_at, stale }
+  coverage_ratio = balance / liabilities (null when nothing is owed)
+  runway_days    = balance / avg daily confirmed payouts over the last 30d
+  Served from the pool sync loop's last state; the runway is cached for
+  POOL_SUMMARY_TTL_MS, so a request never triggers a sync or a claim scan.
 */
-app.post("/api/staking/unstake", requireSession, async (req, res) => {
-  const sessionWallet = req.sessionWallet;
-  const bodyWallet = String((req.body?.wallet || "")).trim();
-  const stakeId = req.body?.stake_id;
-  const w = (bodyWallet || sessionWallet || "").trim();
-
-  if (!sessionWallet) {
-    return res
-      .status(401)
-      .json({ error: "missing_or_invalid_session" });
+const POOL_SUMMARY_TTL_MS = 60 * 1000;
+const POOL_SUMMARY_CACHE = { ts: 0, payload: null, inflight: null };
+
+async function computePoolSummary() {
+  if (!POOL_STATE.updatedAt) await syncRewardPool();
+  if (POOL_STATE.balance == null) return null;
+
+  const since = new Date(
+    Date.now() - POOL_RUNWAY_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+  let paid = 0;
+  for (let offset = 0; ; offset += CHART_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("hub_stake_claims")
+      .select("amount")
+      .gte("claimed_at", since)
+      .order("claimed_at", { ascending: true })
+      .range(offset, offset + CHART_PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const r of data || []) paid += Number(r.amount || 0);
+    if (!data || data.length < CHART_PAGE_SIZE) break;
   }
+  const avgDaily = paid / POOL_RUNWAY_WINDOW_DAYS;
 
-  if (!w || w.toLowerCase() !== sessionWallet.toLowerCase()) {
-    return res
-      .status(403)
-      .json({ error: "wallet_session_mismatch" });
+  const { balance, liabilities } = POOL_STATE;
+  return {
+    wallet: REWARD_POOL_PUBKEY,
+    mint: FART_MINT_STR,
+    balance,
+    liabilities,
+    free: +(balance - liabilities).toFixed(6),
+    coverage_ratio: liabilities > 0 ? +(balance / liabilities).toFixed(4) : null,
+    avg_daily_payout: +avgDaily.toFixed(6),
+    runway_days: avgDaily > 0 ? +(balance / avgDaily).toFixed(1) : null,
+    updated_at: POOL_STATE.updatedAt,
+    stale: Boolean(POOL_STATE.error),
+  };
+}
+
+async function getPoolSummary() {
+  if (
+    POOL_SUMMARY_CACHE.payload &&
+    Date.now() - POOL_SUMMARY_CACHE.ts < POOL_SUMMARY_TTL_MS
+  ) {
+    return POOL_SUMMARY_CACHE.payload;
+  }
+  if (!POOL_SUMMARY_CACHE.inflight) {
+    POOL_SUMMARY_CACHE.inflight = computePoolSummary()
+      .then((payload) => {
+        if (payload) {
+          POOL_SUMMARY_CACHE.ts = Date.now();
+          POOL_SUMMARY_CACHE.payload = payload;
+        }
+        return payload;
+      })
+      .finally(() => {
+        POOL_SUMMARY_CACHE.inflight = null;
+      });
   }
+  return POOL_SUMMARY_CACHE.inflight;
+}
 
-  if (!stakeId) {
-    return res
-      .status(400)
-      .json({ error: "wallet and stake_id required" });
+app.get("/api/staking/pool", async (_req, res) => {
+  if (!REWARD_POOL_PUBKEY) {
+    return res.status(503).json({ error: "pool_not_configured" });
   }
 
   try {
-    const { data: row, error } = await supabase
+    const summary = await getPoolSummary();
+    if (!summary) {
+      return res.status(503).json({ error: "pool_unavailable" });
+    }
+    return res.json(summary);
+  } catch (e) {
+    err("[staking/pool] exception:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+/* ---- Staking stats (dashboard) ----
+ * One snapshot, cached for STAKING_STATS_TTL_MS and pushed to the
+ * "staking:stats" WS topic whenever anyone is subscribed.
+ */
+const STAKING_STATS_TTL_MS = 60 * 1000;
+const STAKING_STATS_CALENDAR_DAYS = 90;
+const STAKING_STATS_CACHE = { ts: 0, payload: null, inflight: null };
+
+async function computeStakingStats() {
+  const now = new Date();
+  const dayMs = 24 * 60 * 60 * 1000;
+  const todayMs = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  const calendar = Array.from({ length: STAKING_STATS_CALENDAR_DAYS }, (_, i) => ({
+    date: new Date(todayMs + i * dayMs).toISOString().slice(0, 10),
+    black: 0,
+    fart: 0,
+    stakes: 0,
+  }));
+  const dayIndex = (ts) => Math.floor((ts - todayMs) / dayMs);
+
+  let total = 0;
+  let voided = 0;
+  let activeCount = 0;
+  let lockedBlack = 0;
+  let escrowBlack = 0;
+  let cooldownBlack = 0;
+  const allWallets = new Set();
+  const activeWallets = new Set();
+  const tiers = new Map(); // days -> { stakes, black }
+
+  for (let offset = 0; ; offset += CHART_PAGE_SIZE) {
+    const { data, error } = await supabase
       .from("hub_stakes")
-      .select("*")
-      .eq("id", stakeId)
-      .eq("wallet", w)
-      .maybeSingle();
+      .select(
+        "id, wallet, amount, duration_days, status, is_void, mode, started_at, ends_at, release_at, reward_rate, claimed_total, accrual_mode, cliff_days, final_reward"
+      )
+      .not("status", "in", "(pending,expired)")
+      .order("id", { ascending: true })
+      .range(offset, offset + CHART_PAGE_SIZE - 1);
+    if (error) throw new Error(`stakes select failed: ${error.message}`);
 
-    if (error || !row) {
-      err(
-        "[staking/unstake] select error:",
-        error?.message || error
-      );
-      return res.status(404).json({ error: "Stake not found" });
+    for (const row of data || []) {
+      total += 1;
+      allWallets.add(row.wallet);
+      if (row.is_void) {
+        voided += 1;
+        continue;
+      }
+      const amount = Number(row.amount || 0);
+
+      if (row.status === "cooldown") {
+        cooldownBlack += amount;
+        const i = dayIndex(new Date(row.release_at || row.ends_at).getTime());
+        if (i >= 0 && i < calendar.length) {
+          calendar[i].black += amount;
+          calendar[i].stakes += 1;
+        }
+        continue;
+      }
+      if (row.status !== "active") continue;
+
+      activeCount += 1;
+      lockedBlack += amount;
+      if (row.mode === "escrow") escrowBlack += amount;
+      activeWallets.add(row.wallet);
+
+      const days = Number(row.duration_days || 0);
+      const tier = tiers.get(days) || { stakes: 0, black: 0 };
+      tier.stakes += 1;
+      tier.black += amount;
+      tiers.set(days, tier);
+
+      // BLACK unlocks at maturity; FART by whatever accrues each day
+      const termEnd = calcEndsAt(new Date(row.started_at), days).getTime();
+      const endIdx = dayIndex(termEnd);
+      if (endIdx >= 0 && endIdx < calendar.length) {
+        calendar[endIdx].black += amount;
+        calendar[endIdx].stakes += 1;
+      }
+      let prev = computeStakeAccrual(row, now);
+      if (prev.accrued >= prev.maxReward) continue;
+      for (let i = 0; i < calendar.length; i++) {
+        const at = Math.min(todayMs + (i + 1) * dayMs, termEnd);
+        const next = computeStakeAccrual(row, new Date(at));
+        calendar[i].fart += Math.max(0, next.accrued - prev.accrued);
+        prev = next;
+        if (at >= termEnd) break;
+      }
     }
+    if (!data || data.length < CHART_PAGE_SIZE) break;
+  }
 
-    if (row.status !== "active") {
-      return res.status(400).json({ error: "Stake not active" });
+  let fartClaimed = 0;
+  let claimRows = 0;
+  for (let offset = 0; ; offset += CHART_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("hub_stake_claims")
+      .select("amount")
+      .order("claimed_at", { ascending: true })
+      .range(offset, offset + CHART_PAGE_SIZE - 1);
+    if (error) throw new Error(`claims select failed: ${error.message}`);
+    for (const r of data || []) {
+      fartClaimed += Number(r.amount || 0);
+      claimRows += 1;
     }
+    if (!data || data.length < CHART_PAGE_SIZE) break;
+  }
 
-    const now = new Date();
-    const end = row.ends_at
-      ? new Date(row.ends_at)
-      : calcEndsAt(new Date(row.started_at), row.duration_days);
-    const matured = now.getTime() >= end.getTime();
+  let priceUsd = null;
+  try {
+    priceUsd = await getTokenUsd(TOKEN_MINT);
+  } catch (e) {
+    warn("[staking/stats] BLACK price unavailable:", e?.message || e);
+  }
+  const defaultProgram = await resolveStakeProgram(null);
 
-    const newStatus = matured ? "settled" : "unstaked";
+  return {
+    updated_at: now.toISOString(),
+    tvl: {
+      black: +lockedBlack.toFixed(6),
+      usd: priceUsd ? +(lockedBlack * priceUsd).toFixed(2) : null,
+      price_usd: priceUsd || null,
+      escrow_black: +escrowBlack.toFixed(6),
+      sampling_black: +(lockedBlack - escrowBlack).toFixed(6),
+      cooldown_black: +cooldownBlack.toFixed(6),
+      global_cap: defaultProgram.global_cap || null,
+    },
+    stakers: { active: activeWallets.size, all_time: allWallets.size },
+    stakes: {
+      active: activeCount,
+      total,
+      voided,
+      void_rate: total > 0 ? +(voided / total).toFixed(4) : 0,
+    },
+    tiers: Array.from(tiers.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([days, t]) => ({
+        days,
+        stakes: t.stakes,
+        black: +t.black.toFixed(6),
+        share: lockedBlack > 0 ? +(t.black / lockedBlack).toFixed(4) : 0,
+      })),
+    fart: { claimed_total: +fartClaimed.toFixed(6), claims: claimRows },
+    maturity: calendar.map((d) => ({
+      ...d,
+      black: +d.black.toFixed(6),
+      fart: +d.fart.toFixed(6),
+    })),
+  };
+}
 
-    const { error: updErr } = await supabase
-      .from("hub_stakes")
-      .update({
-        status: newStatus,
-        ends_at: matured
-          ? row.ends_at || now.toISOString()
-          : now.toISOString(),
+// Concurrent callers share one computation
+async function getStakingStats({ nocache = false } = {}) {
+  if (
+    !nocache &&
+    STAKING_STATS_CACHE.payload &&
+    Date.now() - STAKING_STATS_CACHE.ts < STAKING_STATS_TTL_MS
+  ) {
+    return STAKING_STATS_CACHE.payload;
+  }
+  if (!STAKING_STATS_CACHE.inflight) {
+    STAKING_STATS_CACHE.inflight = computeStakingStats()
+      .then((payload) => {
+        STAKING_STATS_CACHE.ts = Date.now();
+        STAKING_STATS_CACHE.payload = payload;
+        return payload;
       })
-      .eq("id", stakeId)
-      .eq("wallet", w);
+      .finally(() => {
+        STAKING_STATS_CACHE.inflight = null;
+      });
+  }
+  return STAKING_STATS_CACHE.inflight;
+}
 
-    if (updErr) {
-      err("[staking/unstake] update error:", updErr.message);
-      return res
-        .status(500)
-        .json({ error: "Failed to update stake" });
-    }
+async function publishStakingStats() {
+  if (!hasWsSubscribers("staking:stats")) return;
+  try {
+    const stats = await getStakingStats({ nocache: true });
+    wsPublish("staking:stats", { type: "stats", stats });
+  } catch (e) {
+    warn("[staking/stats] publish failed (non-fatal):", e?.message || e);
+  }
+}
+
+function startStakingStatsLoop() {
+  setInterval(publishStakingStats, STAKING_STATS_TTL_MS);
+}
 
-    return res.json({ ok: true, status: newStatus });
+/* ---- /api/staking/stats ---- */
+/*
+GET /api/staking/stats
+  -> { updated_at,
+       tvl: { black, usd, price_usd, escrow_black, sampling_black,
+              cooldown_black, global_cap },
+       stakers: { active, all_time },
+       stakes: { active, total, voided, void_rate },
+       tiers: [{ days, stakes, black, share }],
+       fart: { claimed_total, claims },
+       maturity: [{ date, black, fart, stakes }] }   next 90 days (UTC)
+  Cached for 60s; the same payload is pushed on the "staking:stats" WS topic.
+*/
+app.get("/api/staking/stats", async (_req, res) => {
+  try {
+    return res.json(await getStakingStats());
   } catch (e) {
-    err("[staking/unstake] exception:", e);
+    err("[staking/stats] exception:", e);
     return res.status(500).json({ error: "Internal error" });
   }
 });
@@ -3559,17 +11016,121 @@ app.use((error, req, res, next) => {
 
 
 /* ---------- WebSocket + Realtime ---------- */
+/*
+ * Topic protocol on /ws:
+ *   → { type: "subscribe",   topics: ["chart:5m", "latest", "broadcasts"] }
+ *   → { type: "unsubscribe", topics: ["chart:5m"] }
+ *   ← { type: "subscribed",  topics: [...current set] }
+ *
+ * Topics:
+ *   broadcasts          → insert / update / delete of hub_broadcasts
+ *   price               → { type: "price", mint, priceUsd }
+ *   latest[:<mint>]     → { type: "latest", point } on every poller tick
+ *   chart:<iv>[:<mint>] → { type: "tick", interval, mint, point, candle } (iv = any /api/chart interval)
+ *   staking:stats       → { type: "stats", stats } (same as /api/staking/stats),
+ *                         sent on subscribe and then every minute
+ *
+ * The mint suffix defaults to BLACK; topics are echoed back in canonical
+ * form ("chart:5m" → "chart:5m:<BLACK mint>").
+ *
+ * Sockets that never subscribe keep the old behaviour (broadcasts + price),
+ * so existing clients don't need to change.
+ */
+const WS_LEGACY_TOPICS = new Set(["broadcasts", "price"]);
+const WS_MAX_TOPICS = 32;
+
+// Canonical topic string, or null if the topic is unknown / untracked
+function canonicalWsTopic(topic) {
+  if (WS_LEGACY_TOPICS.has(topic) || topic === "staking:stats") return topic;
+
+  const [kind, ...rest] = String(topic).split(":");
+  if (kind === "latest" && rest.length <= 1) {
+    const mint = resolveChartMint(rest[0]);
+    return mint ? `latest:${mint}` : null;
+  }
+  if (kind === "chart" && rest.length >= 1 && rest.length <= 2) {
+    const interval = rest[0];
+    const mint = resolveChartMint(rest[1]);
+    if (normalizeInterval(interval) !== interval || !mint) return null;
+    return `chart:${interval}:${mint}`;
+  }
+  return null;
+}
+
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server, path: "/ws" });
 const clients = new Set();
 
+function socketWantsTopic(socket, topic) {
+  return socket.topics ? socket.topics.has(topic) : WS_LEGACY_TOPICS.has(topic);
+}
+
+function handleWsMessage(socket, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(String(raw));
+  } catch {
+    return socket.send(JSON.stringify({ type: "error", error: "invalid_json" }));
+  }
+
+  const type = msg?.type;
+  if (type !== "subscribe" && type !== "unsubscribe") {
+    return socket.send(JSON.stringify({ type: "error", error: "unknown_type" }));
+  }
+
+  const requested = Array.isArray(msg.topics) ? msg.topics.map(String) : [];
+  const invalid = requested.filter((t) => !canonicalWsTopic(t));
+  const topics = requested.map(canonicalWsTopic);
+  if (invalid.length) {
+    return socket.send(
+      JSON.stringify({ type: "error", error: "invalid_topics", topics: invalid })
+    );
+  }
+
+  // First subscribe/unsubscribe switches the socket from legacy to explicit topics
+  if (!socket.topics) {
+    socket.topics = new Set(type === "unsubscribe" ? WS_LEGACY_TOPICS : []);
+  }
+  for (const t of topics) {
+    if (type === "subscribe") socket.topics.add(t);
+    else socket.topics.delete(t);
+  }
+  if (socket.topics.size > WS_MAX_TOPICS) {
+    for (const t of topics) socket.topics.delete(t);
+    return socket.send(JSON.stringify({ type: "error", error: "too_many_topics" }));
+  }
+
+  socket.send(
+    JSON.stringify({ type: "subscribed", topics: Array.from(socket.topics) })
+  );
+
+  // New stats subscribers get the current snapshot straight away
+  if (type === "subscribe" && topics.includes("staking:stats")) {
+    getStakingStats()
+      .then((stats) => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify({ type: "stats", stats, topic: "staking:stats" }));
+        }
+      })
+      .catch((e) => warn("[staking/stats] snapshot failed:", e?.message || e));
+  }
+}
+
 wss.on("connection", async (socket) => {
   socket.isAlive = true;
+  socket.topics = null; // null = legacy (broadcasts + price)
   clients.add(socket);
 
   socket.on("pong", () => {
     socket.isAlive = true;
   });
+  socket.on("message", (raw) => {
+    try {
+      handleWsMessage(socket, raw);
+    } catch (e) {
+      err("WS message error:", e?.message || e);
+    }
+  });
   socket.on("close", () => {
     clients.delete(socket);
   });
@@ -3586,7 +11147,7 @@ wss.on("connection", async (socket) => {
       .limit(25);
     if (!error && data) {
       const rows = (data || []).map(normRow);
-      socket.send(JSON.stringify({ type: "hello", rows }));
+      socket.send(JSON.stringify({ type: "hello", topic: "broadcasts", rows }));
     }
   } catch (e) {
     err("WS hello failed:", e?.message || e);
@@ -3608,10 +11169,86 @@ setInterval(() => {
   }
 }, 30000);
 
-function wsBroadcastAll(obj) {
-  const msg = JSON.stringify(obj);
+function hasWsSubscribers(topic) {
+  for (const s of clients) {
+    if (s.readyState === s.OPEN && socketWantsTopic(s, topic)) return true;
+  }
+  return false;
+}
+
+// Send `obj` (tagged with its topic) to every socket subscribed to `topic`
+function wsPublish(topic, obj) {
+  const msg = JSON.stringify({ ...obj, topic });
   for (const s of clients) {
-    if (s.readyState === s.OPEN) s.send(msg);
+    if (s.readyState === s.OPEN && socketWantsTopic(s, topic)) s.send(msg);
+  }
+}
+
+/* ---------- Live chart candles (chart:<interval>:<mint> topics) ---------- */
+const LIVE_CANDLES = new Map(); // "<mint>:<interval>" -> current candle
+
+// Current candle for `interval` from the DB (rollup or raw) — used once per
+// mint + interval, after that ticks are folded in memory.
+async function loadCurrentCandle(interval, mint) {
+  const nowIso = new Date().toISOString();
+  const bucketIso = floorToBucketUTC(nowIso, interval).toISOString();
+
+  let candles = (await getCandlesFromRollup(interval, bucketIso, nowIso, mint))?.candles;
+  if (!candles) {
+    const [{ rows }, prev] = await Promise.all([
+      fetchChartRowsInRange(bucketIso, nowIso, mint),
+      fetchChartRowBefore(bucketIso, mint),
+    ]);
+    candles = buildCandles(rows, interval, prev);
+  }
+  return candles.find((c) => c.timestamp === bucketIso) || null;
+}
+
+// Called by fetchOneTick after every stored point
+async function publishChartTick(point, volDelta = 0) {
+  try {
+    const mint = point.mint || TOKEN_MINT;
+    const latestTopic = `latest:${mint}`;
+    if (hasWsSubscribers(latestTopic)) {
+      wsPublish(latestTopic, { type: "latest", point });
+    }
+
+    const price = +point.price;
+    const change = +point.change;
+
+    for (const interval of Object.keys(CHART_INTERVALS)) {
+      const topic = `chart:${interval}:${mint}`;
+      const key = `${mint}:${interval}`;
+      if (!hasWsSubscribers(topic)) {
+        LIVE_CANDLES.delete(key); // re-seed when someone subscribes again
+        continue;
+      }
+
+      const bucketIso = floorToBucketUTC(point.timestamp, interval).toISOString();
+      let candle = LIVE_CANDLES.get(key);
+
+      if (!candle) {
+        // First tick with subscribers: the DB copy already includes this point
+        candle = await loadCurrentCandle(interval, mint).catch((e) => {
+          warn("[ws/chart] candle seed failed:", e?.message || e);
+          return null;
+        });
+        if (!candle || candle.timestamp !== bucketIso) {
+          candle = newCandle(bucketIso, price);
+          applyTickToCandle(candle, price, change, volDelta);
+        }
+      } else if (candle.timestamp !== bucketIso) {
+        candle = newCandle(bucketIso, price);
+        applyTickToCandle(candle, price, change, volDelta);
+      } else {
+        applyTickToCandle(candle, price, change, volDelta);
+      }
+
+      LIVE_CANDLES.set(key, candle);
+      wsPublish(topic, { type: "tick", interval, mint, point, candle });
+    }
+  } catch (e) {
+    warn("[ws/chart] publish failed (non-fatal):", e?.message || e);
   }
 }
 
@@ -3643,7 +11280,7 @@ function subscribeToBroadcasts() {
         (payload) => {
           const row = normRow(payload?.new || payload?.record);
           log("🔔 INSERT hub_broadcasts id=", row?.id);
-          if (row) wsBroadcastAll({ type: "insert", row });
+          if (row) wsPublish("broadcasts", { type: "insert", row });
         }
       )
       .on(
@@ -3656,7 +11293,7 @@ function subscribeToBroadcasts() {
         (payload) => {
           const row = normRow(payload?.new || payload?.record);
           log("🔧 UPDATE hub_broadcasts id=", row?.id);
-          if (row) wsBroadcastAll({ type: "update", row });
+          if (row) wsPublish("broadcasts", { type: "update", row });
         }
       )
       .on(
@@ -3670,7 +11307,7 @@ function subscribeToBroadcasts() {
           const old = payload?.old || payload?.record || null;
           const id = old?.id;
           log("🗑️  DELETE hub_broadcasts id=", id);
-          if (id) wsBroadcastAll({ type: "delete", id });
+          if (id) wsPublish("broadcasts", { type: "delete", id });
         }
       )
       .subscribe((status) => {
@@ -3690,7 +11327,7 @@ function subscribeToBroadcasts() {
   }
 }
 
-subscribeToBroadcasts();
+if (!CLI_REBUILD_ROLLUPS) subscribeToBroadcasts();
 
 /* ---------- Start ---------- */
 
@@ -3709,11 +11346,56 @@ setInterval(() => {
   }
 }, 60_000);
 
-// 🔄 Start staking integrity checks (random balance snapshots)
-startStakeIntegrityLoop();
+if (CLI_REBUILD_ROLLUPS) {
+  // One-shot maintenance mode: rebuild chart rollups, then exit
+  const argValue = (name) => {
+    const a = process.argv.find((x) => x.startsWith(`--${name}=`));
+    return a ? a.slice(name.length + 3) : null;
+  };
+  adoptLegacyRollupRows()
+    .then(() => rebuildChartRollups({ from: argValue("from"), mint: argValue("mint") }))
+    .then(() => process.exit(0))
+    .catch((e) => {
+      err("[chart/rollup] rebuild failed:", e?.message || e);
+      process.exit(1);
+    });
+} else {
+  // 📈 Start the chart poller (all tracked tokens)
+  pollLoop();
+
+  // 🔄 Start staking integrity checks (random balance snapshots)
+  startStakeIntegrityLoop();
 
-server.listen(PORT, () => {
-  log(`BLACKCOIN OPERATOR HUB BACKEND v11.5 — LIVE ON PORT ${PORT}`);
-  log(`WebSocket: ws://localhost:${PORT}/ws`);
-  log(`Frontend:  http://localhost:${PORT}/`);
-});
\ No newline at end of file
+  // 🧾 Resolve reward claims left open by a crash / RPC timeout
+  startClaimReconcilerLoop();
+
+  // 💰 Keep hub_stake_pool in sync with the on-chain reward pool
+  startRewardPoolSyncLoop();
+
+  // 📊 Push /api/staking/stats to "staking:stats" subscribers
+  startStakingStatsLoop();
+
+  // 🩹 Periodically backfill chart gaps from on-chain swaps
+  startChartBackfillLoop();
+
+  // 🔥 Index burns (BURN_WALLET + mint-wide) into hub_burns
+  startBurnIndexerLoop();
+
+  // 🧾 Sign receipts queued while STAKE_RECEIPT_SECRET was unset
+  signPendingReceipts().catch((e) =>
+    err("[staking/receipts] queued signing failed:", e?.message || e)
+  );
+
+  // 💸 Index referral fee inflows + reconcile them against hub_swaps
+  startReferralRevenueLoop();
+
+  // Partner mints only resolve once the registry has loaded
+  refreshTrackedTokens().finally(() =>
+    server.listen(PORT, () => {
+      log(`BLACKCOIN OPERATOR HUB BACKEND v11.5 — LIVE ON PORT ${PORT}`);
+      log(`WebSocket: ws://localhost:${PORT}/ws`);
+      log(`Sessions:  ${sessionStore.kind} store`);
+      log(`Frontend:  http://localhost:${PORT}/`);
+    })
+  );
+}
\ No newline at end of file